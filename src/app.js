@@ -12,7 +12,10 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/database');
+const uploadConfig = require('./config/upload');
+const StorageService = require('./services/storage.service');
 const logger = require('./utils/logger');
+const Building = require('./models/building.model');
 const { errorHandler } = require('./middlewares/error.middleware');
 
 // Import routes
@@ -24,12 +27,32 @@ const renterRoutes = require('./routes/renter.routes');
 const adminRoutes = require('./routes/admin.routes');
 const buildingRoutes = require('./routes/building.routes');
 const roomRoutes = require('./routes/room.routes');
+const searchRoutes = require('./routes/search.routes');
+const reviewRoutes = require('./routes/review.routes');
+const technicianRoutes = require('./routes/technician.routes');
 
 // Import middleware
 const { auth } = require('./middlewares/auth.middleware');
 
 const app = express();
 
+/**
+ * Parse TRUST_PROXY: a hop count, true/false, or proxy addresses and subnets such as
+ * "loopback, 10.0.0.0/8"
+ * @param {string} [value] - Raw setting
+ * @returns {boolean|number|string} Value for Express's trust proxy setting
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+};
+
+// Behind a reverse proxy or load balancer, req.ip is the proxy's address unless the proxy is
+// trusted; login lockouts and rate limits are counted per req.ip
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware
 app.use(
   helmet({
@@ -94,6 +117,17 @@ app.use((req, res, next) => {
   next();
 });
 
+// Uploaded files on the local storage backend; allowed cross-origin so the frontend can embed them.
+// Private keys live in a separate directory and are never reachable from here.
+if (uploadConfig.storageDriver === 'local') {
+  app.use(
+    uploadConfig.publicPath,
+    express.static(uploadConfig.uploadPath, {
+      setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+    })
+  );
+}
+
 // Health check endpoint with detailed status
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -107,12 +141,15 @@ app.get('/health', (req, res) => {
 // API Routes - Order matters!
 app.use('/api/buildings', buildingRoutes);
 app.use('/api/rooms', roomRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/reviews', reviewRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', auth, userRoutes);
 app.use('/api/email', auth, emailRoutes);
 app.use('/api/landlord', auth, landlordRoutes);
 app.use('/api/renter', auth, renterRoutes);
 app.use('/api/admin', auth, adminRoutes);
+app.use('/api/technician', auth, technicianRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -128,7 +165,12 @@ const startServer = async () => {
       CORS_ORIGIN: process.env.CORS_ORIGIN,
     });
 
+    // Fails fast on an incomplete storage configuration
+    StorageService.getProvider();
     await connectDB();
+    await Building.syncMissingLocations().catch((error) => {
+      logger.error('Failed to backfill building locations:', { error: error.message });
+    });
     const PORT = process.env.PORT || 3000;
 
     const server = app.listen(PORT, () => {
@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Google Configuration - Handles Google Sign-In configuration
+ * @created 2025-06-06
+ * @file google.config.js
+ * @description This file defines the OAuth client IDs accepted for Google Sign-In ID tokens.
+ */
+
+const googleConfig = {
+  // Web, Android and iOS apps each have their own client ID
+  clientIds: (process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean),
+};
+
+module.exports = { googleConfig };
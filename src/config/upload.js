@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Upload Configuration - File upload and storage settings
+ * @created 2025-06-06
+ * @file upload.js
+ * @description This file defines the upload limits, accepted image types and storage backend settings.
+ */
+
+const path = require('path');
+
+module.exports = {
+  // Local storage root and the URL prefix it is served under
+  uploadPath: path.resolve(process.env.UPLOAD_PATH || 'uploads'),
+  publicPath: '/uploads',
+  maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
+  maxFiles: 10,
+  allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  documentMimeTypes: [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  ],
+  // Keys under this prefix are stored outside the served directory and only read through the API
+  privatePrefix: 'private',
+  // Local root for private keys; must not be inside uploadPath
+  privateUploadPath: path.resolve(process.env.PRIVATE_UPLOAD_PATH || 'private-uploads'),
+  // 'local' or 's3'
+  storageDriver: process.env.STORAGE_DRIVER || 'local',
+  // Credentials come from the standard AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY variables
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    publicUrl: process.env.S3_PUBLIC_URL,
+    // Bucket for private keys; must not be publicly readable
+    privateBucket: process.env.S3_PRIVATE_BUCKET,
+    region: process.env.S3_REGION,
+    // Set for S3-compatible stores such as MinIO
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  },
+};
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Admin Controller - Handles HTTP requests for platform administration
+ * @created 2025-06-06
+ * @file admin.controller.js
+ * @description This controller manages admin property and review moderation, security policy and
+ * dashboard endpoints.
+ */
+
+const BuildingService = require('../services/building.service');
+const DashboardService = require('../services/dashboard.service');
+const MfaService = require('../services/mfa.service');
+const ReviewService = require('../services/review.service');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/admin/properties
+ * @description Get buildings for review, e.g. ?status=pending for the moderation queue
+ * @param {string} status - Optional building status filter
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Object} Buildings with pagination
+ */
+exports.getProperties = async (req, res) => {
+  try {
+    const buildings = await BuildingService.getModerationQueue(req.query);
+    res.status(200).json({
+      success: true,
+      message: 'Properties retrieved successfully',
+      data: buildings,
+    });
+  } catch (error) {
+    logger.error('Error getting properties for moderation:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting properties',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/admin/properties/:id/verify
+ * @description Approve or reject a building listing
+ * @param {string} id - Building id
+ * @param {string} req.body.action - approve or reject
+ * @param {string} req.body.reason - Reason for the decision
+ * @returns {Object} Moderated building
+ */
+exports.verifyProperty = async (req, res) => {
+  try {
+    const building = await BuildingService.moderateBuilding(req.params.id, req.user._id, {
+      action: req.body.action,
+      reason: req.body.reason,
+    });
+    res.status(200).json({
+      success: true,
+      message: `Property ${building.status === 'active' ? 'approved' : 'rejected'} successfully`,
+      data: building,
+    });
+  } catch (error) {
+    logger.error('Error verifying property:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error verifying property',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/admin/properties/:id/images/:imageId/verify
+ * @description Verify or unverify a single building image
+ * @param {string} id - Building id
+ * @param {string} imageId - Image id
+ * @param {boolean} req.body.isVerified - Verification flag, defaults to true
+ * @returns {Object} Updated building
+ */
+exports.verifyPropertyImage = async (req, res) => {
+  try {
+    const building = await BuildingService.verifyBuildingImage(
+      req.params.id,
+      req.params.imageId,
+      req.user._id,
+      req.body.isVerified !== false
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Image verification updated successfully',
+      data: building,
+    });
+  } catch (error) {
+    logger.error('Error verifying property image:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error verifying property image',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/admin/reviews/:id/visibility
+ * @description Hide an abusive review or restore a hidden one
+ * @param {string} id - Review ID
+ * @param {boolean} isHidden - Whether the review is hidden
+ * @param {string} reason - Moderation reason, required when hiding
+ * @returns {Object} Updated review
+ */
+exports.setReviewVisibility = async (req, res) => {
+  try {
+    const review = await ReviewService.setVisibility(req.params.id, req.user._id, req.body);
+    res.status(200).json({
+      success: true,
+      message: review.isHidden ? 'Review hidden successfully' : 'Review restored successfully',
+      data: review,
+    });
+  } catch (error) {
+    logger.error('Error changing review visibility:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error changing review visibility',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route GET /api/admin/security/2fa
+ * @description Get the roles that must use two-factor authentication
+ * @returns {Object} Enforced roles
+ */
+exports.getMfaPolicy = async (req, res) => {
+  try {
+    const enforcedRoles = await MfaService.getEnforcedRoles();
+    res.status(200).json({
+      success: true,
+      message: '2FA policy retrieved successfully',
+      data: { enforcedRoles },
+    });
+  } catch (error) {
+    logger.error('Error getting 2FA policy:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting 2FA policy',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/admin/security/2fa
+ * @description Choose the roles that must use two-factor authentication at login
+ * @param {string[]} req.body.enforcedRoles - Roles to enforce, e.g. ['admin', 'landlord']
+ * @returns {Object} Enforced roles
+ */
+exports.updateMfaPolicy = async (req, res) => {
+  try {
+    const enforcedRoles = await MfaService.setEnforcedRoles(req.body.enforcedRoles, req.user._id);
+    res.status(200).json({
+      success: true,
+      message: '2FA policy updated successfully',
+      data: { enforcedRoles },
+    });
+  } catch (error) {
+    logger.error('Error updating 2FA policy:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error updating 2FA policy',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route GET /api/admin/dashboard
+ * @description Get platform-wide statistics
+ * @param {string} from - Start of the date range (ISO date)
+ * @param {string} to - End of the date range (ISO date)
+ * @param {string} interval - Time series bucket: day, week or month
+ * @returns {Object} Dashboard statistics
+ */
+exports.getDashboard = async (req, res) => {
+  try {
+    const dashboard = await DashboardService.getAdminDashboard(req.query);
+    res.status(200).json({
+      success: true,
+      message: 'Dashboard retrieved successfully',
+      data: dashboard,
+    });
+  } catch (error) {
+    logger.error('Error getting admin dashboard:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting dashboard',
+      error: error.message,
+    });
+  }
+};
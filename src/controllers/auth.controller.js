@@ -8,6 +8,8 @@
  */
 
 const AuthService = require('../services/auth.service');
+const SessionService = require('../services/session.service');
+const MfaService = require('../services/mfa.service');
 const logger = require('../utils/logger');
 const { validateEmail, validatePhone, validatePassword } = require('../validations/validation');
 
@@ -44,7 +46,15 @@ const handleError = (error, res, context) => {
     },
   };
 
-  const errorResponse = errorMap[error.code] || errorMap.DEFAULT;
+  // Errors from the shared error classes carry their own status code
+  const errorResponse =
+    errorMap[error.code] ||
+    (error.isOperational && { status: error.statusCode, message: error.message }) ||
+    errorMap.DEFAULT;
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
 
   return formatResponse(res, {
     success: false,
@@ -65,6 +75,12 @@ const validateToken = (req) => {
   throw { code: 'INVALID_TOKEN', message: 'No token provided' };
 };
 
+// Client details recorded on the device session
+const getClient = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+});
+
 const cookieOptions = {
   httpOnly: true,
   secure: process.env.NODE_ENV === 'production',
@@ -73,6 +89,19 @@ const cookieOptions = {
   domain: process.env.COOKIE_DOMAIN || 'localhost',
 };
 
+// Second step of a login: no cookies are set until the challenge is verified
+const sendMfaChallenge = (res, result) =>
+  formatResponse(res, {
+    message: 'Two-factor authentication required',
+    data: {
+      mfaRequired: true,
+      challengeToken: result.challengeToken,
+      methods: result.methods,
+      expiresIn: result.expiresIn,
+      ...(result.isNewUser !== undefined && { isNewUser: result.isNewUser }),
+    },
+  });
+
 /**
  * @route POST /api/auth/register
  * @category Auth Basic
@@ -110,7 +139,7 @@ exports.register = async (req, res) => {
       };
     }
 
-    const result = await AuthService.register(req.body);
+    const result = await AuthService.register(req.body, getClient(req));
     return formatResponse(res, {
       status: 201,
       message: 'User registered successfully',
@@ -144,7 +173,10 @@ exports.login = async (req, res) => {
       throw { code: 'INVALID_EMAIL', message: 'Invalid email format' };
     }
 
-    const result = await AuthService.login(email, password);
+    const result = await AuthService.login(email, password, getClient(req));
+    if (result.mfaRequired) {
+      return sendMfaChallenge(res, result);
+    }
 
     // Set secure cookies
     res.cookie('token', result.token, {
@@ -170,6 +202,276 @@ exports.login = async (req, res) => {
   }
 };
 
+/**
+ * @route POST /api/auth/google
+ * @category Auth Basic
+ * @description Sign in with a Google ID token, creating an account on first sign-in
+ * @param {Object} req.body - Google sign-in data
+ * @param {string} req.body.idToken - Google ID token
+ * @param {string} [req.body.role] - renter or landlord, for new accounts
+ * @param {string} [req.body.phone] - Phone number, required for new accounts
+ * @param {Object} [req.body.address] - Address, required for new accounts
+ * @returns {Object} Login result with tokens, isNewUser and hasPassword
+ */
+exports.googleLogin = async (req, res) => {
+  try {
+    const { idToken, role, phone, address } = req.body;
+
+    if (!idToken) {
+      throw { code: 'MISSING_FIELDS', message: 'Google ID token is required' };
+    }
+
+    const result = await AuthService.googleLogin({ idToken, role, phone, address }, getClient(req));
+    if (result.mfaRequired) {
+      return sendMfaChallenge(res, result);
+    }
+
+    res.cookie('token', result.token, {
+      ...cookieOptions,
+      maxAge: 15 * 60 * 1000, // 15 minutes
+    });
+    res.cookie('refreshToken', result.refreshToken, {
+      ...cookieOptions,
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    });
+
+    return formatResponse(res, {
+      message: result.isNewUser ? 'Account created successfully' : 'Login successful',
+      data: {
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: 15 * 60,
+        isNewUser: result.isNewUser,
+        hasPassword: result.hasPassword,
+      },
+      status: result.isNewUser ? 201 : 200,
+    });
+  } catch (error) {
+    handleError(error, res, 'Google login');
+  }
+};
+
+/**
+ * @route POST /api/auth/profile/google
+ * @category Auth Profile
+ * @description Link a Google account to the current user
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.body.idToken - Google ID token
+ * @returns {Object} Updated user data
+ */
+exports.linkGoogle = async (req, res) => {
+  try {
+    if (!req.body.idToken) {
+      throw { code: 'MISSING_FIELDS', message: 'Google ID token is required' };
+    }
+
+    const user = await AuthService.linkGoogle(req.user._id, req.body.idToken);
+    return formatResponse(res, { message: 'Google account linked successfully', data: user });
+  } catch (error) {
+    handleError(error, res, 'Link Google');
+  }
+};
+
+/**
+ * @route DELETE /api/auth/profile/google
+ * @category Auth Profile
+ * @description Unlink the Google account from the current user
+ * @param {Object} req.user - Authenticated user object
+ * @returns {Object} Updated user data
+ */
+exports.unlinkGoogle = async (req, res) => {
+  try {
+    const user = await AuthService.unlinkGoogle(req.user._id);
+    return formatResponse(res, { message: 'Google account unlinked successfully', data: user });
+  } catch (error) {
+    handleError(error, res, 'Unlink Google');
+  }
+};
+
+/**
+ * @route POST /api/auth/set-password
+ * @category Authentication & Security
+ * @description Set a password on an account created through Google Sign-In
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.body.newPassword - New password
+ * @returns {Object} Set password result
+ */
+exports.setPassword = async (req, res) => {
+  try {
+    const { newPassword } = req.body;
+
+    if (!newPassword) {
+      throw { code: 'MISSING_FIELDS', message: 'New password is required' };
+    }
+
+    if (!validatePassword(newPassword)) {
+      throw {
+        code: 'INVALID_PASSWORD',
+        message:
+          'New password must be at least 8 characters long and contain uppercase, lowercase, number and special character',
+      };
+    }
+
+    const result = await AuthService.setPassword(req.user._id, newPassword);
+    return formatResponse(res, { message: 'Password set successfully', data: result });
+  } catch (error) {
+    handleError(error, res, 'Set password');
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/verify
+ * @category Two-Factor Authentication
+ * @description Complete a login with its second factor and receive JWT tokens
+ * @param {string} req.body.challengeToken - Challenge token from the login response
+ * @param {string} req.body.code - Authenticator, recovery or email code
+ * @param {string} [req.body.method] - totp, recovery or email
+ * @returns {Object} Login result with tokens
+ */
+exports.verifyMfa = async (req, res) => {
+  try {
+    const { challengeToken, code, method } = req.body;
+
+    if (!challengeToken || !code) {
+      throw { code: 'MISSING_FIELDS', message: 'Challenge token and code are required' };
+    }
+
+    const result = await AuthService.verifyMfa(challengeToken, { code, method }, getClient(req));
+
+    res.cookie('token', result.token, {
+      ...cookieOptions,
+      maxAge: 15 * 60 * 1000, // 15 minutes
+    });
+    res.cookie('refreshToken', result.refreshToken, {
+      ...cookieOptions,
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    });
+
+    return formatResponse(res, {
+      message: 'Login successful',
+      data: {
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: 15 * 60,
+      },
+    });
+  } catch (error) {
+    handleError(error, res, 'Verify 2FA');
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/email
+ * @category Two-Factor Authentication
+ * @description Email a one-time code for a pending login
+ * @param {string} req.body.challengeToken - Challenge token from the login response
+ * @returns {Object} Send result
+ */
+exports.sendMfaEmailCode = async (req, res) => {
+  try {
+    if (!req.body.challengeToken) {
+      throw { code: 'MISSING_FIELDS', message: 'Challenge token is required' };
+    }
+
+    await MfaService.sendEmailCode(req.body.challengeToken);
+    return formatResponse(res, { message: 'Verification code sent to your email' });
+  } catch (error) {
+    handleError(error, res, 'Send 2FA email code');
+  }
+};
+
+/**
+ * @route GET /api/auth/2fa
+ * @category Two-Factor Authentication
+ * @description Get the current user's two-factor authentication status
+ * @param {Object} req.user - Authenticated user object
+ * @returns {Object} 2FA status
+ */
+exports.getMfaStatus = async (req, res) => {
+  try {
+    const status = await MfaService.getStatus(req.user._id);
+    return formatResponse(res, { message: '2FA status retrieved successfully', data: status });
+  } catch (error) {
+    handleError(error, res, 'Get 2FA status');
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/totp/setup
+ * @category Two-Factor Authentication
+ * @description Start enrolling an authenticator app
+ * @param {Object} req.user - Authenticated user object
+ * @returns {Object} Secret and otpauth:// provisioning URI for a QR code
+ */
+exports.setupTotp = async (req, res) => {
+  try {
+    const setup = await MfaService.setupTotp(req.user._id);
+    return formatResponse(res, { message: 'Scan the QR code with your app', data: setup });
+  } catch (error) {
+    handleError(error, res, 'Setup TOTP');
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/totp/enable
+ * @category Two-Factor Authentication
+ * @description Confirm the authenticator app and turn on 2FA
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.body.code - Code shown by the app
+ * @returns {Object} Recovery codes, shown only once
+ */
+exports.enableTotp = async (req, res) => {
+  try {
+    if (!req.body.code) {
+      throw { code: 'MISSING_FIELDS', message: 'Verification code is required' };
+    }
+
+    const result = await MfaService.enableTotp(req.user._id, req.body.code);
+    return formatResponse(res, { message: '2FA enabled successfully', data: result });
+  } catch (error) {
+    handleError(error, res, 'Enable TOTP');
+  }
+};
+
+/**
+ * @route DELETE /api/auth/2fa/totp
+ * @category Two-Factor Authentication
+ * @description Remove the authenticator app
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.body.code - Current app code or a recovery code
+ * @returns {Object} Disable result
+ */
+exports.disableTotp = async (req, res) => {
+  try {
+    await MfaService.disableTotp(req.user._id, req.body.code);
+    return formatResponse(res, { message: '2FA disabled successfully' });
+  } catch (error) {
+    handleError(error, res, 'Disable TOTP');
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes
+ * @category Two-Factor Authentication
+ * @description Replace the current user's recovery codes
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.body.code - Current app code or a recovery code
+ * @returns {Object} New recovery codes, shown only once
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const result = await MfaService.regenerateRecoveryCodes(req.user._id, req.body.code);
+    return formatResponse(res, {
+      message: 'Recovery codes regenerated successfully',
+      data: result,
+    });
+  } catch (error) {
+    handleError(error, res, 'Regenerate recovery codes');
+  }
+};
+
 /**
  * @route POST /api/auth/logout
  * @category Auth Basic
@@ -184,7 +486,7 @@ exports.logout = async (req, res) => {
     }
 
     const token = validateToken(req);
-    await AuthService.logout(req.user._id, token);
+    await AuthService.logout(req.user._id, token, req.user.sessionId);
 
     // Clear cookies
     res.clearCookie('token', cookieOptions);
@@ -429,20 +731,21 @@ exports.resetPassword = async (req, res) => {
 /**
  * @route POST /api/auth/refresh-token
  * @category Token
- * @description Get new access token from refresh token
+ * @description Exchange a refresh token for a new access token and a new refresh token.
+ * The old refresh token is invalidated; reusing it signs out the whole device session.
  * @param {Object} req.body - Token data
- * @param {string} req.body.refreshToken - Refresh token
- * @returns {Object} New access token
+ * @param {string} req.body.refreshToken - Refresh token (or the refreshToken cookie)
+ * @returns {Object} New access and refresh tokens
  */
 exports.refreshToken = async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    const refreshToken = req.body.refreshToken || req.cookies?.refreshToken;
 
     if (!refreshToken) {
       throw { code: 'MISSING_FIELDS', message: 'Refresh token is required' };
     }
 
-    const result = await AuthService.refreshToken(refreshToken);
+    const result = await AuthService.refreshToken(refreshToken, getClient(req));
 
     // Set new cookies
     res.cookie('token', result.token, {
@@ -458,6 +761,7 @@ exports.refreshToken = async (req, res) => {
       message: 'Token refreshed successfully',
       data: {
         token: result.token,
+        refreshToken: result.refreshToken,
         expiresIn: 15 * 60,
       },
     });
@@ -469,9 +773,9 @@ exports.refreshToken = async (req, res) => {
 /**
  * @route POST /api/auth/revoke-token
  * @category Token
- * @description Revoke refresh token
+ * @description Revoke a refresh token and sign out its device session
  * @param {Object} req.user - Authenticated user object
- * @param {string} req.body.token - Token to revoke
+ * @param {string} req.body.token - Refresh token to revoke (or the refreshToken cookie)
  * @returns {Object} Revoke token result
  */
 exports.revokeToken = async (req, res) => {
@@ -480,7 +784,10 @@ exports.revokeToken = async (req, res) => {
       throw { code: 'UNAUTHORIZED', message: 'User not authenticated' };
     }
 
-    const token = validateToken(req);
+    const token = req.body.token || req.cookies?.refreshToken;
+    if (!token) {
+      throw { code: 'MISSING_FIELDS', message: 'Refresh token is required' };
+    }
     const result = await AuthService.revokeToken(token);
 
     // Clear cookies
@@ -492,3 +799,61 @@ exports.revokeToken = async (req, res) => {
     handleError(error, res, 'Revoke token');
   }
 };
+
+/**
+ * @route GET /api/auth/sessions
+ * @category Token
+ * @description List the devices the current user is signed in on
+ * @param {Object} req.user - Authenticated user object
+ * @returns {Object} Active sessions, with the current one flagged
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await SessionService.getSessions(req.user._id, req.user.sessionId);
+    return formatResponse(res, { message: 'Sessions retrieved successfully', data: sessions });
+  } catch (error) {
+    handleError(error, res, 'Get sessions');
+  }
+};
+
+/**
+ * @route DELETE /api/auth/sessions/:id
+ * @category Token
+ * @description Sign out one device
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.params.id - Session ID
+ * @returns {Object} Revocation result
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    await SessionService.revokeSession(req.user._id, req.params.id);
+    if (req.params.id === req.user.sessionId) {
+      res.clearCookie('token', cookieOptions);
+      res.clearCookie('refreshToken', cookieOptions);
+    }
+    return formatResponse(res, { message: 'Session signed out successfully' });
+  } catch (error) {
+    handleError(error, res, 'Revoke session');
+  }
+};
+
+/**
+ * @route DELETE /api/auth/sessions
+ * @category Token
+ * @description Sign out every other device, keeping the current session
+ * @param {Object} req.user - Authenticated user object
+ * @returns {Object} Number of sessions signed out
+ */
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await SessionService.revokeAll(req.user._id, {
+      exceptSessionId: req.user.sessionId,
+    });
+    return formatResponse(res, {
+      message: 'Other sessions signed out successfully',
+      data: { count },
+    });
+  } catch (error) {
+    handleError(error, res, 'Revoke sessions');
+  }
+};
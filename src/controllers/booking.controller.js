@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Booking Controller - Handles HTTP requests for bookings
+ * @created 2025-06-06
+ * @file booking.controller.js
+ * @description This controller manages renter and landlord booking endpoints.
+ */
+
+const BookingService = require('../services/booking.service');
+const logger = require('../utils/logger');
+const { setLinkHeader } = require('../utils/pagination');
+
+/**
+ * @route GET /api/renter/bookings
+ * @description Get bookings of the current renter
+ * @param {string} status - Optional booking status filter
+ * @param {string} after - Cursor of the page to continue after
+ * @param {string} before - Cursor of the page to continue before
+ * @param {number} limit - Items per page
+ * @param {string} sort - newest or moveIn
+ * @returns {Object} Bookings with pagination
+ */
+exports.getRenterBookings = async (req, res) => {
+  try {
+    const bookings = await BookingService.getBookings({ renterId: req.user._id }, req.query);
+    setLinkHeader(req, res, bookings.pagination);
+    res.status(200).json({
+      success: true,
+      message: 'Bookings retrieved successfully',
+      data: bookings,
+    });
+  } catch (error) {
+    logger.error('Error getting renter bookings:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting bookings',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route POST /api/renter/bookings
+ * @description Create a booking request
+ * @param {Object} req.body - Booking data (roomId, moveInDate, leaseMonths, note, acceptedRulesVersion)
+ * @returns {Object} Created booking
+ */
+exports.createBooking = async (req, res) => {
+  try {
+    const booking = await BookingService.createBooking(req.user._id, req.body);
+    res.status(201).json({
+      success: true,
+      message: 'Booking created successfully',
+      data: booking,
+    });
+    logger.info('Booking created successfully');
+  } catch (error) {
+    logger.error('Error creating booking:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error creating booking',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/renter/bookings/:id
+ * @description Update a pending booking
+ * @param {string} id - Booking ID
+ * @param {Object} req.body - Update data (moveInDate, leaseMonths, note)
+ * @returns {Object} Updated booking
+ */
+exports.updateBooking = async (req, res) => {
+  try {
+    const booking = await BookingService.updateBooking(req.params.id, req.user._id, req.body);
+    res.status(200).json({
+      success: true,
+      message: 'Booking updated successfully',
+      data: booking,
+    });
+  } catch (error) {
+    logger.error('Error updating booking:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error updating booking',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route DELETE /api/renter/bookings/:id
+ * @description Cancel a booking
+ * @param {string} id - Booking ID
+ * @param {string} req.body.reason - Optional cancellation reason
+ * @returns {Object} Cancelled booking
+ */
+exports.cancelBooking = async (req, res) => {
+  try {
+    const booking = await BookingService.cancelBooking(
+      req.params.id,
+      req.user._id,
+      req.body?.reason
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: booking,
+    });
+  } catch (error) {
+    logger.error('Error cancelling booking:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error cancelling booking',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route GET /api/landlord/bookings
+ * @description Get bookings for the current landlord's buildings, with the reputation of each renter
+ * @param {string} status - Optional booking status filter
+ * @param {string} after - Cursor of the page to continue after
+ * @param {string} before - Cursor of the page to continue before
+ * @param {number} limit - Items per page
+ * @param {string} sort - newest or moveIn
+ * @returns {Object} Bookings with renterReputation and pagination
+ */
+exports.getLandlordBookings = async (req, res) => {
+  try {
+    const bookings = await BookingService.getBookings({ hostId: req.user._id }, req.query);
+    setLinkHeader(req, res, bookings.pagination);
+    res.status(200).json({
+      success: true,
+      message: 'Bookings retrieved successfully',
+      data: bookings,
+    });
+  } catch (error) {
+    logger.error('Error getting landlord bookings:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting bookings',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/landlord/bookings/:id/status
+ * @description Approve, reject, activate, complete or cancel a booking
+ * @param {string} id - Booking ID
+ * @param {string} req.body.status - New booking status
+ * @param {string} req.body.reason - Reason (required when rejecting)
+ * @returns {Object} Updated booking
+ */
+exports.updateBookingStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking status is required',
+      });
+    }
+
+    const booking = await BookingService.updateBookingStatus(
+      req.params.id,
+      req.user._id,
+      status,
+      reason
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Booking status updated successfully',
+      data: booking,
+    });
+  } catch (error) {
+    logger.error('Error updating booking status:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error updating booking status',
+      error: error.message,
+    });
+  }
+};
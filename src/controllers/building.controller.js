@@ -6,18 +6,27 @@
  */
 
 const BuildingService = require('../services/building.service');
+const RulesService = require('../services/rules.service');
 const logger = require('../utils/logger');
+const { setLinkHeader } = require('../utils/pagination');
 const mongoose = require('mongoose');
 const Room = require('../models/room.model');
 
 /**
  * @route GET /api/buildings
- * @description Get all buildings
- * @returns {Object} Building data
+ * @description Get all buildings with cursor pagination; next and previous pages are also
+ * returned in the Link header
+ * @param {string} after - Cursor of the page to continue after
+ * @param {string} before - Cursor of the page to continue before
+ * @param {number} limit - Items per page
+ * @param {string} sort - newest, price_asc, price_desc or rating
+ * @returns {Object} Building data with pagination
  */
 exports.getAllBuildings = async (req, res) => {
   try {
-    const buildings = await BuildingService.getAllBuildings();
+    const { after, before, limit, sort } = req.query;
+    const buildings = await BuildingService.getAllBuildings({ after, before, limit, sort });
+    setLinkHeader(req, res, buildings.pagination);
     res.status(200).json({
       success: true,
       message: 'Buildings retrieved successfully',
@@ -26,7 +35,7 @@ exports.getAllBuildings = async (req, res) => {
     logger.info('Buildings retrieved successfully');
   } catch (error) {
     logger.error('Error getting all buildings:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error getting all buildings',
       error: error.message,
@@ -83,7 +92,13 @@ exports.getBuildingById = async (req, res) => {
  */
 exports.createBuilding = async (req, res) => {
   try {
-    const building = await BuildingService.createBuilding(req.body);
+    // Landlords always create buildings for themselves and start in the review queue
+    const buildingData =
+      req.user.role === 'admin'
+        ? req.body
+        : { ...BuildingService.stripModeratedFields(req.body), hostId: req.user._id };
+
+    const building = await BuildingService.createBuilding(buildingData);
     res.status(201).json({
       success: true,
       message: 'Building created successfully',
@@ -118,7 +133,13 @@ exports.updateBuilding = async (req, res) => {
       });
     }
 
-    const building = await BuildingService.updateBuilding(buildingId);
+    // Only admins can change ownership or moderation state
+    const updateData =
+      req.user.role === 'admin'
+        ? req.body
+        : BuildingService.prepareHostUpdate(req.body, req.building);
+
+    const building = await BuildingService.updateBuilding(buildingId, updateData);
 
     return res.status(200).json({
       success: true,
@@ -216,3 +237,111 @@ exports.getRoomsByBuildingId = async (req, res) => {
     });
   }
 };
+
+/**
+ * @route GET /api/buildings/nearby
+ * @description Get buildings within a radius of a point, sorted by distance
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} radius - Radius in meters (default 5000)
+ * @param {number} minPrice - Minimum average price
+ * @param {number} maxPrice - Maximum average price
+ * @returns {Object} Buildings with distance in meters
+ */
+exports.getNearbyBuildings = async (req, res) => {
+  try {
+    const buildings = await BuildingService.getNearbyBuildings(req.query);
+    res.status(200).json({
+      success: true,
+      message: 'Nearby buildings retrieved successfully',
+      data: buildings,
+    });
+  } catch (error) {
+    logger.error('Error getting nearby buildings:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting nearby buildings',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route POST /api/buildings/:id/images
+ * @description Upload images for a building; they are stored unverified until an admin reviews them
+ * @param {string} id - Building id
+ * @param {Array<File>} images - Multipart image files (JPEG, PNG or WebP)
+ * @param {string} type - Image type: exterior, interior, room or amenity
+ * @returns {Object} Updated building
+ */
+exports.uploadBuildingImages = async (req, res) => {
+  try {
+    const building = await BuildingService.addImages(req.params.id, req.files, req.body.type);
+    res.status(201).json({
+      success: true,
+      message: 'Images uploaded successfully',
+      data: building,
+    });
+    logger.info('Building images uploaded', { buildingId: req.params.id, count: req.files.length });
+  } catch (error) {
+    logger.error('Error uploading building images:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error uploading images',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route POST /api/buildings/:id/rules
+ * @description Upload a new version of the building's house rules document
+ * @param {string} id - Building id
+ * @param {File} file - Multipart PDF or DOCX document
+ * @returns {Object} Rules version metadata
+ */
+exports.uploadBuildingRules = async (req, res) => {
+  try {
+    const rules = await RulesService.uploadRules(req.params.id, req.file, req.user._id);
+    res.status(201).json({
+      success: true,
+      message: 'Rules document uploaded successfully',
+      data: rules,
+    });
+  } catch (error) {
+    logger.error('Error uploading rules document:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error uploading rules document',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route GET /api/buildings/:id/rules
+ * @description Download the building's house rules document; each download is logged
+ * @param {string} id - Building id
+ * @param {number} version - Optional version, defaults to the current one
+ * @returns {File} Rules document
+ */
+exports.getBuildingRules = async (req, res) => {
+  try {
+    const rules = await RulesService.getRules(req.params.id, {
+      userId: req.user._id,
+      version: req.query.version,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    res.attachment(rules.fileName);
+    res.set({ 'Content-Type': rules.contentType, 'X-Rules-Version': rules.version });
+    res.status(200).send(rules.buffer);
+  } catch (error) {
+    logger.error('Error getting rules document:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting rules document',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Favorite Controller - Handles HTTP requests for renter favorites
+ * @created 2025-06-06
+ * @file favorite.controller.js
+ * @description This controller manages the renter favorites endpoints.
+ */
+
+const FavoriteService = require('../services/favorite.service');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/renter/favorites
+ * @description Get favorites of the current renter
+ * @param {string} type - Optional type filter (room or building)
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Object} Favorites with pagination
+ */
+exports.getFavorites = async (req, res) => {
+  try {
+    const favorites = await FavoriteService.getFavorites(req.user._id, req.query);
+    res.status(200).json({
+      success: true,
+      message: 'Favorites retrieved successfully',
+      data: favorites,
+    });
+  } catch (error) {
+    logger.error('Error getting favorites:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting favorites',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route POST /api/renter/favorites/:propertyId
+ * @description Add a room or building to favorites
+ * @param {string} propertyId - Room or building ID
+ * @param {string} type - Optional property type (room or building)
+ * @returns {Object} Favorite data
+ */
+exports.addFavorite = async (req, res) => {
+  try {
+    const type = req.query.type || req.body?.type;
+    const { favorite, created } = await FavoriteService.addFavorite(
+      req.user._id,
+      req.params.propertyId,
+      type
+    );
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Added to favorites' : 'Already in favorites',
+      data: favorite,
+    });
+  } catch (error) {
+    logger.error('Error adding favorite:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error adding favorite',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route DELETE /api/renter/favorites/:propertyId
+ * @description Remove a room or building from favorites
+ * @param {string} propertyId - Room or building ID
+ * @param {string} type - Optional property type (room or building)
+ * @returns {Object} Removal result
+ */
+exports.removeFavorite = async (req, res) => {
+  try {
+    const type = req.query.type || req.body?.type;
+    const result = await FavoriteService.removeFavorite(req.user._id, req.params.propertyId, type);
+    res.status(200).json({
+      success: true,
+      message: result.removed ? 'Removed from favorites' : 'Not in favorites',
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error removing favorite:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error removing favorite',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Landlord Controller - Handles HTTP requests for landlord operations
+ * @created 2025-06-06
+ * @file landlord.controller.js
+ * @description This controller manages the landlord's own properties and dashboard.
+ */
+
+const BuildingService = require('../services/building.service');
+const DashboardService = require('../services/dashboard.service');
+const logger = require('../utils/logger');
+const { setLinkHeader } = require('../utils/pagination');
+
+/**
+ * @route GET /api/landlord/properties
+ * @description Get buildings owned by the current landlord
+ * @param {string} status - Optional building status filter
+ * @param {string} after - Cursor of the page to continue after
+ * @param {string} before - Cursor of the page to continue before
+ * @param {number} limit - Items per page
+ * @returns {Object} Buildings with pagination
+ */
+exports.getProperties = async (req, res) => {
+  try {
+    const filters = { hostId: req.user._id };
+    if (req.query.status) filters.status = req.query.status;
+
+    const { after, before, limit, sort } = req.query;
+    const buildings = await BuildingService.getAllBuildings({
+      after,
+      before,
+      limit,
+      sort,
+      filters,
+    });
+    setLinkHeader(req, res, buildings.pagination);
+    res.status(200).json({
+      success: true,
+      message: 'Properties retrieved successfully',
+      data: buildings,
+    });
+  } catch (error) {
+    logger.error('Error getting landlord properties:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting properties',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route POST /api/landlord/properties
+ * @description Create a building owned by the current landlord
+ * @param {Object} req.body - Building data
+ * @returns {Object} Created building
+ */
+exports.createProperty = async (req, res) => {
+  try {
+    const building = await BuildingService.createBuilding({
+      ...BuildingService.stripModeratedFields(req.body),
+      hostId: req.user._id,
+    });
+    res.status(201).json({
+      success: true,
+      message: 'Property created successfully',
+      data: building,
+    });
+    logger.info('Property created successfully', { buildingId: building._id });
+  } catch (error) {
+    logger.error('Error creating property:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error creating property',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/landlord/properties/:id
+ * @description Update a building owned by the current landlord
+ * @param {string} id - Building id
+ * @param {Object} req.body - Building data
+ * @returns {Object} Updated building
+ */
+exports.updateProperty = async (req, res) => {
+  try {
+    const building = await BuildingService.updateBuilding(
+      req.params.id,
+      BuildingService.prepareHostUpdate(req.body, req.building)
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Property updated successfully',
+      data: building,
+    });
+  } catch (error) {
+    logger.error('Error updating property:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error updating property',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route DELETE /api/landlord/properties/:id
+ * @description Delete a building owned by the current landlord
+ * @param {string} id - Building id
+ * @returns {Object} Deletion result
+ */
+exports.deleteProperty = async (req, res) => {
+  try {
+    await BuildingService.deleteBuilding(req.params.id);
+    res.status(200).json({
+      success: true,
+      message: 'Property deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting property:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error deleting property',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route GET /api/landlord/dashboard
+ * @description Get the landlord's portfolio with per-building occupancy and revenue
+ * @returns {Object} Dashboard data
+ */
+exports.getDashboard = async (req, res) => {
+  try {
+    const dashboard = await DashboardService.getLandlordDashboard(req.user._id);
+    res.status(200).json({
+      success: true,
+      message: 'Dashboard retrieved successfully',
+      data: dashboard,
+    });
+  } catch (error) {
+    logger.error('Error getting landlord dashboard:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting dashboard',
+      error: error.message,
+    });
+  }
+};
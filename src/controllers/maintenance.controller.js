@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Maintenance Controller - Handles HTTP requests for maintenance tickets
+ * @created 2025-06-06
+ * @file maintenance.controller.js
+ * @description This controller manages renter, landlord and technician maintenance ticket endpoints.
+ */
+
+const MaintenanceService = require('../services/maintenance.service');
+const logger = require('../utils/logger');
+const { setLinkHeader } = require('../utils/pagination');
+
+/**
+ * Respond with a page of tickets for the given owner filter
+ * @param {Object} owner - Owner filter passed to the service
+ * @returns {Function} Express handler
+ */
+const listTickets = (owner) => async (req, res) => {
+  try {
+    const tickets = await MaintenanceService.getTickets(owner(req), req.query);
+    setLinkHeader(req, res, tickets.pagination);
+    res.status(200).json({
+      success: true,
+      message: 'Tickets retrieved successfully',
+      data: tickets,
+    });
+  } catch (error) {
+    logger.error('Error getting maintenance tickets:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting tickets',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route GET /api/renter/maintenance
+ * @description Get tickets reported by the current renter
+ * @param {string} status - Optional ticket status filter
+ * @param {string} priority - Optional priority filter
+ * @param {string} after - Cursor of the page to continue after
+ * @param {string} before - Cursor of the page to continue before
+ * @param {number} limit - Items per page
+ * @param {string} sort - newest or oldest
+ * @returns {Object} Tickets with pagination
+ */
+exports.getRenterTickets = listTickets((req) => ({ reportedBy: req.user._id }));
+
+/**
+ * @route GET /api/landlord/maintenance
+ * @description Get tickets for rooms in the current landlord's buildings
+ * @param {string} status - Optional ticket status filter
+ * @param {string} priority - Optional priority filter
+ * @param {string} after - Cursor of the page to continue after
+ * @param {string} before - Cursor of the page to continue before
+ * @param {number} limit - Items per page
+ * @param {string} sort - newest or oldest
+ * @returns {Object} Tickets with pagination
+ */
+exports.getLandlordTickets = listTickets((req) => ({ hostId: req.user._id }));
+
+/**
+ * @route GET /api/technician/tickets
+ * @description Get tickets assigned to the current technician
+ * @param {string} status - Optional ticket status filter
+ * @param {string} priority - Optional priority filter
+ * @param {string} after - Cursor of the page to continue after
+ * @param {string} before - Cursor of the page to continue before
+ * @param {number} limit - Items per page
+ * @param {string} sort - newest or oldest
+ * @returns {Object} Tickets with pagination
+ */
+exports.getTechnicianTickets = listTickets((req) => ({ technicianId: req.user._id }));
+
+/**
+ * @route GET /api/technician/tickets/:id
+ * @description Get a ticket assigned to the current technician
+ * @param {string} id - Ticket ID
+ * @returns {Object} Ticket
+ */
+exports.getTechnicianTicket = async (req, res) => {
+  try {
+    const ticket = await MaintenanceService.getTicket(req.params.id, {
+      technicianId: req.user._id,
+    });
+    res.status(200).json({
+      success: true,
+      message: 'Ticket retrieved successfully',
+      data: ticket,
+    });
+  } catch (error) {
+    logger.error('Error getting maintenance ticket:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting ticket',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route POST /api/renter/maintenance
+ * @description Report an issue in the current renter's room
+ * @param {Object} req.body - Ticket data (roomId, title, description, priority, blocksRoom)
+ * @param {File[]} images - Photos of the issue (multipart field 'images')
+ * @returns {Object} Created ticket
+ */
+exports.createTicket = async (req, res) => {
+  try {
+    const ticket = await MaintenanceService.createTicket(req.user._id, req.files, req.body);
+    res.status(201).json({
+      success: true,
+      message: 'Ticket created successfully',
+      data: ticket,
+    });
+  } catch (error) {
+    logger.error('Error creating maintenance ticket:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error creating ticket',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/renter/maintenance/:id/cancel
+ * @description Cancel a ticket the current renter reported, before work has started
+ * @param {string} id - Ticket ID
+ * @param {string} reason - Optional reason
+ * @returns {Object} Updated ticket
+ */
+exports.cancelRenterTicket = async (req, res) => {
+  try {
+    const ticket = await MaintenanceService.cancelTicket(
+      req.params.id,
+      { reportedBy: req.user._id },
+      req.body.reason
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Ticket cancelled successfully',
+      data: ticket,
+    });
+  } catch (error) {
+    logger.error('Error cancelling maintenance ticket:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error cancelling ticket',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/landlord/maintenance/:id/cancel
+ * @description Cancel a ticket for one of the current landlord's rooms
+ * @param {string} id - Ticket ID
+ * @param {string} reason - Optional reason
+ * @returns {Object} Updated ticket
+ */
+exports.cancelLandlordTicket = async (req, res) => {
+  try {
+    const ticket = await MaintenanceService.cancelTicket(
+      req.params.id,
+      { hostId: req.user._id },
+      req.body.reason
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Ticket cancelled successfully',
+      data: ticket,
+    });
+  } catch (error) {
+    logger.error('Error cancelling maintenance ticket:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error cancelling ticket',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/landlord/maintenance/:id/assign
+ * @description Assign a ticket to a technician
+ * @param {string} id - Ticket ID
+ * @param {string} technicianId - Technician ID
+ * @param {boolean} blocksRoom - Optionally override whether the room is put under maintenance
+ * @param {string} note - Optional note for the technician
+ * @returns {Object} Updated ticket
+ */
+exports.assignTicket = async (req, res) => {
+  try {
+    const ticket = await MaintenanceService.assignTicket(req.params.id, req.user._id, req.body);
+    res.status(200).json({
+      success: true,
+      message: 'Ticket assigned successfully',
+      data: ticket,
+    });
+  } catch (error) {
+    logger.error('Error assigning maintenance ticket:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error assigning ticket',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route GET /api/landlord/technicians
+ * @description List technicians available for assignment
+ * @returns {Object} Technicians
+ */
+exports.getTechnicians = async (req, res) => {
+  try {
+    const technicians = await MaintenanceService.getTechnicians();
+    res.status(200).json({
+      success: true,
+      message: 'Technicians retrieved successfully',
+      data: technicians,
+    });
+  } catch (error) {
+    logger.error('Error getting technicians:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting technicians',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/technician/tickets/:id/accept
+ * @description Accept a ticket assigned to the current technician
+ * @param {string} id - Ticket ID
+ * @returns {Object} Updated ticket
+ */
+exports.acceptTicket = async (req, res) => {
+  try {
+    const ticket = await MaintenanceService.acceptTicket(req.params.id, req.user._id);
+    res.status(200).json({
+      success: true,
+      message: 'Ticket accepted successfully',
+      data: ticket,
+    });
+  } catch (error) {
+    logger.error('Error accepting maintenance ticket:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error accepting ticket',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/technician/tickets/:id/progress
+ * @description Record progress on an accepted ticket
+ * @param {string} id - Ticket ID
+ * @param {string} note - Progress note
+ * @returns {Object} Updated ticket
+ */
+exports.updateProgress = async (req, res) => {
+  try {
+    const ticket = await MaintenanceService.updateProgress(
+      req.params.id,
+      req.user._id,
+      req.body.note
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Ticket progress updated successfully',
+      data: ticket,
+    });
+  } catch (error) {
+    logger.error('Error updating maintenance ticket progress:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error updating ticket progress',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/technician/tickets/:id/close
+ * @description Close a ticket once the issue is fixed
+ * @param {string} id - Ticket ID
+ * @param {string} resolution - Description of the fix
+ * @returns {Object} Updated ticket
+ */
+exports.closeTicket = async (req, res) => {
+  try {
+    const ticket = await MaintenanceService.closeTicket(
+      req.params.id,
+      req.user._id,
+      req.body.resolution
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Ticket closed successfully',
+      data: ticket,
+    });
+  } catch (error) {
+    logger.error('Error closing maintenance ticket:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error closing ticket',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Renter Controller - Handles HTTP requests for renter operations
+ * @created 2025-06-06
+ * @file renter.controller.js
+ * @description This controller manages the renter dashboard.
+ */
+
+const DashboardService = require('../services/dashboard.service');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/renter/dashboard
+ * @description Get the renter's bookings, favorites, recently viewed rooms and recommendations
+ * @returns {Object} Dashboard data
+ */
+exports.getDashboard = async (req, res) => {
+  try {
+    const dashboard = await DashboardService.getRenterDashboard(req.user._id);
+    res.status(200).json({
+      success: true,
+      message: 'Dashboard retrieved successfully',
+      data: dashboard,
+    });
+  } catch (error) {
+    logger.error('Error getting renter dashboard:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting dashboard',
+      error: error.message,
+    });
+  }
+};
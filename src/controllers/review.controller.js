@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Review Controller - Handles HTTP requests for reviews
+ * @created 2025-06-06
+ * @file review.controller.js
+ * @description This controller manages review listing, writing, editing, deletion and landlord replies.
+ */
+
+const ReviewService = require('../services/review.service');
+const logger = require('../utils/logger');
+const { setLinkHeader } = require('../utils/pagination');
+
+/**
+ * @route GET /api/reviews
+ * @description Get visible reviews of a room, building, landlord or renter; reviews of
+ * renters require a landlord, admin or the renter themself
+ * @param {string} targetType - room, building, landlord or renter
+ * @param {string} targetId - Reviewed entity id
+ * @param {string} after - Cursor of the page to continue after
+ * @param {string} before - Cursor of the page to continue before
+ * @param {number} limit - Items per page
+ * @param {string} sort - newest, highest or lowest
+ * @returns {Object} Reviews with pagination
+ */
+exports.getReviews = async (req, res) => {
+  try {
+    const { targetType, targetId, after, before, limit, sort } = req.query;
+    const reviews = await ReviewService.getReviews(
+      {
+        targetType,
+        targetId,
+        after,
+        before,
+        limit,
+        sort,
+      },
+      req.user
+    );
+    setLinkHeader(req, res, reviews.pagination);
+    res.status(200).json({
+      success: true,
+      message: 'Reviews retrieved successfully',
+      data: reviews,
+    });
+  } catch (error) {
+    logger.error('Error getting reviews:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting reviews',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route POST /api/reviews
+ * @description Review a completed booking: renters review the room, building or landlord,
+ * landlords review the renter
+ * @param {Object} req.body - Review data (bookingId, targetType, rating or criteria, comment)
+ * @returns {Object} Created review
+ */
+exports.createReview = async (req, res) => {
+  try {
+    const review = await ReviewService.createReview(req.user, req.body);
+    res.status(201).json({
+      success: true,
+      message: 'Review created successfully',
+      data: review,
+    });
+  } catch (error) {
+    logger.error('Error creating review:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error creating review',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/reviews/:id
+ * @description Edit the current user's review
+ * @param {string} id - Review ID
+ * @param {Object} req.body - Rating or criteria, and/or comment
+ * @returns {Object} Updated review
+ */
+exports.updateReview = async (req, res) => {
+  try {
+    const review = await ReviewService.updateReview(req.params.id, req.user._id, req.body);
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review,
+    });
+  } catch (error) {
+    logger.error('Error updating review:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error updating review',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route DELETE /api/reviews/:id
+ * @description Delete a review (its author or an admin)
+ * @param {string} id - Review ID
+ * @returns {Object} Deletion result
+ */
+exports.deleteReview = async (req, res) => {
+  try {
+    await ReviewService.deleteReview(req.params.id, req.user);
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting review:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error deleting review',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route POST /api/reviews/:id/reply
+ * @description Reply once to a review of the current landlord's property
+ * @param {string} id - Review ID
+ * @param {string} comment - Reply text
+ * @returns {Object} Updated review
+ */
+exports.replyToReview = async (req, res) => {
+  try {
+    const review = await ReviewService.replyToReview(req.params.id, req.user._id, req.body.comment);
+    res.status(200).json({
+      success: true,
+      message: 'Reply added successfully',
+      data: review,
+    });
+  } catch (error) {
+    logger.error('Error replying to review:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error replying to review',
+      error: error.message,
+    });
+  }
+};
@@ -6,16 +6,25 @@
  */
 
 const RoomService = require('../services/room.service');
+const RecommendationService = require('../services/recommendation.service');
 const logger = require('../utils/logger');
+const { setLinkHeader } = require('../utils/pagination');
 
 /**
  * @route GET /api/rooms
- * @description Get all rooms
- * @returns {Object} Room data
+ * @description Get all rooms with cursor pagination; next and previous pages are also
+ * returned in the Link header
+ * @param {string} after - Cursor of the page to continue after
+ * @param {string} before - Cursor of the page to continue before
+ * @param {number} limit - Items per page
+ * @param {string} sort - price_asc, price_desc, rating, newest or viewCount
+ * @returns {Object} Room data with pagination
  */
 exports.getAllRooms = async (req, res) => {
   try {
-    const rooms = await RoomService.getAllRooms(req.query);
+    const { after, before, limit, sort } = req.query;
+    const rooms = await RoomService.getAllRooms({ after, before, limit, sort });
+    setLinkHeader(req, res, rooms.pagination);
     res.status(200).json({
       success: true,
       message: 'Rooms retrieved successfully',
@@ -24,7 +33,7 @@ exports.getAllRooms = async (req, res) => {
     logger.info('Rooms retrieved successfully');
   } catch (error) {
     logger.error('Error getting all rooms:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error getting all rooms',
       error: error.message,
@@ -55,6 +64,8 @@ exports.getRoomById = async (req, res) => {
     const room = await RoomService.getRoomById(roomId);
     logger.info('Room found:', { roomId, status: room?.status });
 
+    await RoomService.recordView(roomId, req.user);
+
     return res.status(200).json({
       success: true,
       message: 'Room retrieved successfully',
@@ -183,7 +194,7 @@ exports.searchRooms = async (req, res) => {
     logger.info('Room search completed successfully');
   } catch (error) {
     logger.error('Error searching rooms:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error searching rooms',
       error: error.message,
@@ -193,34 +204,26 @@ exports.searchRooms = async (req, res) => {
 
 /**
  * @route GET /api/rooms/filter
- * @description Filter rooms by criteria
- * @param {Object} filters - Filter criteria
- * @param {number} filters.minPrice - Minimum price
- * @param {number} filters.maxPrice - Maximum price
- * @param {number} filters.minArea - Minimum area
- * @param {number} filters.maxArea - Maximum area
- * @param {string[]} filters.amenities - Required amenities
- * @param {number} page - Page number
- * @param {number} limit - Items per page
- * @returns {Object} Filtered rooms with pagination
+ * @description Filter rooms with typed criteria, sorting and facet counts
+ * @param {number} minPrice, maxPrice - Monthly rent range
+ * @param {number} minTotalPrice, maxTotalPrice - Rent plus utilities range
+ * @param {number} minArea, maxArea - Area range
+ * @param {number} minCapacity, maxCapacity - Capacity range
+ * @param {string} features - Comma-separated feature flags, or individual flags like hasAircon=true
+ * @param {string} status - Comma-separated room statuses
+ * @param {string} amenities - Comma-separated utility names
+ * @param {string} city, district - Building location
+ * @param {string} sort - price_asc, price_desc, rating, newest or viewCount
+ * @returns {Object} Filtered rooms with pagination and facets
  */
 exports.filterRooms = async (req, res) => {
   try {
     // Get parameters from both query and body
-    const filters = {
-      minPrice: req.query.minPrice || req.body.minPrice,
-      maxPrice: req.query.maxPrice || req.body.maxPrice,
-      minArea: req.query.minArea || req.body.minArea,
-      maxArea: req.query.maxArea || req.body.maxArea,
-      amenities: (req.query.amenities || req.body.amenities)?.split(','),
-    };
+    const { page, limit, sort, ...filters } = { ...req.body, ...req.query };
 
-    const page = parseInt(req.query.page || req.body.page || 1);
-    const limit = parseInt(req.query.limit || req.body.limit || 10);
+    logger.info('Filtering rooms:', { filters, page, limit, sort });
 
-    logger.info('Filtering rooms:', { filters, page, limit });
-
-    const filteredRooms = await RoomService.filterRooms(filters, { page, limit });
+    const filteredRooms = await RoomService.filterRooms(filters, { page, limit, sort });
     res.status(200).json({
       success: true,
       message: 'Rooms filtered successfully',
@@ -229,10 +232,91 @@ exports.filterRooms = async (req, res) => {
     logger.info('Room filtering completed successfully');
   } catch (error) {
     logger.error('Error filtering rooms:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error filtering rooms',
       error: error.message,
     });
   }
 };
+
+/**
+ * @route GET /api/rooms/recommended
+ * @description Get available rooms ranked against the current user's preferences
+ * @param {number} limit - Maximum number of rooms
+ * @returns {Object} Ranked rooms with score and match reasons
+ */
+exports.getRecommendedRooms = async (req, res) => {
+  try {
+    const recommendations = await RecommendationService.getRecommendations(req.user._id, {
+      limit: req.query.limit,
+    });
+    res.status(200).json({
+      success: true,
+      message: 'Recommended rooms retrieved successfully',
+      data: recommendations,
+    });
+  } catch (error) {
+    logger.error('Error getting recommended rooms:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting recommended rooms',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route GET /api/rooms/nearby
+ * @description Get rooms within a radius of a point, sorted by distance
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} radius - Radius in meters (default 5000)
+ * @param {number} minPrice - Minimum monthly rent
+ * @param {number} maxPrice - Maximum monthly rent
+ * @param {string} status - Room status (default available)
+ * @returns {Object} Rooms with distance in meters
+ */
+exports.getNearbyRooms = async (req, res) => {
+  try {
+    const rooms = await RoomService.getNearbyRooms(req.query);
+    res.status(200).json({
+      success: true,
+      message: 'Nearby rooms retrieved successfully',
+      data: rooms,
+    });
+  } catch (error) {
+    logger.error('Error getting nearby rooms:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting nearby rooms',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route POST /api/rooms/:id/images
+ * @description Upload images for a room; they are stored unverified until an admin reviews them
+ * @param {string} id - Room id
+ * @param {Array<File>} images - Multipart image files (JPEG, PNG or WebP)
+ * @returns {Object} Updated room
+ */
+exports.uploadRoomImages = async (req, res) => {
+  try {
+    const room = await RoomService.addImages(req.params.id, req.files);
+    res.status(201).json({
+      success: true,
+      message: 'Images uploaded successfully',
+      data: room,
+    });
+    logger.info('Room images uploaded', { roomId: req.params.id, count: req.files.length });
+  } catch (error) {
+    logger.error('Error uploading room images:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error uploading images',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Search Controller - Handles HTTP requests for search
+ * @created 2025-06-06
+ * @file search.controller.js
+ * @description This controller manages the unified room and building search endpoint.
+ */
+
+const SearchService = require('../services/search.service');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/search
+ * @description Search buildings and rooms, ranked by relevance
+ * @param {string} q - Search keywords
+ * @param {string} type - Optional result type: building or room
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Object} Mixed results with type, score and item, plus pagination
+ */
+exports.search = async (req, res) => {
+  try {
+    const { q, type, page, limit } = req.query;
+    const results = await SearchService.search(q, { type, page, limit });
+    res.status(200).json({
+      success: true,
+      message: 'Search completed',
+      data: results,
+    });
+  } catch (error) {
+    logger.error('Error searching:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error searching',
+      error: error.message,
+    });
+  }
+};
@@ -7,6 +7,9 @@
 
 const User = require('../models/user.model');
 const createError = require('http-errors');
+const LockoutService = require('../services/lockout.service');
+const SessionService = require('../services/session.service');
+const { paginate, resolveSort, setLinkHeader } = require('../utils/pagination');
 
 // Helper function for consistent response format
 const sendResponse = (res, data, message = 'Success') => {
@@ -17,11 +20,47 @@ const sendResponse = (res, data, message = 'Success') => {
   });
 };
 
-// Get all users
+// Fields users may change on their own profile; everything else goes through its own flow
+const PROFILE_FIELDS = [
+  'name',
+  'phone',
+  'address',
+  'dob',
+  'gender',
+  'preferredUtilities',
+  'preferredPriceRange',
+  'avatar',
+  'notificationSettings',
+];
+
+const USER_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  name: { name: 1, _id: 1 },
+};
+
+// Get all users with cursor pagination, optionally filtered by role
 exports.getUsers = async (req, res, next) => {
   try {
-    const users = await User.find().select('-password');
-    sendResponse(res, users, 'Users retrieved successfully');
+    const { after, before, limit, sort, role } = req.query;
+    const filters = {};
+    if (role) {
+      if (!User.schema.path('role').enumValues.includes(role)) {
+        throw createError(400, 'Invalid role');
+      }
+      filters.role = role;
+    }
+
+    const { items, pagination } = await paginate(User, {
+      filters,
+      sort: resolveSort(USER_SORTS, sort, 'newest'),
+      after,
+      before,
+      limit,
+      prepare: (query) => query.select('-password'),
+    });
+    setLinkHeader(req, res, pagination);
+    sendResponse(res, { users: items, pagination }, 'Users retrieved successfully');
   } catch (error) {
     next(error);
   }
@@ -40,11 +79,118 @@ exports.getUserById = async (req, res, next) => {
   }
 };
 
+// Ban a user, optionally until a given time, and sign them out everywhere
+exports.banUser = async (req, res, next) => {
+  try {
+    const { reason, until } = req.body;
+    if (!reason || !reason.toString().trim()) {
+      throw createError(400, 'Ban reason is required');
+    }
+    if (req.user._id.toString() === req.params.id) {
+      throw createError(400, 'You cannot ban yourself');
+    }
+
+    let bannedUntil;
+    if (until) {
+      bannedUntil = new Date(until);
+      if (Number.isNaN(bannedUntil.getTime()) || bannedUntil <= new Date()) {
+        throw createError(400, 'Ban expiry must be a future date');
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        $set: {
+          isBanned: true,
+          banReason: reason.toString().trim(),
+          bannedAt: new Date(),
+          bannedBy: req.user._id,
+          ...(bannedUntil && { bannedUntil }),
+        },
+        ...(!bannedUntil && { $unset: { bannedUntil: '' } }),
+      },
+      { new: true, runValidators: true }
+    ).select('-password');
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+
+    await SessionService.invalidateAll(user._id, 'banned');
+    sendResponse(res, user, 'User banned successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Lift a user's ban
+exports.unbanUser = async (req, res, next) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        $set: { isBanned: false },
+        $unset: { banReason: '', bannedUntil: '', bannedAt: '', bannedBy: '' },
+      },
+      { new: true }
+    ).select('-password');
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+
+    sendResponse(res, user, 'User unbanned successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a user's login lockout state and past lockouts
+exports.getUserLockout = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('email loginHistory');
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+
+    const lockout = await LockoutService.getLockout(user.email);
+    const history = user.loginHistory
+      .filter((entry) => entry.event === 'lockout')
+      .sort((a, b) => b.timestamp - a.timestamp);
+    sendResponse(res, { ...lockout, history }, 'Lockout retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unlock a user locked out after failed logins
+exports.clearUserLockout = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('email');
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+
+    const wasLocked = await LockoutService.clear(user.email);
+    sendResponse(
+      res,
+      { wasLocked },
+      wasLocked ? 'User unlocked successfully' : 'User was not locked'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Update user
 exports.updateUser = async (req, res, next) => {
   try {
     const updateData = { ...req.body };
     delete updateData.password;
+    // Bans go through the ban endpoint so the user's sessions are revoked
+    const banFields = ['isBanned', 'banReason', 'bannedUntil', 'bannedAt', 'bannedBy'];
+    Object.keys(updateData)
+      .filter((key) => key.startsWith('$') || [...banFields, 'tokensValidAfter'].includes(key))
+      .forEach((key) => delete updateData[key]);
 
     const user = await User.findByIdAndUpdate(req.params.id, updateData, {
       new: true,
@@ -90,8 +236,10 @@ exports.getProfile = async (req, res, next) => {
 // Update user profile
 exports.updateProfile = async (req, res, next) => {
   try {
-    const updateData = { ...req.body };
-    delete updateData.password;
+    const updateData = {};
+    PROFILE_FIELDS.filter((field) => req.body[field] !== undefined).forEach((field) => {
+      updateData[field] = req.body[field];
+    });
 
     const user = await User.findByIdAndUpdate(req.user._id, updateData, {
       new: true,
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Verification Controller - Handles HTTP requests for identity verification
+ * @created 2025-06-06
+ * @file verification.controller.js
+ * @description This controller manages identity document submission, document images and the admin review queue.
+ */
+
+const VerificationService = require('../services/verification.service');
+const logger = require('../utils/logger');
+
+/**
+ * @route POST /api/users/verification-documents
+ * @description Submit an identity document for review
+ * @param {string} type - idCard, passport or driverLicense
+ * @param {string} number - Document number
+ * @param {File} image - Photo of the document (multipart field 'image')
+ * @returns {Object} Submitted document
+ */
+exports.submitDocument = async (req, res) => {
+  try {
+    const document = await VerificationService.submitDocument(req.user._id, req.file, req.body);
+    res.status(201).json({
+      success: true,
+      message: 'Document submitted for review',
+      data: document,
+    });
+  } catch (error) {
+    logger.error('Error submitting verification document:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error submitting verification document',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route GET /api/users/verification-documents
+ * @description Get the current user's identity documents and verification status
+ * @returns {Object} Documents and identityVerified flag
+ */
+exports.getDocuments = async (req, res) => {
+  try {
+    const documents = await VerificationService.getDocuments(req.user._id);
+    res.status(200).json({
+      success: true,
+      message: 'Verification documents retrieved successfully',
+      data: documents,
+    });
+  } catch (error) {
+    logger.error('Error getting verification documents:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting verification documents',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route GET /api/users/verification-documents/:documentId/image
+ * @description Get the image of an identity document (its owner or an admin)
+ * @param {string} documentId - Document ID
+ * @returns {Buffer} Document image
+ */
+exports.getDocumentImage = async (req, res) => {
+  try {
+    const image = await VerificationService.getDocumentImage(req.params.documentId, req.user);
+    res.set({ 'Content-Type': image.contentType, 'Cache-Control': 'private, no-store' });
+    res.status(200).send(image.buffer);
+  } catch (error) {
+    logger.error('Error getting verification document image:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting verification document image',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route GET /api/admin/verifications
+ * @description Get identity documents waiting for review, oldest first
+ * @param {string} status - pending (default), approved or rejected
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Object} Documents with pagination
+ */
+exports.getQueue = async (req, res) => {
+  try {
+    const queue = await VerificationService.getQueue(req.query);
+    res.status(200).json({
+      success: true,
+      message: 'Verification queue retrieved successfully',
+      data: queue,
+    });
+  } catch (error) {
+    logger.error('Error getting verification queue:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error getting verification queue',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route PUT /api/admin/verifications/:documentId
+ * @description Approve or reject an identity document
+ * @param {string} documentId - Document ID
+ * @param {string} action - approve or reject
+ * @param {string} reason - Rejection reason, required when rejecting
+ * @returns {Object} Reviewed document
+ */
+exports.reviewDocument = async (req, res) => {
+  try {
+    const result = await VerificationService.reviewDocument(
+      req.params.documentId,
+      req.user._id,
+      req.body
+    );
+    res.status(200).json({
+      success: true,
+      message: `Document ${result.document.status} successfully`,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error reviewing verification document:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error reviewing verification document',
+      error: error.message,
+    });
+  }
+};
@@ -6,7 +6,49 @@
  */
 
 const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
 const AuthService = require('../services/auth.service');
+const SessionService = require('../services/session.service');
+
+/**
+ * Verify an access token. Other tokens signed with the same secret, such as email verification
+ * and password reset tokens, carry no access type or session and are rejected.
+ * @param {string} token - JWT from the request
+ * @returns {Promise<Object>} Verified JWT payload
+ * @throws {Object} UNAUTHORIZED when the token is not an access token or its session has ended
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.typ !== 'access' || !decoded.sid) {
+    throw { code: 'UNAUTHORIZED', message: 'Invalid token' };
+  }
+  // Tokens of a signed-out device stop working before they expire
+  if (!(await SessionService.isActive(decoded.sid))) {
+    throw { code: 'UNAUTHORIZED', message: 'Session has been signed out' };
+  }
+  return decoded;
+};
+
+/**
+ * Load the token's user and check it may still use the token
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<Object>} User document
+ * @throws {Object} UNAUTHORIZED when the user is gone or the token predates a sign-out
+ * @throws {AuthorizationError} When the user is banned
+ */
+const loadTokenUser = async (decoded) => {
+  const user = await User.findById(decoded.userId).select(
+    'isBanned banReason bannedUntil isVerified tokensValidAfter'
+  );
+  if (!user) {
+    throw { code: 'UNAUTHORIZED', message: 'User no longer exists' };
+  }
+  if (user.tokensValidAfter && decoded.iat * 1000 < user.tokensValidAfter.getTime()) {
+    throw { code: 'UNAUTHORIZED', message: 'Token has been revoked, please log in again' };
+  }
+  await AuthService.assertNotBanned(user);
+  return user;
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -22,13 +64,23 @@ const auth = async (req, res, next) => {
       throw { code: 'UNAUTHORIZED', message: 'Token has been revoked' };
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
+    const user = await loadTokenUser(decoded);
+
     req.user = {
       _id: decoded.userId,
       role: decoded.role,
+      sessionId: decoded.sid,
+      isVerified: user.isVerified,
     };
     next();
   } catch (error) {
+    if (error.code === 'UNAUTHORIZED') {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
@@ -45,6 +97,32 @@ const auth = async (req, res, next) => {
   }
 };
 
+/**
+ * Attach req.user when a valid token is sent, but let anonymous requests through.
+ * Used on public routes that personalize their behaviour for signed-in users.
+ */
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1] || req.cookies?.token;
+    if (!token || (await AuthService.isTokenBlacklisted(token))) {
+      return next();
+    }
+
+    const decoded = await verifyAccessToken(token);
+    const user = await loadTokenUser(decoded);
+
+    req.user = {
+      _id: decoded.userId,
+      role: decoded.role,
+      sessionId: decoded.sid,
+      isVerified: user.isVerified,
+    };
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous access
+  }
+  next();
+};
+
 const roleMiddleware = (...roles) => {
   return (req, res, next) => {
     if (!req.user || !req.user.role) {
@@ -64,7 +142,24 @@ const roleMiddleware = (...roles) => {
   };
 };
 
+/**
+ * Block unverified email addresses when REQUIRE_VERIFIED_EMAIL is enabled.
+ * Used on routes that create listings or bookings.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL !== 'true' || req.user?.isVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address before continuing',
+  });
+};
+
 module.exports = {
   auth,
+  optionalAuth,
   roleMiddleware,
+  requireVerifiedEmail,
 };
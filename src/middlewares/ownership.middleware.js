@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Ownership Middleware - Restricts property mutations to their owners
+ * @created 2025-06-06
+ * @file ownership.middleware.js
+ * @description This file defines middleware that checks the authenticated landlord owns the
+ * building or room being changed. Admins bypass the check.
+ */
+
+const mongoose = require('mongoose');
+const Room = require('../models/room.model');
+const BuildingService = require('../services/building.service');
+const logger = require('../utils/logger');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const sendError = (res, error) => {
+  if (!error.statusCode) {
+    logger.error('Ownership check error:', { error: error.message, stack: error.stack });
+  }
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Error checking ownership',
+  });
+};
+
+/**
+ * Require the current user to own the building resolved from the request
+ * @param {Function} [getBuildingId] - Resolves the building id, defaults to req.params.id
+ * @returns {Function} Express middleware; sets req.building on success
+ */
+const ownsBuilding = (getBuildingId = (req) => req.params.id) => {
+  return async (req, res, next) => {
+    try {
+      if (req.user.role === 'admin') return next();
+
+      req.building = await BuildingService.assertOwnership(getBuildingId(req), req.user._id);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+};
+
+/**
+ * Require the current user to own the building of the room resolved from the request.
+ * When the body moves the room to another building, that building must be owned too.
+ * @param {Function} [getRoomId] - Resolves the room id, defaults to req.params.id
+ * @returns {Function} Express middleware; sets req.room and req.building on success
+ */
+const ownsRoom = (getRoomId = (req) => req.params.id) => {
+  return async (req, res, next) => {
+    try {
+      if (req.user.role === 'admin') return next();
+
+      const roomId = getRoomId(req);
+      if (!roomId || !mongoose.Types.ObjectId.isValid(roomId)) {
+        throw new ValidationError('Invalid room ID format');
+      }
+
+      const room = await Room.findById(roomId).select('buildingId').lean();
+      if (!room) {
+        throw new NotFoundError(`Room with id ${roomId} not found`);
+      }
+
+      req.room = room;
+      req.building = await BuildingService.assertOwnership(room.buildingId, req.user._id);
+
+      const targetBuildingId = req.body?.buildingId;
+      if (targetBuildingId && targetBuildingId.toString() !== room.buildingId.toString()) {
+        await BuildingService.assertOwnership(targetBuildingId, req.user._id);
+      }
+
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+};
+
+module.exports = {
+  ownsBuilding,
+  ownsRoom,
+};
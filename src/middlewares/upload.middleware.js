@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Upload Middleware - Parses multipart image and document uploads
+ * @created 2025-06-06
+ * @file upload.middleware.js
+ * @description This file defines middleware that reads uploaded files into memory, enforcing the
+ * configured size, count and MIME type limits before they reach the services.
+ */
+
+const multer = require('multer');
+const uploadConfig = require('../config/upload');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each file must be at most ${Math.round(
+    uploadConfig.maxFileSize / 1024 / 1024
+  )}MB`,
+  LIMIT_FILE_COUNT: `At most ${uploadConfig.maxFiles} files can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field',
+};
+
+/**
+ * Create a multer instance holding files in memory and accepting only the given MIME types
+ * @param {Array<string>} mimeTypes - Accepted MIME types
+ * @param {string} typeMessage - Description of the accepted types for error messages
+ * @returns {Object} Multer instance
+ */
+const createUploader = (mimeTypes, typeMessage) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: uploadConfig.maxFileSize,
+      files: uploadConfig.maxFiles,
+    },
+    fileFilter: (req, file, cb) => {
+      if (!mimeTypes.includes(file.mimetype)) {
+        return cb(new ValidationError(`${file.originalname} must be ${typeMessage}`));
+      }
+      cb(null, true);
+    },
+  });
+
+const imageUploader = createUploader(uploadConfig.allowedMimeTypes, 'a JPEG, PNG or WebP image');
+const documentUploader = createUploader(uploadConfig.documentMimeTypes, 'a PDF or DOCX document');
+
+/**
+ * Run a multer handler, answering parse and validation errors with a 400 response
+ * @param {Function} parse - Multer middleware
+ * @returns {Function} Express middleware
+ */
+const handleUpload = (parse) => {
+  return (req, res, next) => {
+    parse(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: MULTER_MESSAGES[error.code] || error.message,
+        });
+      }
+      if (!error.statusCode) {
+        logger.error('Upload parsing error:', { error: error.message, stack: error.stack });
+      }
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Error uploading files',
+      });
+    });
+  };
+};
+
+/**
+ * Accept up to the configured number of images in a multipart field
+ * @param {string} [field] - Form field name, defaults to 'images'
+ * @returns {Function} Express middleware; sets req.files on success
+ */
+const uploadImages = (field = 'images') =>
+  handleUpload(imageUploader.array(field, uploadConfig.maxFiles));
+
+/**
+ * Accept a single image in a multipart field
+ * @param {string} [field] - Form field name, defaults to 'image'
+ * @returns {Function} Express middleware; sets req.file on success
+ */
+const uploadImage = (field = 'image') => handleUpload(imageUploader.single(field));
+
+/**
+ * Accept a single PDF or DOCX document in a multipart field
+ * @param {string} [field] - Form field name, defaults to 'file'
+ * @returns {Function} Express middleware; sets req.file on success
+ */
+const uploadDocument = (field = 'file') => handleUpload(documentUploader.single(field));
+
+module.exports = {
+  uploadImages,
+  uploadImage,
+  uploadDocument,
+};
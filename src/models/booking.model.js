@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Booking Model - Defines the booking schema and methods
+ * @created 2025-06-06
+ * @file booking.model.js
+ * @description This file defines the booking schema, its status state machine and helper methods.
+ */
+
+const mongoose = require('mongoose');
+
+// Allowed status transitions: pending → approved/rejected → active → completed/cancelled
+const BOOKING_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled'],
+  approved: ['active', 'cancelled'],
+  active: ['completed', 'cancelled'],
+  rejected: [],
+  completed: [],
+  cancelled: [],
+};
+
+// Statuses that hold the room for their date range
+const HOLDING_STATUSES = ['approved', 'active'];
+
+const bookingSchema = new mongoose.Schema(
+  {
+    renterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      required: true,
+      index: true,
+    },
+    buildingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Building',
+      required: true,
+      index: true,
+    },
+    hostId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    moveInDate: {
+      type: Date,
+      required: [true, 'Move-in date is required'],
+    },
+    leaseMonths: {
+      type: Number,
+      required: [true, 'Lease length is required'],
+      min: [1, 'Lease must be at least 1 month'],
+      max: [60, 'Lease cannot exceed 60 months'],
+    },
+    moveOutDate: {
+      type: Date,
+    },
+    monthlyRent: {
+      type: Number,
+      min: [0, 'Rent cannot be negative'],
+    },
+    deposit: {
+      type: Number,
+      default: 0,
+      min: [0, 'Deposit cannot be negative'],
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxLength: 500,
+    },
+    // Version of the building's house rules the renter accepted when booking
+    acceptedRulesVersion: {
+      type: Number,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: Object.keys(BOOKING_TRANSITIONS),
+      default: 'pending',
+      index: true,
+    },
+    statusHistory: [
+      {
+        status: { type: String, enum: Object.keys(BOOKING_TRANSITIONS), required: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reason: { type: String, trim: true, maxLength: 500 },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+bookingSchema.index({ roomId: 1, status: 1 });
+bookingSchema.index({ hostId: 1, status: 1 });
+bookingSchema.index({ roomId: 1, moveInDate: 1, moveOutDate: 1 });
+
+// Virtual fields
+bookingSchema.virtual('isOpen').get(function () {
+  return ['pending', 'approved', 'active'].includes(this.status);
+});
+
+// Pre-validate middleware: derive the move-out date from the lease length
+bookingSchema.pre('validate', function (next) {
+  if (this.moveInDate && this.leaseMonths) {
+    const moveOutDate = new Date(this.moveInDate);
+    moveOutDate.setMonth(moveOutDate.getMonth() + this.leaseMonths);
+    this.moveOutDate = moveOutDate;
+  }
+  next();
+});
+
+// Static methods
+bookingSchema.statics.getTransitions = function () {
+  return BOOKING_TRANSITIONS;
+};
+
+// Find a booking holding the room for any part of [moveInDate, moveOutDate)
+bookingSchema.statics.findOverlapping = function (roomId, moveInDate, moveOutDate, excludeId) {
+  const query = {
+    roomId,
+    status: { $in: HOLDING_STATUSES },
+    moveInDate: { $lt: moveOutDate },
+    moveOutDate: { $gt: moveInDate },
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return this.findOne(query);
+};
+
+// Instance methods
+bookingSchema.methods.canTransitionTo = function (status) {
+  return (BOOKING_TRANSITIONS[this.status] || []).includes(status);
+};
+
+bookingSchema.methods.transitionTo = function (status, changedBy, reason) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change booking status from ${this.status} to ${status}`);
+  }
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, reason });
+  return this;
+};
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
@@ -31,6 +31,18 @@ const buildingSchema = new mongoose.Schema(
         lng: { type: Number, required: true, min: -180, max: 180 },
       },
     },
+    // GeoJSON point mirrored from address.coordinates for proximity queries
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+      },
+      coordinates: {
+        type: [Number], // [lng, lat]
+        default: undefined,
+      },
+    },
     description: {
       type: String,
       trim: true,
@@ -58,7 +70,27 @@ const buildingSchema = new mongoose.Schema(
         maxLength: 100,
       },
     ],
+    // URL of the current house rules document; earlier versions are kept in rulesVersions
     rulesFile: String,
+    rulesVersion: { type: Number, default: 0 },
+    rulesVersions: {
+      type: [
+        {
+          _id: false,
+          version: { type: Number, required: true },
+          url: { type: String, required: true },
+          storageKey: { type: String, required: true },
+          fileName: String,
+          contentType: String,
+          size: Number,
+          uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          uploadedAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
+    // Bookings can only be approved for renters with an admin-approved identity document
+    requireVerifiedRenter: { type: Boolean, default: false },
     mapLink: String,
     seoTitle: {
       type: String,
@@ -76,6 +108,11 @@ const buildingSchema = new mongoose.Schema(
       min: 0,
       max: 5,
     },
+    reviewCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     totalRooms: {
       type: Number,
       required: true,
@@ -95,6 +132,7 @@ const buildingSchema = new mongoose.Schema(
     images: [
       {
         url: { type: String, required: true },
+        thumbnailUrl: String,
         type: {
           type: String,
           enum: ['exterior', 'interior', 'room', 'amenity'],
@@ -118,10 +156,23 @@ const buildingSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['active', 'inactive', 'pending'],
+      enum: ['active', 'inactive', 'pending', 'rejected'],
       default: 'pending',
       index: true,
     },
+    moderationHistory: [
+      {
+        action: {
+          type: String,
+          enum: ['approved', 'rejected', 'image_verified', 'image_unverified'],
+          required: true,
+        },
+        reason: { type: String, trim: true, maxLength: 500 },
+        imageId: { type: mongoose.Schema.Types.ObjectId },
+        moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        moderatedAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -136,6 +187,31 @@ buildingSchema.index({ 'address.district': 1 });
 buildingSchema.index({ avgPrice: 1 });
 buildingSchema.index({ rating: -1 });
 buildingSchema.index({ 'premiumFeatures.isPremium': 1 });
+buildingSchema.index({ location: '2dsphere' });
+buildingSchema.index(
+  {
+    name: 'text',
+    description: 'text',
+    highlightPoints: 'text',
+    amenities: 'text',
+    'address.ward': 'text',
+    'address.district': 'text',
+    'address.city': 'text',
+  },
+  {
+    name: 'building_text_search',
+    default_language: 'none',
+    weights: {
+      name: 10,
+      'address.district': 6,
+      'address.city': 6,
+      'address.ward': 5,
+      amenities: 4,
+      highlightPoints: 3,
+      description: 1,
+    },
+  }
+);
 
 // Virtual fields
 buildingSchema.virtual('occupancyRate').get(function () {
@@ -147,6 +223,11 @@ buildingSchema.virtual('isPremium').get(function () {
   return this.premiumFeatures.isPremium && this.premiumFeatures.premiumUntil > new Date();
 });
 
+const toPoint = (coordinates) => ({
+  type: 'Point',
+  coordinates: [coordinates.lng, coordinates.lat],
+});
+
 // Pre-save middleware
 buildingSchema.pre('save', function (next) {
   if (this.availableRooms > this.totalRooms) {
@@ -155,11 +236,54 @@ buildingSchema.pre('save', function (next) {
   next();
 });
 
+buildingSchema.pre('validate', function (next) {
+  const coordinates = this.address?.coordinates;
+  if (coordinates?.lat !== undefined && coordinates?.lng !== undefined) {
+    this.location = toPoint(coordinates);
+  }
+  next();
+});
+
+// Keep location in sync when coordinates change through findOneAndUpdate
+buildingSchema.post('findOneAndUpdate', async function () {
+  const update = this.getUpdate() || {};
+  const fields = Object.keys({ ...update, ...update.$set });
+  const touchesCoordinates = fields.some(
+    (field) => field === 'address' || field.startsWith('address.coordinates')
+  );
+  if (!touchesCoordinates) return;
+
+  const building = await this.model.findOne(this.getQuery()).select('address.coordinates').lean();
+  if (building?.address?.coordinates) {
+    await this.model.updateOne(
+      { _id: building._id },
+      { $set: { location: toPoint(building.address.coordinates) } }
+    );
+  }
+});
+
 // Static methods
 buildingSchema.statics.findByCity = function (city) {
   return this.find({ 'address.city': city });
 };
 
+// Backfill location for buildings saved before it was introduced
+buildingSchema.statics.syncMissingLocations = function () {
+  return this.updateMany(
+    { 'location.coordinates': { $exists: false }, 'address.coordinates.lat': { $exists: true } },
+    [
+      {
+        $set: {
+          location: {
+            type: 'Point',
+            coordinates: ['$address.coordinates.lng', '$address.coordinates.lat'],
+          },
+        },
+      },
+    ]
+  );
+};
+
 buildingSchema.statics.findPremium = function () {
   return this.find({
     'premiumFeatures.isPremium': true,
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Favorite Model - Defines the favorite schema
+ * @created 2025-06-06
+ * @file favorite.model.js
+ * @description This file defines the favorite schema linking a renter to a room or a building.
+ */
+
+const mongoose = require('mongoose');
+
+const favoriteSchema = new mongoose.Schema(
+  {
+    renterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ['room', 'building'],
+      required: true,
+    },
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      index: true,
+    },
+    buildingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Building',
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One favorite per renter and property. Building favorites have no roomId, so the
+// (renter, null, building) key is unique as well.
+favoriteSchema.index({ renterId: 1, roomId: 1, buildingId: 1 }, { unique: true });
+favoriteSchema.index({ renterId: 1, createdAt: -1 });
+// Recounting a room's favorites
+favoriteSchema.index({ roomId: 1 });
+
+// Pre-validate middleware: a room favorite must reference its room
+favoriteSchema.pre('validate', function (next) {
+  if (this.type === 'room' && !this.roomId) {
+    next(new Error('Room favorite must reference a room'));
+    return;
+  }
+  if (this.type === 'building') {
+    this.roomId = undefined;
+  }
+  next();
+});
+
+const Favorite = mongoose.model('Favorite', favoriteSchema);
+
+module.exports = Favorite;
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Login Attempt Model - Tracks failed logins for brute-force protection
+ * @created 2025-06-06
+ * @file login-attempt.model.js
+ * @description This file defines the failed login counters kept per email and per client IP,
+ * and the temporary lockouts they trigger.
+ */
+
+const mongoose = require('mongoose');
+
+const ATTEMPT_TYPES = ['email', 'ip'];
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ATTEMPT_TYPES,
+      required: true,
+    },
+    // Normalized email or IP address
+    value: {
+      type: String,
+      required: true,
+    },
+    // Failures since the last success or lockout
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: Date,
+    lockedUntil: Date,
+    // Lockouts so far, each one lasting longer than the previous
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginAttemptSchema.index({ type: 1, value: 1 }, { unique: true });
+// Counters are forgotten a while after the last failure
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual fields
+loginAttemptSchema.virtual('isLocked').get(function () {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+// Static methods
+loginAttemptSchema.statics.getTypes = function () {
+  return ATTEMPT_TYPES;
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
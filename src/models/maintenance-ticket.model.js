@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Maintenance Ticket Model - Defines the maintenance ticket schema and methods
+ * @created 2025-06-06
+ * @file maintenance-ticket.model.js
+ * @description This file defines maintenance tickets opened by renters against their room,
+ * assigned by landlords to technicians, and their status state machine.
+ */
+
+const mongoose = require('mongoose');
+
+// Allowed status transitions: open → assigned → accepted → in_progress → closed
+const TICKET_TRANSITIONS = {
+  open: ['assigned', 'cancelled'],
+  assigned: ['assigned', 'accepted', 'cancelled'],
+  accepted: ['in_progress', 'closed', 'cancelled'],
+  in_progress: ['in_progress', 'closed', 'cancelled'],
+  closed: [],
+  cancelled: [],
+};
+
+// Statuses in which a blocking ticket keeps its room under maintenance
+const OPEN_STATUSES = ['open', 'assigned', 'accepted', 'in_progress'];
+
+const TICKET_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const maintenanceTicketSchema = new mongoose.Schema(
+  {
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      required: true,
+      index: true,
+    },
+    buildingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Building',
+      required: true,
+    },
+    hostId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    technicianId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxLength: [100, 'Title cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxLength: [2000, 'Description cannot exceed 2000 characters'],
+    },
+    priority: {
+      type: String,
+      enum: TICKET_PRIORITIES,
+      default: 'medium',
+    },
+    images: [
+      {
+        _id: false,
+        url: { type: String, required: true },
+        thumbnailUrl: String,
+      },
+    ],
+    // Whether the room is put under maintenance until the ticket is closed or cancelled
+    blocksRoom: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: Object.keys(TICKET_TRANSITIONS),
+      default: 'open',
+      index: true,
+    },
+    resolution: {
+      type: String,
+      trim: true,
+      maxLength: 1000,
+    },
+    closedAt: Date,
+    updates: [
+      {
+        status: { type: String, enum: Object.keys(TICKET_TRANSITIONS), required: true },
+        note: { type: String, trim: true, maxLength: 1000 },
+        updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+maintenanceTicketSchema.index({ roomId: 1, blocksRoom: 1, status: 1 });
+
+// Static methods
+maintenanceTicketSchema.statics.getTransitions = function () {
+  return TICKET_TRANSITIONS;
+};
+
+maintenanceTicketSchema.statics.getOpenStatuses = function () {
+  return OPEN_STATUSES;
+};
+
+maintenanceTicketSchema.statics.getPriorities = function () {
+  return TICKET_PRIORITIES;
+};
+
+// Instance methods
+maintenanceTicketSchema.methods.canTransitionTo = function (status) {
+  return (TICKET_TRANSITIONS[this.status] || []).includes(status);
+};
+
+maintenanceTicketSchema.methods.transitionTo = function (status, updatedBy, note) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change ticket status from ${this.status} to ${status}`);
+  }
+  this.status = status;
+  if (['closed', 'cancelled'].includes(status)) {
+    this.closedAt = new Date();
+  }
+  this.updates.push({ status, note, updatedBy });
+  return this;
+};
+
+const MaintenanceTicket = mongoose.model('MaintenanceTicket', maintenanceTicketSchema);
+
+module.exports = MaintenanceTicket;
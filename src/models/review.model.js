@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Review Model - Defines the review schema
+ * @created 2025-06-06
+ * @file review.model.js
+ * @description This file defines the review schema for rooms, buildings and landlords, written by
+ * renters after a completed booking, and for renters, written by their landlord.
+ */
+
+const mongoose = require('mongoose');
+const { ValidationError } = require('../utils/errors');
+
+// Reviewed entity for each target type, resolved from the booking being reviewed
+const REVIEW_TARGETS = {
+  room: 'roomId',
+  building: 'buildingId',
+  landlord: 'hostId',
+  renter: 'renterId',
+};
+
+// Criteria a landlord rates a renter on; the overall rating is their average
+const RENTER_CRITERIA = ['paymentPunctuality', 'cleanliness', 'ruleCompliance'];
+
+const criterionRating = {
+  type: Number,
+  min: [1, 'Rating must be at least 1'],
+  max: [5, 'Rating cannot exceed 5'],
+};
+
+const reviewSchema = new mongoose.Schema(
+  {
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+    },
+    reviewerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Landlord of the booking: replies to reviews by renters, authors reviews of renters
+    hostId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    targetType: {
+      type: String,
+      enum: Object.keys(REVIEW_TARGETS),
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Rating is required'],
+      min: [1, 'Rating must be at least 1'],
+      max: [5, 'Rating cannot exceed 5'],
+    },
+    criteria: {
+      paymentPunctuality: criterionRating,
+      cleanliness: criterionRating,
+      ruleCompliance: criterionRating,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxLength: 2000,
+    },
+    reply: {
+      comment: { type: String, trim: true, maxLength: 2000 },
+      repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      repliedAt: Date,
+    },
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    moderation: {
+      reason: { type: String, trim: true, maxLength: 500 },
+      moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      moderatedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One review per booking and target
+reviewSchema.index({ bookingId: 1, targetType: 1 }, { unique: true });
+reviewSchema.index({ targetType: 1, targetId: 1, isHidden: 1, createdAt: -1 });
+
+// Pre-validate middleware: a renter review is rated on every criterion, averaged into rating
+reviewSchema.pre('validate', function (next) {
+  if (this.targetType !== 'renter') {
+    this.criteria = undefined;
+    return next();
+  }
+
+  const scores = RENTER_CRITERIA.map((criterion) => this.criteria?.[criterion]);
+  if (scores.some((score) => typeof score !== 'number')) {
+    return next(new ValidationError(`Renter reviews must rate ${RENTER_CRITERIA.join(', ')}`));
+  }
+  this.rating =
+    Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10;
+  next();
+});
+
+// Static methods
+reviewSchema.statics.getTargets = function () {
+  return REVIEW_TARGETS;
+};
+
+reviewSchema.statics.getRenterCriteria = function () {
+  return RENTER_CRITERIA;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
@@ -39,6 +39,7 @@ const roomSchema = new mongoose.Schema(
           type: String,
           required: true,
         },
+        thumbnailUrl: String,
         isVerified: { type: Boolean, default: false },
         uploadedAt: { type: Date, default: Date.now },
       },
@@ -107,8 +108,20 @@ const roomSchema = new mongoose.Schema(
       min: [0, 'Rating cannot be negative'],
       max: [5, 'Rating cannot exceed 5'],
     },
+    reviewCount: { type: Number, default: 0, min: 0 },
     viewCount: { type: Number, default: 0 },
     favoriteCount: { type: Number, default: 0 },
+    // Short-lived lock serializing booking writes on this room
+    bookingLock: {
+      type: new mongoose.Schema(
+        {
+          token: String,
+          expiresAt: Date,
+        },
+        { _id: false }
+      ),
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -121,6 +134,14 @@ const roomSchema = new mongoose.Schema(
 roomSchema.index({ status: 1, isAvailable: 1 });
 roomSchema.index({ rating: -1 });
 roomSchema.index({ price: 1 });
+roomSchema.index(
+  { name: 'text', 'utilities.name': 'text' },
+  {
+    name: 'room_text_search',
+    default_language: 'none',
+    weights: { name: 10, 'utilities.name': 4 },
+  }
+);
 
 // Virtual for total price
 roomSchema.virtual('totalPrice').get(function () {
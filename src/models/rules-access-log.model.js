@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Rules Access Log Model - Records downloads of building rules documents
+ * @created 2025-06-06
+ * @file rules-access-log.model.js
+ * @description This file defines the schema recording who downloaded which version of a building's house rules.
+ */
+
+const mongoose = require('mongoose');
+
+const rulesAccessLogSchema = new mongoose.Schema(
+  {
+    buildingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Building',
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: 'accessedAt', updatedAt: false },
+  }
+);
+
+rulesAccessLogSchema.index({ buildingId: 1, accessedAt: -1 });
+rulesAccessLogSchema.index({ userId: 1, accessedAt: -1 });
+
+const RulesAccessLog = mongoose.model('RulesAccessLog', rulesAccessLogSchema);
+
+module.exports = RulesAccessLog;
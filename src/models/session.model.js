@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Session Model - Defines the per-device login session schema
+ * @created 2025-06-06
+ * @file session.model.js
+ * @description This file defines login sessions. Each login creates a session holding the id of
+ * its only valid refresh token; the token is rotated on every refresh, and presenting an older
+ * one revokes the session.
+ */
+
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = [
+  'logout',
+  'user',
+  'reuse_detected',
+  'admin',
+  'password_changed',
+  'banned',
+  'account_claimed',
+];
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // jti of the refresh token that may be used next; every other token of this session is stale
+    tokenId: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // User.loginHistory entry recorded when the session was created
+    loginHistoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    ip: String,
+    device: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    rotationCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: REVOKE_REASONS,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Virtual fields
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static methods
+sessionSchema.statics.getRevokeReasons = function () {
+  return REVOKE_REASONS;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Setting Model - Defines platform settings managed by admins
+ * @created 2025-06-06
+ * @file setting.model.js
+ * @description This file defines key/value platform settings, such as the roles required to use
+ * two-factor authentication, that admins can change at runtime.
+ */
+
+const mongoose = require('mongoose');
+
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static methods
+settingSchema.statics.getValue = async function (key, defaultValue) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = async function (key, value, updatedBy) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { new: true, upsert: true }
+  ).lean();
+  return setting.value;
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
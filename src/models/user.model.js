@@ -45,7 +45,13 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, 'Password is required'],
+      // Accounts created through Google Sign-In may set a password later
+      required: [
+        function () {
+          return !this.googleId;
+        },
+        'Password is required',
+      ],
       minlength: [8, 'Password must be at least 8 characters long'],
       validate: {
         validator: function (v) {
@@ -58,6 +64,14 @@ const userSchema = new mongoose.Schema(
       },
       select: false,
     },
+    // Google account subject id, set when the account signs in with or is linked to Google
+    googleId: {
+      type: String,
+      unique: true,
+      sparse: true,
+      select: false,
+    },
+    googleEmail: String,
     address: {
       street: {
         type: String,
@@ -131,14 +145,30 @@ const userSchema = new mongoose.Schema(
       min: 0,
       max: 5,
     },
+    reviewCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     isBanned: {
       type: Boolean,
       default: false,
     },
+    banReason: String,
+    // Temporary bans end at this time; permanent bans leave it empty
+    bannedUntil: Date,
+    bannedAt: Date,
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Access tokens issued before this time are rejected, e.g. after a ban or password change
+    tokensValidAfter: Date,
     isVerified: {
       type: Boolean,
       default: false,
     },
+    // Identity documents submitted for admin review; an approved one verifies the user's identity
     verificationDocument: [
       {
         type: {
@@ -147,13 +177,21 @@ const userSchema = new mongoose.Schema(
           required: true,
         },
         number: String,
+        // API URL serving the image; the file itself is kept in private storage
         image: String,
+        storageKey: String,
+        submittedAt: { type: Date, default: Date.now },
         verifyAt: Date,
         status: {
           type: String,
           enum: ['pending', 'approved', 'rejected'],
           default: 'pending',
         },
+        rejectionReason: String,
+        reviewedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
       },
     ],
     lastLogin: {
@@ -164,11 +202,53 @@ const userSchema = new mongoose.Schema(
         ip: String,
         device: String,
         timestamp: Date,
+        // Successful sign-in, or a lockout after too many failed attempts
+        event: {
+          type: String,
+          enum: ['login', 'lockout'],
+          default: 'login',
+        },
+        lockedUntil: Date,
       },
     ],
+    recentlyViewedRooms: {
+      type: [
+        {
+          _id: false,
+          roomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
+          viewedAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
     notificationSettings: {
       email: { type: Boolean, default: true },
     },
+    twoFactor: {
+      // True once an authenticator app has been enrolled
+      enabled: { type: Boolean, default: false },
+      enabledAt: Date,
+      // Base32 TOTP secret of the enrolled app, and one awaiting its first code
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: { type: Number, select: false },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: { type: [String], select: false },
+      // Login waiting for its second factor
+      challenge: {
+        type: {
+          _id: false,
+          tokenHash: String,
+          expiresAt: Date,
+          attempts: { type: Number, default: 0 },
+          emailCodeHash: String,
+          emailCodeExpiresAt: Date,
+          emailCodeSentAt: Date,
+        },
+        select: false,
+      },
+    },
   },
   {
     timestamps: true,
@@ -192,6 +272,22 @@ userSchema.methods.hasRole = function (role) {
   return this.role === role;
 };
 
+// Check if the user is banned and the ban has not expired
+userSchema.methods.isBanActive = function () {
+  return Boolean(this.isBanned && (!this.bannedUntil || this.bannedUntil > new Date()));
+};
+
+// Check if an admin has approved one of the user's identity documents
+userSchema.methods.hasVerifiedIdentity = function () {
+  return (this.verificationDocument || []).some((document) => document.status === 'approved');
+};
+
+// Index for looking up a login by its MFA challenge token
+userSchema.index({ 'twoFactor.challenge.tokenHash': 1 }, { sparse: true });
+
+// Index for the admin identity verification queue
+userSchema.index({ 'verificationDocument.status': 1, 'verificationDocument.submittedAt': 1 });
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -8,6 +8,8 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
+const adminController = require('../controllers/admin.controller');
+const verificationController = require('../controllers/verification.controller');
 const { auth, roleMiddleware } = require('../middlewares/auth.middleware');
 
 // User Management
@@ -15,18 +17,43 @@ router.get('/users', auth, roleMiddleware('admin'), userController.getUsers);
 router.get('/users/:id', auth, roleMiddleware('admin'), userController.getUserById);
 router.put('/users/:id', auth, roleMiddleware('admin'), userController.updateUser);
 router.delete('/users/:id', auth, roleMiddleware('admin'), userController.deleteUser);
+router.put('/users/:id/ban', auth, roleMiddleware('admin'), userController.banUser);
+router.delete('/users/:id/ban', auth, roleMiddleware('admin'), userController.unbanUser);
+router.get('/users/:id/lockout', auth, roleMiddleware('admin'), userController.getUserLockout);
+router.delete('/users/:id/lockout', auth, roleMiddleware('admin'), userController.clearUserLockout);
 
 // Property Management
-router.get('/properties', auth, roleMiddleware('admin'), (req, res) => {
-  res.json({ message: 'Get all properties' });
-});
-router.put('/properties/:id/verify', auth, roleMiddleware('admin'), (req, res) => {
-  res.json({ message: 'Verify property' });
-});
+router.get('/properties', auth, roleMiddleware('admin'), adminController.getProperties);
+router.put('/properties/:id/verify', auth, roleMiddleware('admin'), adminController.verifyProperty);
+router.put(
+  '/properties/:id/images/:imageId/verify',
+  auth,
+  roleMiddleware('admin'),
+  adminController.verifyPropertyImage
+);
+
+// Identity Verification
+router.get('/verifications', auth, roleMiddleware('admin'), verificationController.getQueue);
+router.put(
+  '/verifications/:documentId',
+  auth,
+  roleMiddleware('admin'),
+  verificationController.reviewDocument
+);
+
+// Review Moderation
+router.put(
+  '/reviews/:id/visibility',
+  auth,
+  roleMiddleware('admin'),
+  adminController.setReviewVisibility
+);
+
+// Security Policy
+router.get('/security/2fa', auth, roleMiddleware('admin'), adminController.getMfaPolicy);
+router.put('/security/2fa', auth, roleMiddleware('admin'), adminController.updateMfaPolicy);
 
 // Dashboard
-router.get('/dashboard', auth, roleMiddleware('admin'), (req, res) => {
-  res.json({ message: 'Admin dashboard' });
-});
+router.get('/dashboard', auth, roleMiddleware('admin'), adminController.getDashboard);
 
 module.exports = router;
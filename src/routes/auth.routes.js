@@ -14,6 +14,9 @@ const { auth } = require('../middlewares/auth.middleware');
 // Public routes
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/google', authController.googleLogin);
+router.post('/2fa/verify', authController.verifyMfa);
+router.post('/2fa/email', authController.sendMfaEmailCode);
 router.get('/verify-email/:token', authController.verifyEmail);
 router.post('/resend-verification-email', authController.resendVerificationEmail);
 router.post('/forgot-password', authController.forgotPassword);
@@ -25,7 +28,18 @@ router.post('/send-verification-email', auth, authController.sendVerificationEma
 router.post('/logout', auth, authController.logout);
 router.get('/profile', auth, authController.getProfile);
 router.put('/profile', auth, authController.updateProfile);
+router.post('/profile/google', auth, authController.linkGoogle);
+router.delete('/profile/google', auth, authController.unlinkGoogle);
 router.post('/change-password', auth, authController.changePassword);
+router.post('/set-password', auth, authController.setPassword);
 router.post('/revoke-token', auth, authController.revokeToken);
+router.get('/sessions', auth, authController.getSessions);
+router.delete('/sessions', auth, authController.revokeOtherSessions);
+router.delete('/sessions/:id', auth, authController.revokeSession);
+router.get('/2fa', auth, authController.getMfaStatus);
+router.post('/2fa/totp/setup', auth, authController.setupTotp);
+router.post('/2fa/totp/enable', auth, authController.enableTotp);
+router.delete('/2fa/totp', auth, authController.disableTotp);
+router.post('/2fa/recovery-codes', auth, authController.regenerateRecoveryCodes);
 
 module.exports = router;
@@ -15,17 +15,41 @@ const {
   updateBuilding,
   deleteBuilding,
   getRoomsByBuildingId,
+  getNearbyBuildings,
+  uploadBuildingImages,
+  uploadBuildingRules,
+  getBuildingRules,
 } = require('../controllers/building.controller');
-const { auth, roleMiddleware } = require('../middlewares/auth.middleware');
+const { auth, roleMiddleware, requireVerifiedEmail } = require('../middlewares/auth.middleware');
+const { ownsBuilding } = require('../middlewares/ownership.middleware');
+const { uploadImages, uploadDocument } = require('../middlewares/upload.middleware');
 
 // Public routes
 router.get('/', getAllBuildings);
+router.get('/nearby', getNearbyBuildings);
 router.get('/:id', getBuildingById);
 router.get('/:id/rooms', getRoomsByBuildingId);
+router.get('/:id/rules', auth, getBuildingRules);
 
 // Protected routes
-router.post('/', auth, roleMiddleware('landlord', 'admin'), createBuilding);
-router.put('/:id', auth, roleMiddleware('landlord', 'admin'), updateBuilding);
-router.delete('/:id', auth, roleMiddleware('landlord', 'admin'), deleteBuilding);
+router.post('/', auth, roleMiddleware('landlord', 'admin'), requireVerifiedEmail, createBuilding);
+router.put('/:id', auth, roleMiddleware('landlord', 'admin'), ownsBuilding(), updateBuilding);
+router.delete('/:id', auth, roleMiddleware('landlord', 'admin'), ownsBuilding(), deleteBuilding);
+router.post(
+  '/:id/images',
+  auth,
+  roleMiddleware('landlord', 'admin'),
+  ownsBuilding(),
+  uploadImages(),
+  uploadBuildingImages
+);
+router.post(
+  '/:id/rules',
+  auth,
+  roleMiddleware('landlord', 'admin'),
+  ownsBuilding(),
+  uploadDocument(),
+  uploadBuildingRules
+);
 
 module.exports = router;
@@ -7,37 +7,61 @@
 
 const express = require('express');
 const router = express.Router();
+const bookingController = require('../controllers/booking.controller');
+const landlordController = require('../controllers/landlord.controller');
+const maintenanceController = require('../controllers/maintenance.controller');
 const { auth, roleMiddleware } = require('../middlewares/auth.middleware');
+const { ownsBuilding } = require('../middlewares/ownership.middleware');
 
 // Property management
-router.get('/properties', auth, roleMiddleware('landlord'), (req, res) => {
-  res.json({ message: 'Get landlord properties' });
-});
-
-router.post('/properties', auth, roleMiddleware('landlord'), (req, res) => {
-  res.json({ message: 'Create new property' });
-});
-
-router.put('/properties/:id', auth, roleMiddleware('landlord'), (req, res) => {
-  res.json({ message: 'Update property' });
-});
-
-router.delete('/properties/:id', auth, roleMiddleware('landlord'), (req, res) => {
-  res.json({ message: 'Delete property' });
-});
+router.get('/properties', auth, roleMiddleware('landlord'), landlordController.getProperties);
+router.post('/properties', auth, roleMiddleware('landlord'), landlordController.createProperty);
+router.put(
+  '/properties/:id',
+  auth,
+  roleMiddleware('landlord'),
+  ownsBuilding(),
+  landlordController.updateProperty
+);
+router.delete(
+  '/properties/:id',
+  auth,
+  roleMiddleware('landlord'),
+  ownsBuilding(),
+  landlordController.deleteProperty
+);
 
 // Booking management
-router.get('/bookings', auth, roleMiddleware('landlord'), (req, res) => {
-  res.json({ message: 'Get landlord bookings' });
-});
+router.get('/bookings', auth, roleMiddleware('landlord'), bookingController.getLandlordBookings);
+router.put(
+  '/bookings/:id/status',
+  auth,
+  roleMiddleware('landlord'),
+  bookingController.updateBookingStatus
+);
 
-router.put('/bookings/:id/status', auth, roleMiddleware('landlord'), (req, res) => {
-  res.json({ message: 'Update booking status' });
-});
+// Maintenance requests
+router.get(
+  '/maintenance',
+  auth,
+  roleMiddleware('landlord'),
+  maintenanceController.getLandlordTickets
+);
+router.put(
+  '/maintenance/:id/assign',
+  auth,
+  roleMiddleware('landlord'),
+  maintenanceController.assignTicket
+);
+router.put(
+  '/maintenance/:id/cancel',
+  auth,
+  roleMiddleware('landlord'),
+  maintenanceController.cancelLandlordTicket
+);
+router.get('/technicians', auth, roleMiddleware('landlord'), maintenanceController.getTechnicians);
 
 // Dashboard
-router.get('/dashboard', auth, roleMiddleware('landlord'), (req, res) => {
-  res.json({ message: 'Landlord dashboard' });
-});
+router.get('/dashboard', auth, roleMiddleware('landlord'), landlordController.getDashboard);
 
 module.exports = router;
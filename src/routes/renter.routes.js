@@ -7,41 +7,57 @@
 
 const express = require('express');
 const router = express.Router();
-const { auth, roleMiddleware } = require('../middlewares/auth.middleware');
+const bookingController = require('../controllers/booking.controller');
+const favoriteController = require('../controllers/favorite.controller');
+const renterController = require('../controllers/renter.controller');
+const maintenanceController = require('../controllers/maintenance.controller');
+const { auth, roleMiddleware, requireVerifiedEmail } = require('../middlewares/auth.middleware');
+const { uploadImages } = require('../middlewares/upload.middleware');
 
 // Booking management
-router.get('/bookings', auth, roleMiddleware('renter'), (req, res) => {
-  res.json({ message: 'Get renter bookings' });
-});
-
-router.post('/bookings', auth, roleMiddleware('renter'), (req, res) => {
-  res.json({ message: 'Create new booking' });
-});
-
-router.put('/bookings/:id', auth, roleMiddleware('renter'), (req, res) => {
-  res.json({ message: 'Update booking' });
-});
-
-router.delete('/bookings/:id', auth, roleMiddleware('renter'), (req, res) => {
-  res.json({ message: 'Cancel booking' });
-});
+router.get('/bookings', auth, roleMiddleware('renter'), bookingController.getRenterBookings);
+router.post(
+  '/bookings',
+  auth,
+  roleMiddleware('renter'),
+  requireVerifiedEmail,
+  bookingController.createBooking
+);
+router.put('/bookings/:id', auth, roleMiddleware('renter'), bookingController.updateBooking);
+router.delete('/bookings/:id', auth, roleMiddleware('renter'), bookingController.cancelBooking);
 
 // Favorites management
-router.get('/favorites', auth, roleMiddleware('renter'), (req, res) => {
-  res.json({ message: 'Get favorites' });
-});
-
-router.post('/favorites/:propertyId', auth, roleMiddleware('renter'), (req, res) => {
-  res.json({ message: 'Add to favorites' });
-});
-
-router.delete('/favorites/:propertyId', auth, roleMiddleware('renter'), (req, res) => {
-  res.json({ message: 'Remove from favorites' });
-});
+router.get('/favorites', auth, roleMiddleware('renter'), favoriteController.getFavorites);
+router.post(
+  '/favorites/:propertyId',
+  auth,
+  roleMiddleware('renter'),
+  favoriteController.addFavorite
+);
+router.delete(
+  '/favorites/:propertyId',
+  auth,
+  roleMiddleware('renter'),
+  favoriteController.removeFavorite
+);
+
+// Maintenance requests
+router.get('/maintenance', auth, roleMiddleware('renter'), maintenanceController.getRenterTickets);
+router.post(
+  '/maintenance',
+  auth,
+  roleMiddleware('renter'),
+  uploadImages(),
+  maintenanceController.createTicket
+);
+router.put(
+  '/maintenance/:id/cancel',
+  auth,
+  roleMiddleware('renter'),
+  maintenanceController.cancelRenterTicket
+);
 
 // Dashboard
-router.get('/dashboard', auth, roleMiddleware('renter'), (req, res) => {
-  res.json({ message: 'Renter dashboard' });
-});
+router.get('/dashboard', auth, roleMiddleware('renter'), renterController.getDashboard);
 
 module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Review Routes - Handles review operations
+ * @created 2025-06-06
+ * @file review.routes.js
+ * @description This file defines the routes for reviews of rooms, buildings, landlords and renters.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  replyToReview,
+} = require('../controllers/review.controller');
+const { auth, optionalAuth, roleMiddleware } = require('../middlewares/auth.middleware');
+
+// Public routes; reviews of renters are only returned to landlords, admins and the renter
+router.get('/', optionalAuth, getReviews);
+
+// Protected routes
+router.post('/', auth, roleMiddleware('renter', 'landlord'), createReview);
+router.put('/:id', auth, roleMiddleware('renter', 'landlord'), updateReview);
+router.delete('/:id', auth, roleMiddleware('renter', 'landlord', 'admin'), deleteReview);
+router.post('/:id/reply', auth, roleMiddleware('landlord'), replyToReview);
+
+module.exports = router;
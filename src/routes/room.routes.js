@@ -15,18 +15,39 @@ const {
   deleteRoom,
   searchRooms,
   filterRooms,
+  getRecommendedRooms,
+  getNearbyRooms,
+  uploadRoomImages,
 } = require('../controllers/room.controller');
-const { auth, roleMiddleware } = require('../middlewares/auth.middleware');
+const { auth, optionalAuth, roleMiddleware } = require('../middlewares/auth.middleware');
+const { ownsBuilding, ownsRoom } = require('../middlewares/ownership.middleware');
+const { uploadImages } = require('../middlewares/upload.middleware');
 
 //Public Routes
 router.get('/', getAllRooms);
 router.get('/search', searchRooms);
 router.get('/filter', filterRooms);
-router.get('/:id', getRoomById);
+router.get('/recommended', auth, getRecommendedRooms);
+router.get('/nearby', getNearbyRooms);
+router.get('/:id', optionalAuth, getRoomById);
 
 //Protected Routes
-router.post('/', auth, roleMiddleware('landlord'), createRoom);
-router.put('/:id', auth, roleMiddleware('landlord'), updateRoom);
-router.delete('/:id', auth, roleMiddleware('landlord'), deleteRoom);
+router.post(
+  '/',
+  auth,
+  roleMiddleware('landlord', 'admin'),
+  ownsBuilding((req) => req.body.buildingId),
+  createRoom
+);
+router.put('/:id', auth, roleMiddleware('landlord', 'admin'), ownsRoom(), updateRoom);
+router.delete('/:id', auth, roleMiddleware('landlord', 'admin'), ownsRoom(), deleteRoom);
+router.post(
+  '/:id/images',
+  auth,
+  roleMiddleware('landlord', 'admin'),
+  ownsRoom(),
+  uploadImages(),
+  uploadRoomImages
+);
 
 module.exports = router;
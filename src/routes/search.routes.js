@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Search Routes - Handles search operations
+ * @created 2025-06-06
+ * @file search.routes.js
+ * @description This file defines the routes for searching rooms and buildings.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { search } = require('../controllers/search.controller');
+
+// Public routes
+router.get('/', search);
+
+module.exports = router;
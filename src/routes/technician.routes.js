@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Technician Routes - Handles technician operations
+ * @created 2025-06-06
+ * @file technician.routes.js
+ * @description This file defines the routes technicians use to work on maintenance tickets.
+ */
+
+const express = require('express');
+const router = express.Router();
+const maintenanceController = require('../controllers/maintenance.controller');
+const { auth, roleMiddleware } = require('../middlewares/auth.middleware');
+
+// Maintenance tickets
+router.get(
+  '/tickets',
+  auth,
+  roleMiddleware('technician'),
+  maintenanceController.getTechnicianTickets
+);
+router.get(
+  '/tickets/:id',
+  auth,
+  roleMiddleware('technician'),
+  maintenanceController.getTechnicianTicket
+);
+router.put(
+  '/tickets/:id/accept',
+  auth,
+  roleMiddleware('technician'),
+  maintenanceController.acceptTicket
+);
+router.put(
+  '/tickets/:id/progress',
+  auth,
+  roleMiddleware('technician'),
+  maintenanceController.updateProgress
+);
+router.put(
+  '/tickets/:id/close',
+  auth,
+  roleMiddleware('technician'),
+  maintenanceController.closeTicket
+);
+
+module.exports = router;
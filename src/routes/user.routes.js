@@ -8,10 +8,21 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
+const verificationController = require('../controllers/verification.controller');
 const { auth } = require('../middlewares/auth.middleware');
+const { uploadImage } = require('../middlewares/upload.middleware');
 
 // Basic user routes
 router.get('/profile', auth, userController.getProfile);
 router.put('/profile', auth, userController.updateProfile);
 
+// Identity verification
+router.get('/verification-documents', auth, verificationController.getDocuments);
+router.post('/verification-documents', auth, uploadImage(), verificationController.submitDocument);
+router.get(
+  '/verification-documents/:documentId/image',
+  auth,
+  verificationController.getDocumentImage
+);
+
 module.exports = router;
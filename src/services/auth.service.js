@@ -6,13 +6,32 @@
  * and email verification. It handles password hashing, JWT token generation, and user data validation.
  */
 
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/user.model');
 const TokenBlacklist = require('../models/token-blacklist.model');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { validateEmail, validatePhone } = require('../validations/validation');
 const EmailService = require('./email.service');
+const SessionService = require('./session.service');
+const MfaService = require('./mfa.service');
+const LockoutService = require('./lockout.service');
 const logger = require('../utils/logger');
+const { OAuth2Client } = require('google-auth-library');
+const { googleConfig } = require('../config/google.config');
+const {
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require('../utils/errors');
+
+// Roles a user may pick when their account is created through Google Sign-In
+const GOOGLE_SIGNUP_ROLES = ['renter', 'landlord'];
+
+const googleClient = new OAuth2Client();
 
 /**
  * @class AuthService
@@ -32,10 +51,11 @@ class AuthService {
    * @param {string} userData.address.ward - Ward/Commune
    * @param {string} userData.address.district - District
    * @param {string} userData.address.city - City
+   * @param {Object} [client] - Client the session is opened for ({ ip, userAgent })
    * @returns {Object} User data with tokens
    * @throws {Error} If required fields are missing or invalid
    */
-  static async register(userData) {
+  static async register(userData, client = {}) {
     try {
       logger.info('Starting registration process:', { email: userData.email });
 
@@ -103,13 +123,14 @@ class AuthService {
       await newUser.save();
 
       logger.info('Generating tokens');
-      const token = await this.generateToken(newUser._id);
-      const refreshToken = this.generateRefreshToken(newUser._id);
+      const { token, refreshToken } = await this.startSession(newUser, client);
 
       logger.info('Registration successful');
-      const verificationToken = jwt.sign({ userId: newUser._id }, process.env.JWT_SECRET, {
-        expiresIn: '1h',
-      });
+      const verificationToken = jwt.sign(
+        { userId: newUser._id, typ: 'email_verification' },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
       const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
       const verificationLink = `${frontendUrl}/api/auth/verify-email/${verificationToken}`;
 
@@ -144,7 +165,6 @@ class AuthService {
    * @param {string[]} [updateData.preferredUtilities] - Preferred utilities
    * @param {Object} [updateData.preferredPriceRange] - Preferred price range
    * @param {string} [updateData.avatar] - Avatar URL
-   * @param {string} [updateData.verificationDocument] - Verification document URL
    * @returns {Object} Updated user data
    * @throws {Error} If user not found or validation fails
    */
@@ -161,7 +181,6 @@ class AuthService {
         'preferredUtilities',
         'preferredPriceRange',
         'avatar',
-        'verificationDocument',
       ];
 
       Object.keys(updateData).forEach((key) => {
@@ -186,14 +205,16 @@ class AuthService {
    * @route POST /api/auth/login
    * @description Generate JWT token
    * @param {string} userId - User ID
+   * @param {string} sessionId - Session the token belongs to
    * @returns {string} JWT token
    */
-  static async generateToken(userId) {
+  static async generateToken(userId, sessionId) {
     const user = await User.findById(userId);
     if (!user) {
       throw new Error('User not found');
     }
-    return jwt.sign({ userId, role: user.role }, process.env.JWT_SECRET, {
+    const payload = { userId, role: user.role, sid: sessionId.toString(), typ: 'access' };
+    return jwt.sign(payload, process.env.JWT_SECRET, {
       expiresIn: process.env.JWT_EXPIRES_IN,
     });
   }
@@ -202,14 +223,43 @@ class AuthService {
    * @route POST /api/auth/refresh-token
    * @description Generate refresh token
    * @param {string} userId - User ID
+   * @param {string} sessionId - Session the token belongs to
+   * @param {string} tokenId - Unique token id (jti), checked against the session on refresh
    * @returns {string} Refresh token
    */
-  static generateRefreshToken(userId) {
-    return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
+  static generateRefreshToken(userId, sessionId, tokenId) {
+    return jwt.sign({ userId, sid: sessionId.toString() }, process.env.JWT_REFRESH_SECRET, {
       expiresIn: process.env.JWT_REFRESH_EXPIRES_IN,
+      jwtid: tokenId,
     });
   }
 
+  /**
+   * Open a device session for a user and issue its access and refresh tokens
+   * @param {Object} user - User document
+   * @param {Object} [client] - Client data
+   * @param {string} [client.ip] - Client IP
+   * @param {string} [client.userAgent] - Client user agent
+   * @returns {Promise<Object>} { token, refreshToken }
+   */
+  static async startSession(user, { ip, userAgent } = {}) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const tokenId = crypto.randomUUID();
+    const refreshToken = this.generateRefreshToken(user._id, sessionId, tokenId);
+
+    await SessionService.createSession({
+      _id: sessionId,
+      userId: user._id,
+      tokenId,
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+      ip,
+      device: userAgent,
+    });
+
+    const token = await this.generateToken(user._id, sessionId);
+    return { token, refreshToken };
+  }
+
   /**
    * @route GET /api/auth/me
    * @description Format user response
@@ -225,6 +275,10 @@ class AuthService {
     // Remove sensitive fields
     delete userObj.password;
     delete userObj.refreshToken;
+    if (userObj.twoFactor) {
+      const { enabled, enabledAt } = userObj.twoFactor;
+      userObj.twoFactor = { enabled, enabledAt };
+    }
 
     return userObj;
   }
@@ -234,35 +288,397 @@ class AuthService {
    * @description Authenticate user
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Object} Login result
+   * @param {Object} [client] - Client the session is opened for ({ ip, userAgent })
+   * @returns {Object} Login result, or an MFA challenge when a second factor is required
+   * @throws {TooManyRequestsError} While the email or IP is locked or must wait
    */
-  static async login(email, password) {
+  static async login(email, password, client = {}) {
     try {
+      await LockoutService.assertAllowed(email, client.ip);
+
       const user = await User.findOne({ email }).select('+password');
       if (!user) {
-        throw new Error('Invalid credentials');
-      }
-
-      if (user.isBanned) {
-        throw new Error('Account has been banned');
+        await this.recordFailedLogin(email, null, client);
+        throw new AuthenticationError('Invalid credentials');
       }
 
-      const isPasswordValid = await bcrypt.compare(password, user.password);
+      // Google-only accounts fail like a wrong password, so they cannot be told apart
+      const isPasswordValid =
+        Boolean(user.password) && (await bcrypt.compare(password, user.password));
       if (!isPasswordValid) {
-        throw new Error('Invalid credentials');
+        await this.recordFailedLogin(email, user, client);
+        throw new AuthenticationError('Invalid credentials');
       }
 
-      const token = await this.generateToken(user._id);
-      const refreshToken = this.generateRefreshToken(user._id);
+      // Checked only after the password, so ban details are not revealed to a guesser
+      await this.assertNotBanned(user);
+
+      await LockoutService.recordSuccess(email);
+      return await this.signIn(user, client);
+    } catch (error) {
+      logger.error('Login error:', {
+        email,
+        error: error.message,
+        stack: error.stack,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a banned user. A temporary ban that has run out is lifted instead.
+   * @param {Object} user - User document
+   * @returns {Promise<void>}
+   * @throws {AuthorizationError} If the ban is still in effect
+   */
+  static async assertNotBanned(user) {
+    if (user.isBanActive()) {
+      const until = user.bannedUntil ? ` until ${user.bannedUntil.toISOString()}` : '';
+      const reason = user.banReason ? `: ${user.banReason}` : '';
+      throw new AuthorizationError(`Account has been banned${until}${reason}`);
+    }
+
+    if (user.isBanned) {
+      await User.updateOne(
+        { _id: user._id, isBanned: true, bannedUntil: { $lte: new Date() } },
+        {
+          $set: { isBanned: false },
+          $unset: { banReason: '', bannedUntil: '', bannedAt: '', bannedBy: '' },
+        }
+      );
+      user.isBanned = false;
+      logger.info('Expired ban lifted:', { userId: user._id });
+    }
+  }
+
+  /**
+   * Count a failed password login and, when it locks the account, record the lockout and email
+   * the user a link to reset their password
+   * @param {string} email - Email being signed in to
+   * @param {Object|null} user - Matching user, if any
+   * @param {Object} client - Client data ({ ip, userAgent })
+   * @returns {Promise<void>}
+   */
+  static async recordFailedLogin(email, user, client) {
+    const { lockedUntil } = await LockoutService.recordFailure(email, client.ip);
+    if (!lockedUntil || !user) return;
+
+    await SessionService.recordLoginEvent(user._id, {
+      event: 'lockout',
+      ip: client.ip,
+      device: client.userAgent,
+      lockedUntil,
+    });
+
+    try {
+      await EmailService.sendTemplatedEmail(user.email, 'ACCOUNT_LOCKED', {
+        name: user.name,
+        lockedUntil: lockedUntil.toUTCString(),
+        resetLink: this.createPasswordResetLink(user),
+      });
+    } catch (error) {
+      logger.error('Failed to send account locked email:', { userId: user._id, error });
+    }
+  }
+
+  /**
+   * Build a one-hour password reset link for the frontend
+   * @param {Object} user - User document
+   * @returns {string} Reset link
+   */
+  static createPasswordResetLink(user) {
+    const resetToken = jwt.sign(
+      { userId: user._id, typ: 'password_reset' },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${frontendUrl}/reset-password/${resetToken}`;
+  }
+
+  /**
+   * Finish a login whose first factor passed: open a session, or return an MFA challenge when
+   * the user enrolled 2FA or their role requires it
+   * @param {Object} user - User document
+   * @param {Object} [client] - Client the session is opened for ({ ip, userAgent })
+   * @returns {Promise<Object>} { user, token, refreshToken } or
+   * { mfaRequired, challengeToken, methods, expiresIn }
+   */
+  static async signIn(user, client = {}) {
+    if (await MfaService.isRequired(user)) {
+      const challenge = await MfaService.createChallenge(user);
+      return { mfaRequired: true, ...challenge };
+    }
+
+    const { token, refreshToken } = await this.startSession(user, client);
+    return {
+      user: this.formatUserResponse(user),
+      token,
+      refreshToken,
+    };
+  }
+
+  /**
+   * @route POST /api/auth/2fa/verify
+   * @description Complete a login with its second factor
+   * @param {string} challengeToken - Challenge token from the login response
+   * @param {Object} data - Verification data ({ code, method })
+   * @param {Object} [client] - Client the session is opened for ({ ip, userAgent })
+   * @returns {Object} Login result
+   */
+  static async verifyMfa(challengeToken, { code, method } = {}, client = {}) {
+    try {
+      const user = await MfaService.verifyChallenge(challengeToken, { code, method });
+      await this.assertNotBanned(user);
 
+      const { token, refreshToken } = await this.startSession(user, client);
       return {
         user: this.formatUserResponse(user),
         token,
         refreshToken,
       };
     } catch (error) {
-      logger.error('Login error:', {
-        email,
+      logger.error('MFA verification error:', {
+        error: error.message,
+        stack: error.stack,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a Google ID token issued to one of the configured client IDs
+   * @param {string} idToken - Google ID token
+   * @returns {Promise<Object>} { googleId, email, name, picture }
+   * @throws {AuthenticationError} If the token is invalid or its email is not verified
+   */
+  static async verifyGoogleToken(idToken) {
+    if (!idToken) {
+      throw new ValidationError('Google ID token is required');
+    }
+    if (googleConfig.clientIds.length === 0) {
+      throw new Error('Google Sign-In is not configured');
+    }
+
+    let payload;
+    try {
+      const ticket = await googleClient.verifyIdToken({
+        idToken,
+        audience: googleConfig.clientIds,
+      });
+      payload = ticket.getPayload();
+    } catch (error) {
+      logger.warn('Google ID token rejected:', { error: error.message });
+      throw new AuthenticationError('Invalid Google ID token');
+    }
+
+    if (!payload.email || !payload.email_verified) {
+      throw new AuthenticationError('Google account email is not verified');
+    }
+
+    return {
+      googleId: payload.sub,
+      email: payload.email.toLowerCase(),
+      name: payload.name,
+      picture: payload.picture,
+    };
+  }
+
+  /**
+   * @route POST /api/auth/google
+   * @description Sign in with Google. The account linked to the Google account is used, then an
+   * account with the same email (which gets linked); otherwise a new account is created. Linking an
+   * account whose email was never verified removes its password and signs it out everywhere.
+   * @param {Object} data - Sign-in data
+   * @param {string} data.idToken - Google ID token
+   * @param {string} [data.role] - renter or landlord, for new accounts
+   * @param {string} [data.phone] - Phone number, required for new accounts
+   * @param {Object} [data.address] - Address, required for new accounts
+   * @param {Object} [client] - Client the session is opened for ({ ip, userAgent })
+   * @returns {Object} Login result, or an MFA challenge, with isNewUser and hasPassword
+   */
+  static async googleLogin({ idToken, role = 'renter', phone, address } = {}, client = {}) {
+    try {
+      const profile = await this.verifyGoogleToken(idToken);
+      let isNewUser = false;
+
+      let user = await User.findOne({ googleId: profile.googleId }).select('+password');
+      if (!user) {
+        user = await User.findOne({ email: profile.email }).select('+password +googleId');
+        if (user) {
+          if (user.googleId) {
+            throw new ConflictError('This email is linked to a different Google account');
+          }
+          // A banned account is left untouched
+          await this.assertNotBanned(user);
+          // Google has verified that the caller owns this email. An account whose email was never
+          // verified may have been registered by someone else, so their password, authenticator
+          // and sessions go.
+          const claimed = !user.isVerified;
+          user.googleId = profile.googleId;
+          user.googleEmail = profile.email;
+          user.isVerified = true;
+          if (claimed) {
+            user.password = undefined;
+            user.twoFactor = { enabled: false };
+          }
+          await user.save();
+          if (claimed) {
+            await SessionService.invalidateAll(user._id, 'account_claimed');
+          }
+          logger.info('Google account linked on sign-in:', { userId: user._id, claimed });
+        }
+      }
+
+      if (!user) {
+        if (!GOOGLE_SIGNUP_ROLES.includes(role)) {
+          throw new ValidationError(`Role must be one of: ${GOOGLE_SIGNUP_ROLES.join(', ')}`);
+        }
+        if (!phone || !address?.street || !address?.ward || !address?.district || !address?.city) {
+          throw new ValidationError(
+            'Phone and address (street, ward, district, city) are required to create an account'
+          );
+        }
+        if (!validatePhone(phone)) {
+          throw new ValidationError('Invalid phone format');
+        }
+
+        const name = (profile.name || profile.email.split('@')[0]).trim().slice(0, 50);
+        user = await User.create({
+          name: name.length >= 2 ? name : profile.email.split('@')[0],
+          email: profile.email,
+          phone,
+          address,
+          role,
+          googleId: profile.googleId,
+          googleEmail: profile.email,
+          avatar: profile.picture || 'https://example.com/default-avatar.png',
+          isVerified: true,
+          isBanned: false,
+        });
+        isNewUser = true;
+        logger.info('User created through Google Sign-In:', { userId: user._id, role });
+      }
+
+      await this.assertNotBanned(user);
+
+      return {
+        ...(await this.signIn(user, client)),
+        isNewUser,
+        hasPassword: Boolean(user.password),
+      };
+    } catch (error) {
+      logger.error('Google login error:', {
+        error: error.message,
+        stack: error.stack,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @route POST /api/auth/profile/google
+   * @description Link a Google account to the current user
+   * @param {string} userId - User ID
+   * @param {string} idToken - Google ID token
+   * @returns {Object} Updated user data
+   */
+  static async linkGoogle(userId, idToken) {
+    try {
+      const profile = await this.verifyGoogleToken(idToken);
+
+      const owner = await User.findOne({ googleId: profile.googleId }).select('_id');
+      if (owner && !owner._id.equals(userId)) {
+        throw new ConflictError('This Google account is linked to another user');
+      }
+
+      const user = await User.findById(userId).select('+googleId');
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      if (user.googleId && user.googleId !== profile.googleId) {
+        throw new ConflictError('Unlink the current Google account first');
+      }
+
+      user.googleId = profile.googleId;
+      user.googleEmail = profile.email;
+      await user.save();
+
+      return this.formatUserResponse(user);
+    } catch (error) {
+      logger.error('Link Google error:', {
+        userId,
+        error: error.message,
+        stack: error.stack,
+      });
+      if (error.code === 11000) {
+        throw new ConflictError('This Google account is linked to another user');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @route DELETE /api/auth/profile/google
+   * @description Unlink the Google account from the current user
+   * @param {string} userId - User ID
+   * @returns {Object} Updated user data
+   * @throws {ValidationError} If no Google account is linked or the user has no password
+   */
+  static async unlinkGoogle(userId) {
+    try {
+      const user = await User.findById(userId).select('+password +googleId');
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      if (!user.googleId) {
+        throw new ValidationError('No Google account is linked');
+      }
+      if (!user.password) {
+        throw new ValidationError('Set a password before unlinking Google');
+      }
+
+      user.googleId = undefined;
+      user.googleEmail = undefined;
+      await user.save();
+
+      return this.formatUserResponse(user);
+    } catch (error) {
+      logger.error('Unlink Google error:', {
+        userId,
+        error: error.message,
+        stack: error.stack,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @route POST /api/auth/set-password
+   * @description Set a password on an account created through Google Sign-In
+   * @param {string} userId - User ID
+   * @param {string} newPassword - New password
+   * @returns {Object} Set password result
+   * @throws {ValidationError} If the account already has a password
+   */
+  static async setPassword(userId, newPassword) {
+    try {
+      const user = await User.findById(userId).select('+password');
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      if (user.password) {
+        throw new ValidationError('A password is already set; use change password instead');
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      user.password = await bcrypt.hash(newPassword, salt);
+      await user.save();
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Set password error:', {
+        userId,
         error: error.message,
         stack: error.stack,
       });
@@ -302,6 +718,9 @@ class AuthService {
   static async verifyEmail(token) {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.typ !== 'email_verification') {
+        throw new AuthenticationError('Invalid verification token');
+      }
       const user = await User.findById(decoded.userId);
       if (!user) {
         throw new Error('User not found');
@@ -323,9 +742,10 @@ class AuthService {
    * @description Logout user
    * @param {string} userId - User ID
    * @param {string} token - JWT token
+   * @param {string} [sessionId] - Session to sign out
    * @returns {Object} Logout result
    */
-  static async logout(userId, token) {
+  static async logout(userId, token, sessionId) {
     try {
       const user = await User.findById(userId);
       if (!user) {
@@ -344,6 +764,10 @@ class AuthService {
         expiresAt: new Date(decoded.exp * 1000), // Convert to milliseconds
       });
 
+      if (sessionId) {
+        await SessionService.endSession(sessionId, 'logout');
+      }
+
       return { success: true };
     } catch (error) {
       logger.error('Logout error:', {
@@ -391,9 +815,11 @@ class AuthService {
         throw new Error('User already verified');
       }
 
-      const verificationToken = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-        expiresIn: '1h',
-      });
+      const verificationToken = jwt.sign(
+        { userId: user._id, typ: 'email_verification' },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
       const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
       const verificationLink = `${frontendUrl}/api/auth/verify-email/${verificationToken}`;
 
@@ -430,9 +856,11 @@ class AuthService {
         throw new Error('User already verified');
       }
 
-      const verificationToken = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-        expiresIn: '1h',
-      });
+      const verificationToken = jwt.sign(
+        { userId: user._id, typ: 'email_verification' },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
       const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
       const verificationLink = `${frontendUrl}/api/auth/verify-email/${verificationToken}`;
 
@@ -454,15 +882,25 @@ class AuthService {
 
   /**
    * @route POST /api/auth/change-password
-   * @description Change password
-   * @param {string} email - User email
+   * @description Change password and sign out every device
+   * @param {string} userId - User ID
+   * @param {string} oldPassword - Current password
+   * @param {string} newPassword - New password
    * @returns {Object} Change password result
    */
-  static async changePassword(email, newPassword) {
+  static async changePassword(userId, oldPassword, newPassword) {
     try {
-      const user = await User.findOne({ email });
+      const user = await User.findById(userId).select('+password');
       if (!user) {
-        throw new Error('User not found');
+        throw new NotFoundError('User not found');
+      }
+      if (!user.password) {
+        throw new ValidationError('No password is set; use set password instead');
+      }
+
+      const isPasswordValid = await bcrypt.compare(oldPassword, user.password);
+      if (!isPasswordValid) {
+        throw new AuthenticationError('Current password is incorrect');
       }
 
       const salt = await bcrypt.genSalt(10);
@@ -470,10 +908,12 @@ class AuthService {
       user.password = hashedPassword;
       await user.save();
 
+      await SessionService.invalidateAll(user._id, 'password_changed');
+
       return { success: true };
     } catch (error) {
       logger.error('Change password error:', {
-        email,
+        userId,
         error: error.message,
         stack: error.stack,
       });
@@ -494,15 +934,9 @@ class AuthService {
         throw new Error('User not found');
       }
 
-      const resetToken = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-        expiresIn: '1h',
-      });
-      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-      const resetLink = `${frontendUrl}/reset-password/${resetToken}`;
-
       await EmailService.sendTemplatedEmail(email, 'PASSWORD_RESET', {
         name: user.name,
-        resetLink,
+        resetLink: this.createPasswordResetLink(user),
       });
 
       return { success: true };
@@ -530,12 +964,20 @@ class AuthService {
       }
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.typ !== 'password_reset') {
+        throw new AuthenticationError('Invalid reset token');
+      }
       const user = await User.findById(decoded.userId);
 
       if (!user) {
         throw new Error('User not found');
       }
 
+      // A link issued before the last password change has already been used
+      if (user.tokensValidAfter && decoded.iat * 1000 < user.tokensValidAfter.getTime()) {
+        throw new AuthenticationError('Reset link has already been used or is no longer valid');
+      }
+
       // Validate password strength
       if (newPassword.length < 8) {
         throw new Error('Password must be at least 8 characters long');
@@ -546,6 +988,10 @@ class AuthService {
       user.password = hashedPassword;
       await user.save();
 
+      await SessionService.invalidateAll(user._id, 'password_changed');
+      // The reset link is also how a locked-out user unlocks their account
+      await LockoutService.clear(user.email);
+
       return { success: true, message: 'Password reset successfully' };
     } catch (error) {
       logger.error('Reset password error:', {
@@ -560,26 +1006,52 @@ class AuthService {
   }
 
   /**
-   * Refresh token
+   * Refresh token: exchange a refresh token for a new access token and a new refresh token.
+   * The presented refresh token stops working; presenting it again revokes its session.
    * @param {string} refreshToken - Refresh token
-   * @returns {Object} New access token
+   * @param {Object} [client] - Client data ({ ip })
+   * @returns {Object} New access and refresh tokens
    */
-  static async refreshToken(refreshToken) {
+  static async refreshToken(refreshToken, { ip } = {}) {
     try {
-      const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+      let decoded;
+      try {
+        decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+      } catch (error) {
+        throw new AuthenticationError('Invalid or expired refresh token');
+      }
+      if (!decoded.sid || !decoded.jti) {
+        throw new AuthenticationError('Refresh token is no longer supported, please log in again');
+      }
+      if (await this.isTokenBlacklisted(refreshToken)) {
+        throw new AuthenticationError('Refresh token has been revoked');
+      }
+
       const user = await User.findById(decoded.userId);
       if (!user) {
-        throw new Error('User not found');
+        throw new AuthenticationError('Account is not available');
+      }
+      await this.assertNotBanned(user);
+      if (user.tokensValidAfter && decoded.iat * 1000 < user.tokensValidAfter.getTime()) {
+        throw new AuthenticationError('Refresh token has been revoked, please log in again');
       }
 
-      const newAccessToken = await this.generateToken(user._id);
-      return { token: newAccessToken };
+      const tokenId = crypto.randomUUID();
+      const newRefreshToken = this.generateRefreshToken(user._id, decoded.sid, tokenId);
+      await SessionService.rotate(decoded.sid, decoded.jti, {
+        tokenId,
+        expiresAt: new Date(jwt.decode(newRefreshToken).exp * 1000),
+        ip,
+      });
+
+      const newAccessToken = await this.generateToken(user._id, decoded.sid);
+      return { token: newAccessToken, refreshToken: newRefreshToken };
     } catch (error) {
       logger.error('Refresh token error:', {
         error: error.message,
         stack: error.stack,
       });
-      throw new Error('Failed to refresh token: ' + error.message);
+      throw error;
     }
   }
 
@@ -600,6 +1072,9 @@ class AuthService {
         token,
         expiresAt: new Date(decoded.exp * 1000),
       });
+      if (decoded.sid) {
+        await SessionService.endSession(decoded.sid, 'logout');
+      }
 
       return { success: true };
     } catch (error) {
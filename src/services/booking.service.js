@@ -0,0 +1,528 @@
+/**
+ * @fileoverview Booking Service - Handles booking operations
+ * @created 2025-06-06
+ * @file booking.service.js
+ * @description Service for managing the booking lifecycle between renters and landlords
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../models/booking.model');
+const Room = require('../models/room.model');
+const Building = require('../models/building.model');
+const RulesService = require('./rules.service');
+const ReviewService = require('./review.service');
+const VerificationService = require('./verification.service');
+const logger = require('../utils/logger');
+const { paginate, resolveSort } = require('../utils/pagination');
+const {
+  NotFoundError,
+  ValidationError,
+  AuthorizationError,
+  ConflictError,
+} = require('../utils/errors');
+
+const RENTER_EDITABLE_FIELDS = ['moveInDate', 'leaseMonths', 'note'];
+const LANDLORD_STATUSES = ['approved', 'rejected', 'active', 'completed', 'cancelled'];
+const ROOM_LOCK_TTL_MS = 10 * 1000;
+const ROOM_LOCK_RETRIES = 5;
+const ROOM_LOCK_RETRY_DELAY_MS = 100;
+const BOOKING_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  moveIn: { moveInDate: 1, _id: 1 },
+};
+
+/**
+ * @class BookingService
+ * @classdesc Service class for handling booking operations
+ */
+class BookingService {
+  /**
+   * @route GET /api/renter/bookings
+   * @route GET /api/landlord/bookings
+   * @description Get bookings of a renter or a landlord with cursor pagination. Landlords also
+   * get the reputation of each renter to help decide on approval.
+   * @param {Object} owner - Owner filter, either { renterId } or { hostId }
+   * @param {Object} options - Query options
+   * @param {string} [options.after] - Cursor of the page to continue after
+   * @param {string} [options.before] - Cursor of the page to continue before
+   * @param {number} [options.limit] - Items per page
+   * @param {string} [options.sort] - One of newest, moveIn
+   * @param {string} [options.status] - Booking status filter
+   * @returns {Promise<Object>} Bookings data with pagination
+   */
+  static async getBookings(owner, { after, before, limit, sort, status } = {}) {
+    try {
+      const filters = { ...owner };
+      if (status) {
+        if (!Object.keys(Booking.getTransitions()).includes(status)) {
+          throw new ValidationError(
+            `Status must be one of: ${Object.keys(Booking.getTransitions()).join(', ')}`
+          );
+        }
+        filters.status = status;
+      }
+
+      const { items, pagination } = await paginate(Booking, {
+        filters,
+        sort: resolveSort(BOOKING_SORTS, sort, 'newest'),
+        after,
+        before,
+        limit,
+        prepare: (query) =>
+          query
+            .populate('roomId', 'name price status')
+            .populate('buildingId', 'name address')
+            .populate('renterId', 'name email phone'),
+      });
+
+      if (owner.hostId) {
+        const renterIds = items.map((booking) => booking.renterId?._id).filter(Boolean);
+        const [reputations, verifiedIds] = await Promise.all([
+          ReviewService.getRenterReputations(renterIds),
+          VerificationService.getVerifiedUserIds(renterIds),
+        ]);
+        items.forEach((booking) => {
+          const renterId = booking.renterId?._id.toString();
+          booking.renterReputation = renterId
+            ? { ...reputations.get(renterId), identityVerified: verifiedIds.has(renterId) }
+            : null;
+        });
+      }
+
+      return { bookings: items, pagination };
+    } catch (error) {
+      logger.error('Error getting bookings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route POST /api/renter/bookings
+   * @description Create a booking request for a room
+   * @param {string} renterId - Renter ID
+   * @param {Object} bookingData - Booking data
+   * @param {string} bookingData.roomId - Room ID
+   * @param {Date} bookingData.moveInDate - Move-in date
+   * @param {number} bookingData.leaseMonths - Lease length in months
+   * @param {string} [bookingData.note] - Note for the landlord
+   * @param {number} [bookingData.acceptedRulesVersion] - House rules version the renter accepted,
+   * required when the building has a rules document
+   * @returns {Promise<Object>} Created booking
+   */
+  static async createBooking(renterId, bookingData) {
+    try {
+      logger.info('BookingService: Creating booking', { renterId, bookingData });
+
+      const { roomId, moveInDate, leaseMonths, note, acceptedRulesVersion } = bookingData || {};
+
+      if (!roomId || !mongoose.Types.ObjectId.isValid(roomId)) {
+        throw new ValidationError('Invalid room ID format');
+      }
+
+      if (!moveInDate || Number.isNaN(new Date(moveInDate).getTime())) {
+        throw new ValidationError('A valid move-in date is required');
+      }
+
+      if (new Date(moveInDate) < new Date(new Date().toDateString())) {
+        throw new ValidationError('Move-in date cannot be in the past');
+      }
+
+      if (!Number.isInteger(Number(leaseMonths)) || Number(leaseMonths) < 1) {
+        throw new ValidationError('Lease length must be a whole number of months');
+      }
+
+      const room = await Room.findById(roomId).lean();
+      if (!room) {
+        throw new NotFoundError(`Room with id ${roomId} not found`);
+      }
+
+      if (room.status === 'maintenance') {
+        throw new ConflictError('Room is under maintenance and cannot be booked');
+      }
+
+      const building = await Building.findById(room.buildingId).lean();
+      if (!building) {
+        throw new NotFoundError(`Building with id ${room.buildingId} not found`);
+      }
+      const rulesVersion = RulesService.assertAccepted(building, acceptedRulesVersion);
+
+      const booking = await this.withRoomLock(roomId, async () => {
+        const existingBooking = await Booking.exists({
+          renterId,
+          roomId,
+          status: { $in: ['pending', 'approved', 'active'] },
+        });
+        if (existingBooking) {
+          throw new ConflictError('You already have an open booking for this room');
+        }
+
+        const newBooking = new Booking({
+          renterId,
+          roomId,
+          buildingId: building._id,
+          hostId: building.hostId,
+          moveInDate,
+          leaseMonths,
+          note,
+          acceptedRulesVersion: rulesVersion,
+          monthlyRent: room.price.rent,
+          deposit: room.price.deposit || 0,
+          statusHistory: [{ status: 'pending', changedBy: renterId }],
+        });
+        await newBooking.validate();
+        await this.assertNoOverlap(newBooking);
+        await newBooking.save();
+        return newBooking;
+      });
+
+      logger.info('BookingService: Booking created successfully', { bookingId: booking._id });
+      return booking.toObject();
+    } catch (error) {
+      logger.error('Error creating booking:', {
+        error: error.message,
+        stack: error.stack,
+        renterId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @route PUT /api/renter/bookings/:id
+   * @description Update a pending booking of the renter
+   * @param {string} bookingId - Booking ID
+   * @param {string} renterId - Renter ID
+   * @param {Object} updateData - Update data (moveInDate, leaseMonths, note)
+   * @returns {Promise<Object>} Updated booking
+   */
+  static async updateBooking(bookingId, renterId, updateData) {
+    try {
+      const booking = await this.findBookingFor(bookingId, { renterId });
+
+      if (booking.status !== 'pending') {
+        throw new ConflictError('Only pending bookings can be updated');
+      }
+
+      const updates = Object.keys(updateData || {}).filter((key) =>
+        RENTER_EDITABLE_FIELDS.includes(key)
+      );
+      if (updates.length === 0) {
+        throw new ValidationError('Update data is required');
+      }
+
+      const updatedBooking = await this.withRoomLock(booking.roomId, async () => {
+        const current = await Booking.findById(booking._id);
+        if (current.status !== 'pending') {
+          throw new ConflictError('Only pending bookings can be updated');
+        }
+
+        updates.forEach((key) => {
+          current[key] = updateData[key];
+        });
+
+        if (
+          current.isModified('moveInDate') &&
+          current.moveInDate < new Date(new Date().toDateString())
+        ) {
+          throw new ValidationError('Move-in date cannot be in the past');
+        }
+
+        await current.validate();
+        await this.assertNoOverlap(current);
+        await current.save();
+        return current;
+      });
+      return updatedBooking.toObject();
+    } catch (error) {
+      logger.error('Error updating booking:', {
+        error: error.message,
+        stack: error.stack,
+        bookingId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @route DELETE /api/renter/bookings/:id
+   * @description Cancel a booking of the renter
+   * @param {string} bookingId - Booking ID
+   * @param {string} renterId - Renter ID
+   * @param {string} [reason] - Cancellation reason
+   * @returns {Promise<Object>} Cancelled booking
+   */
+  static async cancelBooking(bookingId, renterId, reason) {
+    try {
+      const booking = await this.findBookingFor(bookingId, { renterId });
+
+      if (!['pending', 'approved'].includes(booking.status)) {
+        throw new ConflictError(`A booking that is ${booking.status} cannot be cancelled`);
+      }
+
+      return await this.changeStatus(booking, 'cancelled', renterId, reason);
+    } catch (error) {
+      logger.error('Error cancelling booking:', {
+        error: error.message,
+        stack: error.stack,
+        bookingId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @route PUT /api/landlord/bookings/:id/status
+   * @description Approve, reject, activate, complete or cancel a booking as the landlord.
+   * Buildings with requireVerifiedRenter only approve renters with a verified identity.
+   * @param {string} bookingId - Booking ID
+   * @param {string} hostId - Landlord ID
+   * @param {string} status - New booking status
+   * @param {string} [reason] - Reason for the change
+   * @returns {Promise<Object>} Updated booking
+   */
+  static async updateBookingStatus(bookingId, hostId, status, reason) {
+    try {
+      if (!LANDLORD_STATUSES.includes(status)) {
+        throw new ValidationError(`Status must be one of: ${LANDLORD_STATUSES.join(', ')}`);
+      }
+
+      if (status === 'rejected' && !reason) {
+        throw new ValidationError('A reason is required to reject a booking');
+      }
+
+      const booking = await this.findBookingFor(bookingId, { hostId });
+      if (status === 'approved') {
+        await this.assertRenterVerified(booking);
+      }
+      return await this.changeStatus(booking, status, hostId, reason);
+    } catch (error) {
+      logger.error('Error updating booking status:', {
+        error: error.message,
+        stack: error.stack,
+        bookingId,
+        status,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject approval when the building only accepts renters with a verified identity
+   * and the booking's renter has no approved identity document
+   * @param {Object} booking - Booking document
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the renter's identity is not verified
+   */
+  static async assertRenterVerified(booking) {
+    const building = await Building.findById(booking.buildingId)
+      .select('requireVerifiedRenter')
+      .lean();
+    if (!building?.requireVerifiedRenter) return;
+
+    const verifiedIds = await VerificationService.getVerifiedUserIds([booking.renterId]);
+    if (!verifiedIds.has(booking.renterId.toString())) {
+      throw new ValidationError(
+        'This building only accepts renters with a verified identity document'
+      );
+    }
+  }
+
+  /**
+   * Load a booking and make sure it belongs to the given renter or landlord
+   * @param {string} bookingId - Booking ID
+   * @param {Object} owner - Either { renterId } or { hostId }
+   * @returns {Promise<Object>} Booking document
+   */
+  static async findBookingFor(bookingId, owner) {
+    if (!bookingId || !mongoose.Types.ObjectId.isValid(bookingId)) {
+      throw new ValidationError('Invalid booking ID format');
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw new NotFoundError(`Booking with id ${bookingId} not found`);
+    }
+
+    const [field, ownerId] = Object.entries(owner)[0];
+    if (booking[field].toString() !== ownerId.toString()) {
+      throw new AuthorizationError('You do not have permission to access this booking');
+    }
+
+    return booking;
+  }
+
+  /**
+   * Reject the booking if another approved or active booking holds the room for
+   * any part of its date range. Must be called while holding the room lock.
+   * @param {Object} booking - Booking document with moveInDate and moveOutDate set
+   * @returns {Promise<void>}
+   * @throws {ConflictError} If the date range overlaps an existing booking
+   */
+  static async assertNoOverlap(booking) {
+    const overlapping = await Booking.findOverlapping(
+      booking.roomId,
+      booking.moveInDate,
+      booking.moveOutDate,
+      booking._id
+    ).lean();
+
+    if (overlapping) {
+      throw new ConflictError(
+        `Room is already booked from ${overlapping.moveInDate.toISOString().slice(0, 10)} ` +
+          `to ${overlapping.moveOutDate.toISOString().slice(0, 10)}`
+      );
+    }
+  }
+
+  /**
+   * Run a task while holding an exclusive booking lock on a room. The lock is taken
+   * with a single atomic update so concurrent requests for the same room cannot
+   * interleave their overlap checks and writes.
+   * @param {string} roomId - Room ID
+   * @param {Function} task - Async function to run while the lock is held
+   * @returns {Promise<*>} Result of the task
+   * @throws {ConflictError} If the lock cannot be acquired
+   */
+  static async withRoomLock(roomId, task) {
+    const token = new mongoose.Types.ObjectId().toString();
+
+    for (let attempt = 0; attempt < ROOM_LOCK_RETRIES; attempt++) {
+      const now = new Date();
+      const result = await Room.updateOne(
+        {
+          _id: roomId,
+          $or: [
+            { 'bookingLock.expiresAt': { $exists: false } },
+            { 'bookingLock.expiresAt': { $lt: now } },
+          ],
+        },
+        {
+          $set: {
+            bookingLock: { token, expiresAt: new Date(now.getTime() + ROOM_LOCK_TTL_MS) },
+          },
+        }
+      );
+
+      if (result.modifiedCount === 1) {
+        try {
+          return await task();
+        } finally {
+          await Room.updateOne(
+            { _id: roomId, 'bookingLock.token': token },
+            { $unset: { bookingLock: 1 } }
+          );
+        }
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, ROOM_LOCK_RETRY_DELAY_MS * (attempt + 1)));
+    }
+
+    logger.error('BookingService: Could not acquire room lock', { roomId });
+    throw new ConflictError('Room is being booked by another request, please try again');
+  }
+
+  /**
+   * Adjust the available room count of a building after one of its rooms changed status
+   * @param {string} buildingId - Building ID
+   * @param {boolean} wasAvailable - Whether the room was available before the change
+   * @param {boolean} isAvailable - Whether the room is available after the change
+   * @returns {Promise<void>}
+   */
+  static async updateBuildingAvailability(buildingId, wasAvailable, isAvailable) {
+    if (wasAvailable === isAvailable) return;
+
+    const building = await Building.findById(buildingId);
+    if (building && !isAvailable) {
+      await building.updateAvailability(-1);
+    } else if (building && building.availableRooms < building.totalRooms) {
+      await building.updateAvailability(1);
+    }
+  }
+
+  /**
+   * Move a booking to a new status and keep the room and building in sync
+   * @param {Object} booking - Booking document
+   * @param {string} status - New booking status
+   * @param {string} changedBy - ID of the user making the change
+   * @param {string} [reason] - Reason for the change
+   * @returns {Promise<Object>} Updated booking
+   */
+  static async changeStatus(booking, status, changedBy, reason) {
+    return this.withRoomLock(booking.roomId, async () => {
+      // Reload under the lock so a concurrent change cannot be overwritten
+      const current = await Booking.findById(booking._id);
+      if (!current.canTransitionTo(status)) {
+        throw new ConflictError(`Cannot change booking status from ${current.status} to ${status}`);
+      }
+
+      const previousStatus = current.status;
+      const renterId = current.renterId.toString();
+      const room = await Room.findById(current.roomId);
+      if (!room) {
+        throw new NotFoundError(`Room with id ${current.roomId} not found`);
+      }
+
+      const wasAvailable = room.status === 'available';
+      const heldByOther = room.currentTenant && room.currentTenant.toString() !== renterId;
+
+      if (['approved', 'active'].includes(status)) {
+        await this.assertNoOverlap(current);
+      }
+
+      // An approved booking reserves the room right away unless an earlier tenant still
+      // holds it, in which case the room is taken over when the booking becomes active
+      if (status === 'approved' && wasAvailable) {
+        room.status = 'reserved';
+        room.isAvailable = false;
+        room.currentTenant = current.renterId;
+      }
+
+      if (status === 'active') {
+        if (room.status === 'maintenance') {
+          throw new ConflictError('Room is under maintenance and cannot be handed over yet');
+        }
+        if (heldByOther) {
+          throw new ConflictError('Room is still occupied and cannot be handed over yet');
+        }
+        room.status = 'rented';
+        room.isAvailable = false;
+        room.currentTenant = current.renterId;
+      }
+
+      const releasesRoom =
+        ['approved', 'active'].includes(previousStatus) &&
+        ['completed', 'cancelled'].includes(status);
+      if (releasesRoom && room.currentTenant?.toString() === renterId) {
+        // A room under maintenance stays unavailable until its blocking tickets are closed
+        if (room.status !== 'maintenance') {
+          room.status = 'available';
+          room.isAvailable = true;
+        }
+        room.currentTenant = undefined;
+      }
+
+      current.transitionTo(status, changedBy, reason);
+      await current.save();
+
+      if (room.isModified()) {
+        await room.save();
+      }
+
+      await this.updateBuildingAvailability(
+        current.buildingId,
+        wasAvailable,
+        room.status === 'available'
+      );
+
+      logger.info('BookingService: Booking status changed', {
+        bookingId: current._id,
+        from: previousStatus,
+        to: status,
+      });
+
+      return current.toObject();
+    });
+  }
+}
+
+module.exports = BookingService;
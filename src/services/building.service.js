@@ -6,10 +6,42 @@
  */
 
 const Building = require('../models/building.model');
+const Favorite = require('../models/favorite.model');
+const User = require('../models/user.model');
+const EmailService = require('./email.service');
+const SearchService = require('./search.service');
+const ImageService = require('./image.service');
+const StorageService = require('./storage.service');
 const logger = require('../utils/logger');
-const { NotFoundError, ValidationError } = require('../utils/errors');
+const { paginate, resolveSort } = require('../utils/pagination');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../utils/errors');
 const mongoose = require('mongoose');
 
+// Fields only admins may change: ownership, moderation state and aggregated values
+const MODERATED_FIELDS = [
+  '_id',
+  'hostId',
+  'status',
+  'moderationHistory',
+  'rating',
+  'reviewCount',
+  'createdAt',
+  'updatedAt',
+];
+// Fields maintained by the upload endpoints
+const UPLOAD_MANAGED_FIELDS = ['rulesFile', 'rulesVersion', 'rulesVersions'];
+const MODERATION_ACTIONS = { approve: 'active', reject: 'rejected' };
+const BUILDING_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { avgPrice: 1, _id: 1 },
+  price_desc: { avgPrice: -1, _id: 1 },
+  rating: { rating: -1, _id: 1 },
+};
+
+// Proximity search radius in meters
+const DEFAULT_NEARBY_RADIUS = 5000;
+const MAX_NEARBY_RADIUS = 50000;
+
 /**
  * @class BuildingService
  * @classdesc Service class for handling building operations
@@ -17,32 +49,27 @@ const mongoose = require('mongoose');
 class BuildingService {
   /**
    * @route GET /api/buildings
-   * @description Get all buildings with pagination and filters
+   * @description Get buildings with cursor pagination and filters
    * @param {Object} options - Query options
-   * @param {number} options.page - Page number
-   * @param {number} options.limit - Items per page
-   * @param {Object} options.filters - Filter criteria
+   * @param {string} [options.after] - Cursor of the page to continue after
+   * @param {string} [options.before] - Cursor of the page to continue before
+   * @param {number} [options.limit] - Items per page
+   * @param {string} [options.sort] - One of newest, price_asc, price_desc, rating
+   * @param {Object} [options.filters] - Filter criteria
    * @returns {Promise<Object>} Buildings data with pagination
    */
-  static async getAllBuildings({ page = 1, limit = 10, filters = {} } = {}) {
+  static async getAllBuildings({ after, before, limit, sort, filters = {} } = {}) {
     try {
-      const skip = (page - 1) * limit;
-      const query = Building.find(filters);
-
-      const [buildings, total] = await Promise.all([
-        query.skip(skip).limit(limit).lean(),
-        Building.countDocuments(filters),
-      ]);
+      const { items, pagination } = await paginate(Building, {
+        filters,
+        sort: resolveSort(BUILDING_SORTS, sort, 'newest'),
+        after,
+        before,
+        limit,
+        prepare: (query) => query.select('-moderationHistory'),
+      });
 
-      return {
-        buildings,
-        pagination: {
-          total,
-          page,
-          limit,
-          pages: Math.ceil(total / limit),
-        },
-      };
+      return { buildings: items, pagination };
     } catch (error) {
       logger.error('Error getting all buildings:', error);
       throw error;
@@ -165,6 +192,8 @@ class BuildingService {
       if (!building) {
         throw new NotFoundError(`Building with id ${buildingId} not found`);
       }
+
+      await Favorite.deleteMany({ buildingId });
     } catch (error) {
       logger.error('Error deleting building:', error);
       throw error;
@@ -172,25 +201,387 @@ class BuildingService {
   }
 
   /**
-   * @route GET /api/buildings/search
-   * @description Search buildings by criteria
-   * @param {Object} searchCriteria - Search criteria
-   * @returns {Promise<Array>} Matching buildings
+   * @route POST /api/buildings/:id/images
+   * @description Upload images and append them to a building as unverified
+   * @param {string} buildingId - Building id
+   * @param {Array<Object>} files - Uploaded image files
+   * @param {string} type - Image type: exterior, interior, room or amenity
+   * @returns {Promise<Object>} Updated building
+   */
+  static async addImages(buildingId, files, type) {
+    try {
+      if (!buildingId || !mongoose.Types.ObjectId.isValid(buildingId)) {
+        throw new ValidationError('Invalid building ID format');
+      }
+      const imageTypes = Building.schema.path('images').schema.path('type').enumValues;
+      if (!imageTypes.includes(type)) {
+        throw new ValidationError(`Image type must be one of: ${imageTypes.join(', ')}`);
+      }
+      if (!(await Building.exists({ _id: buildingId }))) {
+        throw new NotFoundError('Building not found');
+      }
+
+      const { images, keys } = await ImageService.storeImages(files, `buildings/${buildingId}`);
+      try {
+        const building = await Building.findByIdAndUpdate(
+          buildingId,
+          {
+            $push: {
+              images: { $each: images.map((image) => ({ ...image, type, isVerified: false })) },
+            },
+          },
+          { new: true, runValidators: true }
+        ).select('-moderationHistory');
+        if (!building) {
+          throw new NotFoundError('Building not found');
+        }
+        return building;
+      } catch (error) {
+        await StorageService.removeAll(keys);
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error adding building images:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure a building exists and belongs to the given landlord
+   * @param {string} buildingId - Building id
+   * @param {string} userId - Landlord id
+   * @returns {Promise<Object>} Building data
+   * @throws {NotFoundError} If building not found
+   * @throws {AuthorizationError} If the landlord does not own the building
+   */
+  static async assertOwnership(buildingId, userId) {
+    if (!buildingId || !mongoose.Types.ObjectId.isValid(buildingId)) {
+      throw new ValidationError('Invalid building ID format');
+    }
+
+    const building = await Building.findById(buildingId).lean();
+    if (!building) {
+      throw new NotFoundError(`Building with id ${buildingId} not found`);
+    }
+
+    if (building.hostId.toString() !== userId.toString()) {
+      logger.warn('BuildingService: Ownership check failed', { buildingId, userId });
+      throw new AuthorizationError('You do not have permission to manage this building');
+    }
+
+    return building;
+  }
+
+  /**
+   * Remove fields a landlord must not set from building input. Images supplied by a
+   * landlord always start unverified.
+   * @param {Object} data - Building data from the request
+   * @returns {Object} Sanitized building data
+   */
+  static stripModeratedFields(data = {}) {
+    const buildingData = { ...data };
+    [...MODERATED_FIELDS, ...UPLOAD_MANAGED_FIELDS].forEach((field) => delete buildingData[field]);
+
+    if (Array.isArray(buildingData.images)) {
+      buildingData.images = buildingData.images.map(
+        ({ isVerified: _isVerified, ...image }) => image
+      );
+    }
+
+    return buildingData;
+  }
+
+  /**
+   * Build a landlord's update for their building. Editing a rejected listing sends it
+   * back to the review queue.
+   * @param {Object} data - Building data from the request
+   * @param {Object} building - Current building
+   * @returns {Object} Sanitized update data
+   */
+  static prepareHostUpdate(data, building) {
+    const updateData = this.stripModeratedFields(data);
+    if (building?.status === 'rejected') {
+      updateData.status = 'pending';
+    }
+    return updateData;
+  }
+
+  /**
+   * @route GET /api/admin/properties
+   * @description Get buildings for the admin review queue, oldest first
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Items per page
+   * @param {string} [options.status] - Building status filter
+   * @returns {Promise<Object>} Buildings data with pagination
    */
-  static async searchBuildings(searchCriteria) {
+  static async getModerationQueue({ page = 1, limit = 10, status } = {}) {
     try {
-      const query = {};
+      page = parseInt(page) || 1;
+      limit = parseInt(limit) || 10;
+      const skip = (page - 1) * limit;
+      const filters = status ? { status } : {};
 
-      if (searchCriteria.name) {
-        query.name = { $regex: searchCriteria.name, $options: 'i' };
+      const [buildings, total] = await Promise.all([
+        Building.find(filters)
+          .sort({ createdAt: 1 })
+          .skip(skip)
+          .limit(limit)
+          .populate('hostId', 'name email phone isVerified')
+          .lean(),
+        Building.countDocuments(filters),
+      ]);
+
+      return {
+        buildings,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error getting moderation queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route PUT /api/admin/properties/:id/verify
+   * @description Approve or reject a building listing and notify its host
+   * @param {string} buildingId - Building id
+   * @param {string} adminId - Admin id
+   * @param {Object} decision - Moderation decision
+   * @param {string} decision.action - approve or reject
+   * @param {string} decision.reason - Reason for the decision
+   * @returns {Promise<Object>} Moderated building
+   */
+  static async moderateBuilding(buildingId, adminId, { action, reason } = {}) {
+    try {
+      if (!MODERATION_ACTIONS[action]) {
+        throw new ValidationError('Action must be one of: approve, reject');
       }
 
-      if (searchCriteria.location) {
-        query.location = { $regex: searchCriteria.location, $options: 'i' };
+      if (!reason || !reason.trim()) {
+        throw new ValidationError('A reason is required for moderation decisions');
       }
 
-      const buildings = await Building.find(query).lean();
-      return buildings;
+      if (!buildingId || !mongoose.Types.ObjectId.isValid(buildingId)) {
+        throw new ValidationError('Invalid building ID format');
+      }
+
+      const building = await Building.findById(buildingId);
+      if (!building) {
+        throw new NotFoundError(`Building with id ${buildingId} not found`);
+      }
+
+      building.status = MODERATION_ACTIONS[action];
+      building.moderationHistory.push({
+        action: action === 'approve' ? 'approved' : 'rejected',
+        reason,
+        moderatedBy: adminId,
+      });
+      await building.save();
+
+      logger.info('BuildingService: Building moderated', { buildingId, action, adminId });
+
+      await this.notifyHost(
+        building,
+        action === 'approve' ? 'PROPERTY_APPROVED' : 'PROPERTY_REJECTED',
+        {
+          reason,
+        }
+      );
+
+      return building.toObject();
+    } catch (error) {
+      logger.error('Error moderating building:', {
+        error: error.message,
+        stack: error.stack,
+        buildingId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @route PUT /api/admin/properties/:id/images/:imageId/verify
+   * @description Mark a single building image as verified or unverified
+   * @param {string} buildingId - Building id
+   * @param {string} imageId - Image id
+   * @param {string} adminId - Admin id
+   * @param {boolean} isVerified - New verification flag
+   * @returns {Promise<Object>} Updated building
+   */
+  static async verifyBuildingImage(buildingId, imageId, adminId, isVerified = true) {
+    try {
+      if (!buildingId || !mongoose.Types.ObjectId.isValid(buildingId)) {
+        throw new ValidationError('Invalid building ID format');
+      }
+
+      const building = await Building.findById(buildingId);
+      if (!building) {
+        throw new NotFoundError(`Building with id ${buildingId} not found`);
+      }
+
+      const image = building.images.id(imageId);
+      if (!image) {
+        throw new NotFoundError(`Image with id ${imageId} not found`);
+      }
+
+      image.isVerified = !!isVerified;
+      building.moderationHistory.push({
+        action: image.isVerified ? 'image_verified' : 'image_unverified',
+        imageId: image._id,
+        moderatedBy: adminId,
+      });
+      await building.save();
+
+      return building.toObject();
+    } catch (error) {
+      logger.error('Error verifying building image:', {
+        error: error.message,
+        stack: error.stack,
+        buildingId,
+        imageId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Email the host of a building. Failures are logged and never fail the caller.
+   * @param {Object} building - Building document
+   * @param {string} templateType - Email template type
+   * @param {Object} [templateData] - Extra template data
+   * @returns {Promise<void>}
+   */
+  static async notifyHost(building, templateType, templateData = {}) {
+    try {
+      const host = await User.findById(building.hostId).select('name email').lean();
+      if (!host) return;
+
+      await EmailService.sendTemplatedEmail(host.email, templateType, {
+        name: host.name,
+        buildingName: building.name,
+        ...templateData,
+      });
+    } catch (error) {
+      logger.error('BuildingService: Failed to notify host', {
+        error: error.message,
+        buildingId: building._id,
+        templateType,
+      });
+    }
+  }
+
+  /**
+   * @route GET /api/buildings/nearby
+   * @description Find buildings within a radius of a point, nearest first
+   * @param {Object} params - Query parameters
+   * @param {number} params.lat - Latitude
+   * @param {number} params.lng - Longitude
+   * @param {number} [params.radius] - Radius in meters
+   * @param {number} [params.minPrice] - Minimum average price
+   * @param {number} [params.maxPrice] - Maximum average price
+   * @param {number} [params.limit] - Maximum number of buildings
+   * @returns {Promise<Array>} Active buildings with their distance in meters
+   */
+  static async getNearbyBuildings(params = {}) {
+    try {
+      const { point, radius, limit } = this.parseNearbyQuery(params);
+
+      // Public search only ever lists approved buildings
+      const query = { status: 'active' };
+      const price = this.parseRange(params.minPrice, params.maxPrice);
+      if (price) query.avgPrice = price;
+
+      return await Building.aggregate([
+        {
+          $geoNear: {
+            near: point,
+            distanceField: 'distance',
+            maxDistance: radius,
+            query,
+            spherical: true,
+          },
+        },
+        { $limit: limit },
+        { $project: { moderationHistory: 0 } },
+      ]);
+    } catch (error) {
+      logger.error('Error finding nearby buildings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse and validate the location part of a proximity query
+   * @param {Object} params - Query parameters with lat, lng, radius and limit
+   * @returns {Object} GeoJSON point, radius in meters and result limit
+   * @throws {ValidationError} If the coordinates or radius are invalid
+   */
+  static parseNearbyQuery({ lat, lng, radius, limit } = {}) {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    if (Number.isNaN(latitude) || latitude < -90 || latitude > 90) {
+      throw new ValidationError('A valid latitude (lat) between -90 and 90 is required');
+    }
+    if (Number.isNaN(longitude) || longitude < -180 || longitude > 180) {
+      throw new ValidationError('A valid longitude (lng) between -180 and 180 is required');
+    }
+
+    const distance = radius === undefined ? DEFAULT_NEARBY_RADIUS : parseFloat(radius);
+    if (Number.isNaN(distance) || distance <= 0 || distance > MAX_NEARBY_RADIUS) {
+      throw new ValidationError(`Radius must be between 1 and ${MAX_NEARBY_RADIUS} meters`);
+    }
+
+    return {
+      point: { type: 'Point', coordinates: [longitude, latitude] },
+      radius: distance,
+      limit: Math.min(parseInt(limit) || 20, 100),
+    };
+  }
+
+  /**
+   * Build a numeric range condition from optional bounds
+   * @param {number|string} [min] - Lower bound
+   * @param {number|string} [max] - Upper bound
+   * @param {string} [label] - Filter name used in the error message
+   * @returns {Object|null} Range condition, or null if no bound is set
+   * @throws {ValidationError} If a bound is not a number or the range is reversed
+   */
+  static parseRange(min, max, label = 'Price') {
+    const range = {};
+    if (min !== undefined && min !== '') range.$gte = Number(min);
+    if (max !== undefined && max !== '') range.$lte = Number(max);
+    if (Object.keys(range).length === 0) return null;
+
+    if (Object.values(range).some(Number.isNaN)) {
+      throw new ValidationError(`${label} filters must be numbers`);
+    }
+    if (range.$gte > range.$lte) {
+      throw new ValidationError(`Minimum ${label.toLowerCase()} cannot exceed the maximum`);
+    }
+    return range;
+  }
+
+  /**
+   * @description Search active buildings by name and location keywords, ranked by relevance
+   * @param {Object} searchCriteria - Search criteria
+   * @param {string} [searchCriteria.name] - Building name keywords
+   * @param {string} [searchCriteria.location] - Ward, district or city keywords
+   * @returns {Promise<Array>} Matching buildings
+   */
+  static async searchBuildings(searchCriteria = {}) {
+    try {
+      const keyword = [searchCriteria.name, searchCriteria.location].filter(Boolean).join(' ');
+      const { results } = await SearchService.search(keyword, {
+        type: 'building',
+        limit: searchCriteria.limit,
+      });
+      return results.map(({ item, score }) => ({ ...item, score }));
     } catch (error) {
       logger.error('Error searching buildings:', error);
       throw error;
@@ -198,21 +589,39 @@ class BuildingService {
   }
 
   /**
-   * @route GET /api/buildings/stats
+   * @route GET /api/admin/dashboard
    * @description Get building statistics
    * @returns {Promise<Object>} Building statistics
    */
   static async getBuildingStats() {
     try {
-      const [totalBuildings, activeBuildings] = await Promise.all([
-        Building.countDocuments(),
-        Building.countDocuments({ status: 'active' }),
+      const [statusCounts, buildingsByCity] = await Promise.all([
+        Building.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+        Building.aggregate([
+          {
+            $group: {
+              _id: '$address.city',
+              count: { $sum: 1 },
+              totalRooms: { $sum: '$totalRooms' },
+              availableRooms: { $sum: '$availableRooms' },
+            },
+          },
+          { $sort: { count: -1 } },
+        ]),
       ]);
 
+      const byStatus = { active: 0, inactive: 0, pending: 0, rejected: 0 };
+      statusCounts.forEach(({ _id, count }) => {
+        byStatus[_id] = count;
+      });
+      const totalBuildings = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+
       return {
         totalBuildings,
-        activeBuildings,
-        inactiveBuildings: totalBuildings - activeBuildings,
+        activeBuildings: byStatus.active,
+        inactiveBuildings: totalBuildings - byStatus.active,
+        byStatus,
+        byCity: buildingsByCity.map(({ _id, ...stats }) => ({ city: _id, ...stats })),
       };
     } catch (error) {
       logger.error('Error getting building stats:', error);
@@ -0,0 +1,327 @@
+/**
+ * @fileoverview Dashboard Service - Aggregates statistics for dashboards
+ * @created 2025-06-06
+ * @file dashboard.service.js
+ * @description Service for building the admin, landlord and renter dashboards
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Booking = require('../models/booking.model');
+const Building = require('../models/building.model');
+const Room = require('../models/room.model');
+const Favorite = require('../models/favorite.model');
+const RoomService = require('./room.service');
+const RecommendationService = require('./recommendation.service');
+const BuildingService = require('./building.service');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+const DEFAULT_RANGE_DAYS = 30;
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+/**
+ * @class DashboardService
+ * @classdesc Service class for dashboard statistics
+ */
+class DashboardService {
+  /**
+   * @route GET /api/admin/dashboard
+   * @description Get platform-wide statistics for the admin dashboard
+   * @param {Object} options - Query options
+   * @param {string} [options.from] - Start of the date range (ISO date), defaults to 30 days ago
+   * @param {string} [options.to] - End of the date range (ISO date), defaults to now
+   * @param {string} [options.interval] - Time series bucket: day, week or month
+   * @returns {Promise<Object>} Dashboard statistics
+   */
+  static async getAdminDashboard({ from, to, interval = 'day' } = {}) {
+    try {
+      const range = this.parseDateRange(from, to);
+      const format = INTERVAL_FORMATS[interval];
+      if (!format) {
+        throw new ValidationError(
+          `Interval must be one of: ${Object.keys(INTERVAL_FORMATS).join(', ')}`
+        );
+      }
+
+      const inRange = { createdAt: { $gte: range.from, $lte: range.to } };
+
+      const [usersByRole, signups, bookingsByStatus, bookingVolume, buildings, rooms] =
+        await Promise.all([
+          User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+          User.aggregate([
+            { $match: inRange },
+            {
+              $group: {
+                _id: { $dateToString: { format, date: '$createdAt' } },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ]),
+          Booking.aggregate([
+            { $match: inRange },
+            { $group: { _id: '$status', count: { $sum: 1 } } },
+          ]),
+          Booking.aggregate([
+            { $match: inRange },
+            {
+              $group: {
+                _id: { $dateToString: { format, date: '$createdAt' } },
+                count: { $sum: 1 },
+                monthlyRent: { $sum: '$monthlyRent' },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ]),
+          BuildingService.getBuildingStats(),
+          RoomService.getRoomStats(),
+        ]);
+
+      const roles = { renter: 0, landlord: 0, technician: 0, admin: 0 };
+      usersByRole.forEach(({ _id, count }) => {
+        roles[_id] = count;
+      });
+
+      const bookingStatuses = {};
+      Object.keys(Booking.getTransitions()).forEach((status) => {
+        bookingStatuses[status] = 0;
+      });
+      bookingsByStatus.forEach(({ _id, count }) => {
+        bookingStatuses[_id] = count;
+      });
+
+      return {
+        range: { ...range, interval },
+        users: {
+          total: Object.values(roles).reduce((sum, count) => sum + count, 0),
+          byRole: roles,
+          newSignups: signups.reduce((sum, { count }) => sum + count, 0),
+          signupsOverTime: signups.map(({ _id, count }) => ({ period: _id, count })),
+        },
+        buildings,
+        rooms,
+        bookings: {
+          total: Object.values(bookingStatuses).reduce((sum, count) => sum + count, 0),
+          byStatus: bookingStatuses,
+          volumeOverTime: bookingVolume.map(({ _id, count, monthlyRent }) => ({
+            period: _id,
+            count,
+            monthlyRent,
+          })),
+        },
+      };
+    } catch (error) {
+      logger.error('Error getting admin dashboard:', {
+        error: error.message,
+        stack: error.stack,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @route GET /api/landlord/dashboard
+   * @description Get a landlord's portfolio with per-building occupancy and revenue
+   * @param {string} hostId - Landlord ID
+   * @returns {Promise<Object>} Portfolio summary and per-building statistics
+   */
+  static async getLandlordDashboard(hostId) {
+    try {
+      const buildings = await Building.find({ hostId }).sort({ createdAt: -1 });
+      const buildingIds = buildings.map((building) => building._id);
+
+      const [rooms, pendingByBuilding, buildingFavorites, pendingRequests] = await Promise.all([
+        Room.find({ buildingId: { $in: buildingIds } }).select(
+          'buildingId status price viewCount favoriteCount'
+        ),
+        Booking.aggregate([
+          { $match: { hostId: new mongoose.Types.ObjectId(hostId), status: 'pending' } },
+          { $group: { _id: '$buildingId', count: { $sum: 1 } } },
+        ]),
+        Favorite.aggregate([
+          { $match: { type: 'building', buildingId: { $in: buildingIds } } },
+          { $group: { _id: '$buildingId', count: { $sum: 1 } } },
+        ]),
+        Booking.find({ hostId, status: 'pending' })
+          .sort({ createdAt: 1 })
+          .limit(10)
+          .populate('renterId', 'name email phone')
+          .populate('roomId', 'name')
+          .lean(),
+      ]);
+
+      const pendingCounts = new Map(
+        pendingByBuilding.map(({ _id, count }) => [_id.toString(), count])
+      );
+      const favoriteCounts = new Map(
+        buildingFavorites.map(({ _id, count }) => [_id.toString(), count])
+      );
+
+      const stats = buildings.map((building) => {
+        const id = building._id.toString();
+        const buildingRooms = rooms.filter((room) => room.buildingId.toString() === id);
+        const roomsByStatus = { available: 0, rented: 0, reserved: 0, maintenance: 0 };
+        let expectedMonthlyRent = 0;
+        let viewCount = 0;
+        let roomFavoriteCount = 0;
+
+        buildingRooms.forEach((room) => {
+          roomsByStatus[room.status] += 1;
+          if (room.status === 'rented') expectedMonthlyRent += room.totalPrice;
+          viewCount += room.viewCount;
+          roomFavoriteCount += room.favoriteCount;
+        });
+
+        return {
+          _id: building._id,
+          name: building.name,
+          address: building.address,
+          status: building.status,
+          totalRooms: building.totalRooms,
+          availableRooms: building.availableRooms,
+          occupancyRate: building.occupancyRate,
+          roomsByStatus,
+          pendingBookings: pendingCounts.get(id) || 0,
+          expectedMonthlyRent,
+          viewCount,
+          favoriteCount: roomFavoriteCount + (favoriteCounts.get(id) || 0),
+        };
+      });
+
+      const totals = stats.reduce(
+        (sum, building) => ({
+          totalRooms: sum.totalRooms + building.totalRooms,
+          availableRooms: sum.availableRooms + building.availableRooms,
+          pendingBookings: sum.pendingBookings + building.pendingBookings,
+          expectedMonthlyRent: sum.expectedMonthlyRent + building.expectedMonthlyRent,
+          viewCount: sum.viewCount + building.viewCount,
+          favoriteCount: sum.favoriteCount + building.favoriteCount,
+        }),
+        {
+          totalRooms: 0,
+          availableRooms: 0,
+          pendingBookings: 0,
+          expectedMonthlyRent: 0,
+          viewCount: 0,
+          favoriteCount: 0,
+        }
+      );
+
+      return {
+        summary: {
+          totalBuildings: buildings.length,
+          ...totals,
+          occupancyRate: totals.totalRooms
+            ? ((totals.totalRooms - totals.availableRooms) / totals.totalRooms) * 100
+            : 0,
+        },
+        buildings: stats,
+        pendingRequests,
+      };
+    } catch (error) {
+      logger.error('Error getting landlord dashboard:', {
+        error: error.message,
+        stack: error.stack,
+        hostId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @route GET /api/renter/dashboard
+   * @description Get a renter's bookings, favorites, recently viewed rooms and recommendations
+   * @param {string} renterId - Renter ID
+   * @returns {Promise<Object>} Dashboard data
+   */
+  static async getRenterDashboard(renterId) {
+    try {
+      const today = new Date(new Date().toDateString());
+      const bookingFields = 'name price status images';
+
+      const [activeBookings, upcomingBookings, recentFavorites, user, recommendations] =
+        await Promise.all([
+          Booking.find({ renterId, status: 'active' })
+            .sort({ moveInDate: -1 })
+            .populate('roomId', bookingFields)
+            .populate('buildingId', 'name address')
+            .lean(),
+          Booking.find({
+            renterId,
+            status: { $in: ['pending', 'approved'] },
+            moveInDate: { $gte: today },
+          })
+            .sort({ moveInDate: 1 })
+            .populate('roomId', bookingFields)
+            .populate('buildingId', 'name address')
+            .lean(),
+          Favorite.find({ renterId, type: 'room' })
+            .sort({ createdAt: -1 })
+            .limit(5)
+            .populate('roomId', 'name price area status images rating')
+            .lean(),
+          User.findById(renterId)
+            .select('recentlyViewedRooms')
+            .populate('recentlyViewedRooms.roomId', 'name price area status images rating')
+            .lean(),
+          RecommendationService.getRecommendations(renterId, { limit: 5 }),
+        ]);
+
+      return {
+        activeBookings,
+        upcomingBookings,
+        recentFavorites: recentFavorites
+          .filter((favorite) => favorite.roomId)
+          .map((favorite) => ({ ...favorite.roomId, favoritedAt: favorite.createdAt })),
+        recentlyViewed: (user?.recentlyViewedRooms || [])
+          .slice(0, 10)
+          .filter((view) => view.roomId)
+          .map((view) => ({ ...view.roomId, viewedAt: view.viewedAt })),
+        recommendations,
+      };
+    } catch (error) {
+      logger.error('Error getting renter dashboard:', {
+        error: error.message,
+        stack: error.stack,
+        renterId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a dashboard date range
+   * @param {string} [from] - Start date
+   * @param {string} [to] - End date
+   * @returns {Object} Range with from and to dates
+   * @throws {ValidationError} If a date is invalid or the range is reversed
+   */
+  static parseDateRange(from, to) {
+    const end = to ? new Date(to) : new Date();
+    const start = from
+      ? new Date(from)
+      : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new ValidationError('Invalid date range');
+    }
+
+    // A date-only end bound includes the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to || '')) {
+      end.setUTCHours(23, 59, 59, 999);
+    }
+
+    if (start > end) {
+      throw new ValidationError('Start date must be before end date');
+    }
+
+    return { from: start, to: end };
+  }
+}
+
+module.exports = DashboardService;
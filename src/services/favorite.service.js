@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Favorite Service - Handles renter favorites
+ * @created 2025-06-06
+ * @file favorite.service.js
+ * @description Service for managing renter favorites and keeping Room.favoriteCount in sync
+ */
+
+const mongoose = require('mongoose');
+const Favorite = require('../models/favorite.model');
+const Room = require('../models/room.model');
+const Building = require('../models/building.model');
+const logger = require('../utils/logger');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const FAVORITE_TYPES = ['room', 'building'];
+
+/**
+ * @class FavoriteService
+ * @classdesc Service class for handling favorite operations
+ */
+class FavoriteService {
+  /**
+   * @route GET /api/renter/favorites
+   * @description Get favorites of a renter with pagination
+   * @param {string} renterId - Renter ID
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Items per page
+   * @param {string} [options.type] - Favorite type filter (room or building)
+   * @returns {Promise<Object>} Favorites data with pagination
+   */
+  static async getFavorites(renterId, { page = 1, limit = 10, type } = {}) {
+    try {
+      page = parseInt(page) || 1;
+      limit = parseInt(limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const filters = { renterId };
+      if (type) {
+        this.validateType(type);
+        filters.type = type;
+      }
+
+      const [favorites, total] = await Promise.all([
+        Favorite.find(filters)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .populate('roomId', 'name price area capacity images status rating favoriteCount')
+          .populate('buildingId', 'name address avgPrice images rating status')
+          .lean(),
+        Favorite.countDocuments(filters),
+      ]);
+
+      return {
+        favorites,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error getting favorites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route POST /api/renter/favorites/:propertyId
+   * @description Add a room or building to the renter's favorites. Adding an existing
+   * favorite is a no-op.
+   * @param {string} renterId - Renter ID
+   * @param {string} propertyId - Room or building ID
+   * @param {string} [type] - Property type; detected from the ID when omitted
+   * @returns {Promise<Object>} The favorite and whether it was newly created
+   */
+  static async addFavorite(renterId, propertyId, type) {
+    try {
+      const property = await this.resolveProperty(propertyId, type);
+
+      let favorite;
+      let created = true;
+      try {
+        favorite = await Favorite.create({ renterId, ...property });
+      } catch (error) {
+        // Duplicate key: the favorite already exists (possibly from a concurrent request)
+        if (error.code !== 11000) throw error;
+        created = false;
+        favorite = await Favorite.findOne({
+          renterId,
+          roomId: property.roomId || null,
+          buildingId: property.buildingId,
+        });
+      }
+
+      if (property.type === 'room') {
+        await this.syncFavoriteCount(property.roomId);
+      }
+
+      logger.info('FavoriteService: Favorite added', { renterId, propertyId, created });
+      return { favorite: favorite.toObject(), created };
+    } catch (error) {
+      logger.error('Error adding favorite:', {
+        error: error.message,
+        stack: error.stack,
+        renterId,
+        propertyId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @route DELETE /api/renter/favorites/:propertyId
+   * @description Remove a room or building from the renter's favorites. Removing a
+   * missing favorite is a no-op.
+   * @param {string} renterId - Renter ID
+   * @param {string} propertyId - Room or building ID
+   * @param {string} [type] - Property type; both are matched when omitted
+   * @returns {Promise<Object>} Whether a favorite was removed
+   */
+  static async removeFavorite(renterId, propertyId, type) {
+    try {
+      if (!propertyId || !mongoose.Types.ObjectId.isValid(propertyId)) {
+        throw new ValidationError('Invalid property ID format');
+      }
+      if (type) this.validateType(type);
+
+      const matchers = [];
+      if (type !== 'building') matchers.push({ type: 'room', roomId: propertyId });
+      if (type !== 'room') matchers.push({ type: 'building', buildingId: propertyId });
+
+      const favorite = await Favorite.findOneAndDelete({ renterId, $or: matchers });
+
+      if (favorite && favorite.type === 'room') {
+        await this.syncFavoriteCount(favorite.roomId);
+      }
+
+      logger.info('FavoriteService: Favorite removed', {
+        renterId,
+        propertyId,
+        removed: !!favorite,
+      });
+      return { removed: !!favorite };
+    } catch (error) {
+      logger.error('Error removing favorite:', {
+        error: error.message,
+        stack: error.stack,
+        renterId,
+        propertyId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Recount the favorites of a room. Counting instead of incrementing repairs any drift left by
+   * an earlier failed write or by seeded data.
+   * @param {string} roomId - Room ID
+   * @returns {Promise<number>} Favorite count
+   */
+  static async syncFavoriteCount(roomId) {
+    const favoriteCount = await Favorite.countDocuments({ type: 'room', roomId });
+    await Room.updateOne({ _id: roomId }, { $set: { favoriteCount } });
+    return favoriteCount;
+  }
+
+  /**
+   * Find the room or building a favorite should point at
+   * @param {string} propertyId - Room or building ID
+   * @param {string} [type] - Property type; a room is tried first when omitted
+   * @returns {Promise<Object>} Favorite fields (type, roomId, buildingId)
+   * @throws {NotFoundError} If no matching property exists
+   */
+  static async resolveProperty(propertyId, type) {
+    if (!propertyId || !mongoose.Types.ObjectId.isValid(propertyId)) {
+      throw new ValidationError('Invalid property ID format');
+    }
+    if (type) this.validateType(type);
+
+    if (type !== 'building') {
+      const room = await Room.findById(propertyId).select('buildingId').lean();
+      if (room) {
+        return { type: 'room', roomId: room._id, buildingId: room.buildingId };
+      }
+    }
+
+    if (type !== 'room') {
+      const building = await Building.exists({ _id: propertyId });
+      if (building) {
+        return { type: 'building', buildingId: building._id };
+      }
+    }
+
+    throw new NotFoundError(`Property with id ${propertyId} not found`);
+  }
+
+  /**
+   * Validate a favorite type
+   * @param {string} type - Favorite type
+   * @throws {ValidationError} If the type is not supported
+   */
+  static validateType(type) {
+    if (!FAVORITE_TYPES.includes(type)) {
+      throw new ValidationError(`Type must be one of: ${FAVORITE_TYPES.join(', ')}`);
+    }
+  }
+}
+
+module.exports = FavoriteService;
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Image Service - Processes and stores uploaded images
+ * @created 2025-06-06
+ * @file image.service.js
+ * @description Service for validating uploaded images, stripping their metadata, generating
+ * thumbnails and saving both through the storage service.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const StorageService = require('./storage.service');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+// Decoded formats accepted regardless of the MIME type the client declared
+const IMAGE_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+};
+const MAX_DIMENSION = 1920;
+const THUMBNAIL_SIZE = { width: 320, height: 240 };
+
+/**
+ * @class ImageService
+ * @classdesc Service class for image uploads
+ */
+class ImageService {
+  /**
+   * Process and store uploaded images; if any fails, files already stored are removed
+   * @param {Array<Object>} files - Multer files held in memory
+   * @param {string} folder - Storage folder, e.g. buildings/<id>
+   * @returns {Promise<Object>} { images: [{ url, thumbnailUrl }], keys }
+   * @throws {ValidationError} If no files were sent or a file is not a supported image
+   */
+  static async storeImages(files, folder) {
+    if (!files || files.length === 0) {
+      throw new ValidationError('At least one image file is required');
+    }
+
+    const keys = [];
+    try {
+      const images = [];
+      for (const file of files) {
+        const { image, thumbnail, format } = await this.processImage(file);
+        const id = crypto.randomUUID();
+        const imageKey = `${folder}/${id}.${format.extension}`;
+        const thumbnailKey = `${folder}/${id}_thumb.${format.extension}`;
+
+        keys.push(imageKey);
+        const url = await StorageService.save(imageKey, image, format.contentType);
+        keys.push(thumbnailKey);
+        const thumbnailUrl = await StorageService.save(thumbnailKey, thumbnail, format.contentType);
+        images.push({ url, thumbnailUrl });
+      }
+      return { images, keys };
+    } catch (error) {
+      await StorageService.removeAll(keys);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-encode an image without its metadata (EXIF, including GPS location) and build a thumbnail.
+   * Orientation from EXIF is applied to the pixels before the metadata is dropped.
+   * @param {Object} file - Multer file held in memory
+   * @returns {Promise<Object>} { image, thumbnail, format }
+   * @throws {ValidationError} If the file cannot be decoded as a supported image
+   */
+  static async processImage(file) {
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+      logger.warn('ImageService: Rejected undecodable upload', {
+        filename: file.originalname,
+        error: error.message,
+      });
+      throw new ValidationError(`${file.originalname} is not a valid image`);
+    }
+
+    const format = IMAGE_FORMATS[metadata.format];
+    if (!format) {
+      throw new ValidationError(`${file.originalname} must be a JPEG, PNG or WebP image`);
+    }
+
+    const source = sharp(file.buffer).rotate();
+    const [image, thumbnail] = await Promise.all([
+      source
+        .clone()
+        .resize({
+          width: MAX_DIMENSION,
+          height: MAX_DIMENSION,
+          fit: 'inside',
+          withoutEnlargement: true,
+        })
+        .toFormat(metadata.format)
+        .toBuffer(),
+      source
+        .clone()
+        .resize({ ...THUMBNAIL_SIZE, fit: 'cover' })
+        .toFormat(metadata.format)
+        .toBuffer(),
+    ]);
+
+    return { image, thumbnail, format };
+  }
+}
+
+module.exports = ImageService;
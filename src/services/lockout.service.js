@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Lockout Service - Protects login against password guessing
+ * @created 2025-06-06
+ * @file lockout.service.js
+ * @description Service for counting failed logins per email and per client IP. Repeated failures
+ * on an email slow down further attempts and then lock it for a while; an IP failing across
+ * many accounts is locked as well.
+ */
+
+const LoginAttempt = require('../models/login-attempt.model');
+const logger = require('../utils/logger');
+const { TooManyRequestsError } = require('../utils/errors');
+
+const MAX_EMAIL_FAILURES = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS, 10) || 20;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+// Repeated lockouts double in length up to this many times
+const MAX_LOCKOUT_DOUBLINGS = 4;
+// Failures after which each attempt must wait, doubling from 1 second up to the maximum
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 30;
+// Failures this old no longer count towards a lockout
+const FAILURE_WINDOW_MINUTES = 15;
+const RETENTION_HOURS = 24;
+
+const normalizeEmail = (email) => (email || '').toString().trim().toLowerCase();
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date - Date.now()) / 1000));
+
+/**
+ * @class LockoutService
+ * @classdesc Service class for failed login tracking and temporary lockouts
+ */
+class LockoutService {
+  /**
+   * Reject a login attempt while its email or IP is locked or must still wait
+   * @param {string} email - Email being signed in to
+   * @param {string} [ip] - Client IP
+   * @returns {Promise<void>}
+   * @throws {TooManyRequestsError} With retryAfter in seconds
+   */
+  static async assertAllowed(email, ip) {
+    const now = new Date();
+    const attempts = await LoginAttempt.find({
+      $or: [
+        { type: 'email', value: normalizeEmail(email) },
+        ...(ip ? [{ type: 'ip', value: ip }] : []),
+      ],
+    }).lean();
+
+    for (const attempt of attempts) {
+      if (attempt.lockedUntil > now) {
+        throw new TooManyRequestsError(
+          attempt.type === 'email'
+            ? 'Account is temporarily locked after too many failed login attempts. Try again later or reset your password.'
+            : 'Too many failed login attempts from this network. Try again later.',
+          secondsUntil(attempt.lockedUntil)
+        );
+      }
+    }
+
+    const emailAttempt = attempts.find((attempt) => attempt.type === 'email');
+    const delay = this.getDelaySeconds(emailAttempt, now);
+    if (delay > 0) {
+      const retryAt = new Date(emailAttempt.lastFailureAt.getTime() + delay * 1000);
+      if (retryAt > now) {
+        const wait = secondsUntil(retryAt);
+        throw new TooManyRequestsError(
+          `Too many failed login attempts. Please wait ${wait} seconds before trying again.`,
+          wait
+        );
+      }
+    }
+  }
+
+  /**
+   * Count a failed login for the email and the IP
+   * @param {string} email - Email being signed in to
+   * @param {string} [ip] - Client IP
+   * @returns {Promise<Object>} { lockedUntil } set when this failure locked the email
+   */
+  static async recordFailure(email, ip) {
+    try {
+      const [emailLock] = await Promise.all([
+        this.increment('email', normalizeEmail(email), MAX_EMAIL_FAILURES),
+        ip ? this.increment('ip', ip, MAX_IP_FAILURES) : null,
+      ]);
+      return { lockedUntil: emailLock };
+    } catch (error) {
+      logger.error('Error recording failed login:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the email's failures after a successful login. IP counters are kept, so an attacker
+   * cannot reset them by signing in to their own account.
+   * @param {string} email - Email that signed in
+   * @returns {Promise<void>}
+   */
+  static async recordSuccess(email) {
+    await LoginAttempt.updateOne(
+      { type: 'email', value: normalizeEmail(email), lockedUntil: { $not: { $gt: new Date() } } },
+      { $set: { failures: 0 } }
+    );
+  }
+
+  /**
+   * @route GET /api/admin/users/:id/lockout
+   * @description Get the failed login state of an email
+   * @param {string} email - Email to look up
+   * @returns {Promise<Object>} { locked, lockedUntil, failures, lastFailureAt, lockCount }
+   */
+  static async getLockout(email) {
+    const attempt = await LoginAttempt.findOne({
+      type: 'email',
+      value: normalizeEmail(email),
+    }).lean();
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+    return {
+      locked: Boolean(attempt?.lockedUntil > now),
+      lockedUntil: attempt?.lockedUntil > now ? attempt.lockedUntil : null,
+      failures: attempt?.lastFailureAt >= windowStart ? attempt.failures : 0,
+      lastFailureAt: attempt?.lastFailureAt || null,
+      lockCount: attempt?.lockCount || 0,
+    };
+  }
+
+  /**
+   * @route DELETE /api/admin/users/:id/lockout
+   * @description Unlock an email and forget its failures, e.g. after an admin check or a
+   * password reset
+   * @param {string} email - Email to unlock
+   * @returns {Promise<boolean>} True if the email was locked
+   */
+  static async clear(email) {
+    try {
+      const attempt = await LoginAttempt.findOneAndDelete({
+        type: 'email',
+        value: normalizeEmail(email),
+      }).lean();
+      const wasLocked = Boolean(attempt?.lockedUntil > new Date());
+      if (wasLocked) {
+        logger.info('LockoutService: Lockout cleared', { email: normalizeEmail(email) });
+      }
+      return wasLocked;
+    } catch (error) {
+      logger.error('Error clearing lockout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Seconds the next attempt must wait after the last failure
+   * @param {Object} [attempt] - Email attempt record
+   * @param {Date} now - Current time
+   * @returns {number} Delay in seconds, 0 when no delay applies
+   */
+  static getDelaySeconds(attempt, now) {
+    if (!attempt?.lastFailureAt || attempt.failures < DELAY_AFTER_FAILURES) return 0;
+    if (now - attempt.lastFailureAt > FAILURE_WINDOW_MINUTES * 60 * 1000) return 0;
+    return Math.min(2 ** (attempt.failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+  }
+
+  /**
+   * Add a failure to a counter and lock it once it reaches the limit
+   * @param {string} type - email or ip
+   * @param {string} value - Normalized email or IP
+   * @param {number} maxFailures - Failures that trigger a lockout
+   * @returns {Promise<Date|null>} End of the lockout this failure started, if any
+   */
+  static async increment(type, value, maxFailures) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+    // Failures outside the window start a fresh count
+    await LoginAttempt.updateOne(
+      { type, value, lastFailureAt: { $lt: windowStart } },
+      { $set: { failures: 0 } }
+    );
+
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { type, value },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + RETENTION_HOURS * 60 * 60 * 1000),
+        },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+    if (attempt.failures < maxFailures) return null;
+
+    const minutes = LOCKOUT_MINUTES * 2 ** Math.min(attempt.lockCount, MAX_LOCKOUT_DOUBLINGS);
+    const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+    // Only one of several parallel failures starts the lockout
+    const locked = await LoginAttempt.findOneAndUpdate(
+      {
+        _id: attempt._id,
+        failures: { $gte: maxFailures },
+        lockedUntil: { $not: { $gt: now } },
+      },
+      {
+        $set: {
+          failures: 0,
+          lockedUntil,
+          expiresAt: new Date(lockedUntil.getTime() + RETENTION_HOURS * 60 * 60 * 1000),
+        },
+        $inc: { lockCount: 1 },
+      },
+      { new: true }
+    ).lean();
+    if (!locked) return null;
+
+    logger.warn('LockoutService: Login locked', { type, value, lockedUntil, minutes });
+    return lockedUntil;
+  }
+}
+
+module.exports = LockoutService;
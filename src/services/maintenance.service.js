@@ -0,0 +1,485 @@
+/**
+ * @fileoverview Maintenance Service - Handles maintenance tickets
+ * @created 2025-06-06
+ * @file maintenance.service.js
+ * @description Service for the maintenance ticket lifecycle: renters report issues in their room,
+ * landlords assign technicians, technicians accept, report progress and close tickets. Rooms
+ * with an open blocking ticket are kept under maintenance.
+ */
+
+const mongoose = require('mongoose');
+const MaintenanceTicket = require('../models/maintenance-ticket.model');
+const Booking = require('../models/booking.model');
+const Room = require('../models/room.model');
+const User = require('../models/user.model');
+const BookingService = require('./booking.service');
+const ImageService = require('./image.service');
+const StorageService = require('./storage.service');
+const logger = require('../utils/logger');
+const { paginate, resolveSort } = require('../utils/pagination');
+const {
+  NotFoundError,
+  ValidationError,
+  AuthorizationError,
+  ConflictError,
+} = require('../utils/errors');
+
+const TICKET_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+};
+// Ticket statuses a renter may still cancel in; landlords may cancel any open ticket
+const RENTER_CANCELLABLE_STATUSES = ['open', 'assigned'];
+
+/**
+ * @class MaintenanceService
+ * @classdesc Service class for handling maintenance tickets
+ */
+class MaintenanceService {
+  /**
+   * @route GET /api/renter/maintenance
+   * @route GET /api/landlord/maintenance
+   * @route GET /api/technician/tickets
+   * @description Get tickets of a renter, landlord or technician with cursor pagination
+   * @param {Object} owner - Owner filter: { reportedBy }, { hostId } or { technicianId }
+   * @param {Object} options - Query options
+   * @param {string} [options.after] - Cursor of the page to continue after
+   * @param {string} [options.before] - Cursor of the page to continue before
+   * @param {number} [options.limit] - Items per page
+   * @param {string} [options.sort] - One of newest, oldest
+   * @param {string} [options.status] - Ticket status filter
+   * @param {string} [options.priority] - Ticket priority filter
+   * @returns {Promise<Object>} Tickets with pagination
+   */
+  static async getTickets(owner, { after, before, limit, sort, status, priority } = {}) {
+    try {
+      const filters = { ...owner };
+      if (status) {
+        if (!Object.keys(MaintenanceTicket.getTransitions()).includes(status)) {
+          throw new ValidationError(
+            `Status must be one of: ${Object.keys(MaintenanceTicket.getTransitions()).join(', ')}`
+          );
+        }
+        filters.status = status;
+      }
+      if (priority) {
+        this.validatePriority(priority);
+        filters.priority = priority;
+      }
+
+      const { items, pagination } = await paginate(MaintenanceTicket, {
+        filters,
+        sort: resolveSort(TICKET_SORTS, sort, 'newest'),
+        after,
+        before,
+        limit,
+        prepare: (query) => this.populateTicket(query),
+      });
+
+      return { tickets: items, pagination };
+    } catch (error) {
+      logger.error('Error getting maintenance tickets:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route GET /api/technician/tickets/:id
+   * @description Get a single ticket assigned to the technician
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} owner - Owner filter: { reportedBy }, { hostId } or { technicianId }
+   * @returns {Promise<Object>} Ticket
+   */
+  static async getTicket(ticketId, owner) {
+    try {
+      const ticket = await this.findTicketFor(ticketId, owner);
+      return await this.populateTicket(MaintenanceTicket.findById(ticket._id)).lean();
+    } catch (error) {
+      logger.error('Error getting maintenance ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route POST /api/renter/maintenance
+   * @description Report an issue in a room the renter is currently renting
+   * @param {string} renterId - Renter ID
+   * @param {Array<Object>} [files] - Uploaded photos of the issue
+   * @param {Object} ticketData - Ticket data
+   * @param {string} ticketData.roomId - Room ID
+   * @param {string} ticketData.title - Short summary
+   * @param {string} [ticketData.description] - Details
+   * @param {string} [ticketData.priority] - low, medium, high or urgent
+   * @param {boolean} [ticketData.blocksRoom] - Whether the room cannot be used until fixed
+   * @returns {Promise<Object>} Created ticket
+   */
+  static async createTicket(renterId, files, ticketData = {}) {
+    const { roomId, title, description, priority, blocksRoom } = ticketData;
+    let keys = [];
+    try {
+      if (!roomId || !mongoose.Types.ObjectId.isValid(roomId)) {
+        throw new ValidationError('Invalid room ID format');
+      }
+      if (!title || !title.toString().trim()) {
+        throw new ValidationError('Title is required');
+      }
+      if (priority) {
+        this.validatePriority(priority);
+      }
+
+      const booking = await Booking.findOne({ renterId, roomId, status: 'active' }).lean();
+      if (!booking) {
+        throw new AuthorizationError('You can only report issues in a room you are renting');
+      }
+
+      const ticketId = new mongoose.Types.ObjectId();
+      let images = [];
+      if (files && files.length > 0) {
+        ({ images, keys } = await ImageService.storeImages(files, `maintenance/${ticketId}`));
+      }
+
+      const ticket = await MaintenanceTicket.create({
+        _id: ticketId,
+        roomId,
+        buildingId: booking.buildingId,
+        hostId: booking.hostId,
+        reportedBy: renterId,
+        title,
+        description,
+        priority,
+        images,
+        blocksRoom: this.parseBoolean(blocksRoom),
+        updates: [{ status: 'open', updatedBy: renterId }],
+      });
+      keys = [];
+
+      if (ticket.blocksRoom) {
+        await this.syncRoomStatusAfterSave(roomId);
+      }
+
+      logger.info('MaintenanceService: Ticket created', { ticketId, roomId, renterId });
+      return ticket.toObject();
+    } catch (error) {
+      await StorageService.removeAll(keys);
+      logger.error('Error creating maintenance ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route PUT /api/landlord/maintenance/:id/assign
+   * @description Assign or reassign a ticket to a technician
+   * @param {string} ticketId - Ticket ID
+   * @param {string} hostId - Landlord ID
+   * @param {Object} assignment - Assignment data
+   * @param {string} assignment.technicianId - Technician ID
+   * @param {boolean} [assignment.blocksRoom] - Override whether the ticket blocks the room
+   * @param {string} [assignment.note] - Note for the technician
+   * @returns {Promise<Object>} Updated ticket
+   */
+  static async assignTicket(ticketId, hostId, { technicianId, blocksRoom, note } = {}) {
+    try {
+      if (!technicianId || !mongoose.Types.ObjectId.isValid(technicianId)) {
+        throw new ValidationError('Invalid technician ID format');
+      }
+
+      const ticket = await this.findTicketFor(ticketId, { hostId });
+      if (!ticket.canTransitionTo('assigned')) {
+        throw new ConflictError(`A ${ticket.status} ticket cannot be assigned`);
+      }
+
+      const technician = await User.findOne({
+        _id: technicianId,
+        role: 'technician',
+        isBanned: false,
+      }).lean();
+      if (!technician) {
+        throw new NotFoundError('Technician not found');
+      }
+
+      const blocksRoomChanged =
+        blocksRoom !== undefined && this.parseBoolean(blocksRoom) !== ticket.blocksRoom;
+      ticket.technicianId = technicianId;
+      if (blocksRoom !== undefined) {
+        ticket.blocksRoom = this.parseBoolean(blocksRoom);
+      }
+      ticket.transitionTo('assigned', hostId, note);
+      await ticket.save();
+
+      if (blocksRoomChanged) {
+        await this.syncRoomStatusAfterSave(ticket.roomId);
+      }
+
+      logger.info('MaintenanceService: Ticket assigned', { ticketId, technicianId, hostId });
+      return ticket.toObject();
+    } catch (error) {
+      logger.error('Error assigning maintenance ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route PUT /api/technician/tickets/:id/accept
+   * @description Accept a ticket assigned to the technician
+   * @param {string} ticketId - Ticket ID
+   * @param {string} technicianId - Technician ID
+   * @returns {Promise<Object>} Updated ticket
+   */
+  static async acceptTicket(ticketId, technicianId) {
+    try {
+      const ticket = await this.findTicketFor(ticketId, { technicianId });
+      return await this.changeStatus(ticket, 'accepted', technicianId);
+    } catch (error) {
+      logger.error('Error accepting maintenance ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route PUT /api/technician/tickets/:id/progress
+   * @description Record work progress on an accepted ticket
+   * @param {string} ticketId - Ticket ID
+   * @param {string} technicianId - Technician ID
+   * @param {string} note - Progress note
+   * @returns {Promise<Object>} Updated ticket
+   */
+  static async updateProgress(ticketId, technicianId, note) {
+    try {
+      if (!note || !note.toString().trim()) {
+        throw new ValidationError('A progress note is required');
+      }
+
+      const ticket = await this.findTicketFor(ticketId, { technicianId });
+      return await this.changeStatus(ticket, 'in_progress', technicianId, note);
+    } catch (error) {
+      logger.error('Error updating maintenance ticket progress:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route PUT /api/technician/tickets/:id/close
+   * @description Close a ticket once the issue is fixed
+   * @param {string} ticketId - Ticket ID
+   * @param {string} technicianId - Technician ID
+   * @param {string} resolution - Description of the fix
+   * @returns {Promise<Object>} Updated ticket
+   */
+  static async closeTicket(ticketId, technicianId, resolution) {
+    try {
+      if (!resolution || !resolution.toString().trim()) {
+        throw new ValidationError('A resolution is required to close a ticket');
+      }
+
+      const ticket = await this.findTicketFor(ticketId, { technicianId });
+      ticket.resolution = resolution;
+      return await this.changeStatus(ticket, 'closed', technicianId, resolution);
+    } catch (error) {
+      logger.error('Error closing maintenance ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route PUT /api/renter/maintenance/:id/cancel
+   * @route PUT /api/landlord/maintenance/:id/cancel
+   * @description Cancel a ticket; renters only before work has started
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} owner - Either { reportedBy } or { hostId }
+   * @param {string} [reason] - Reason for cancelling
+   * @returns {Promise<Object>} Updated ticket
+   */
+  static async cancelTicket(ticketId, owner, reason) {
+    try {
+      const ticket = await this.findTicketFor(ticketId, owner);
+      if (owner.reportedBy && !RENTER_CANCELLABLE_STATUSES.includes(ticket.status)) {
+        throw new ConflictError('Work on this ticket has started; ask your landlord to cancel it');
+      }
+
+      return await this.changeStatus(ticket, 'cancelled', Object.values(owner)[0], reason);
+    } catch (error) {
+      logger.error('Error cancelling maintenance ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route GET /api/landlord/technicians
+   * @description List technicians a landlord can assign tickets to
+   * @returns {Promise<Array>} Technicians
+   */
+  static async getTechnicians() {
+    try {
+      return await User.find({ role: 'technician', isBanned: false })
+        .select('name email phone avatar rating')
+        .sort({ name: 1 })
+        .lean();
+    } catch (error) {
+      logger.error('Error getting technicians:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a ticket to a new status and release the room when a blocking ticket ends
+   * @param {Object} ticket - Ticket document
+   * @param {string} status - New ticket status
+   * @param {string} updatedBy - ID of the user making the change
+   * @param {string} [note] - Note for the change
+   * @returns {Promise<Object>} Updated ticket
+   */
+  static async changeStatus(ticket, status, updatedBy, note) {
+    if (!ticket.canTransitionTo(status)) {
+      throw new ConflictError(`Cannot change ticket status from ${ticket.status} to ${status}`);
+    }
+
+    const previousStatus = ticket.status;
+    ticket.transitionTo(status, updatedBy, note);
+    const changes = { status: ticket.status };
+    if (ticket.resolution) changes.resolution = ticket.resolution;
+    if (ticket.closedAt) changes.closedAt = ticket.closedAt;
+
+    // The status guard keeps concurrent changes from overwriting each other
+    const saved = await MaintenanceTicket.findOneAndUpdate(
+      { _id: ticket._id, status: previousStatus },
+      {
+        $set: changes,
+        $push: { updates: ticket.updates[ticket.updates.length - 1].toObject() },
+      },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!saved) {
+      throw new ConflictError('This ticket was changed by another request, please try again');
+    }
+
+    if (saved.blocksRoom && !MaintenanceTicket.getOpenStatuses().includes(status)) {
+      await this.syncRoomStatusAfterSave(saved.roomId);
+    }
+
+    logger.info('MaintenanceService: Ticket status changed', {
+      ticketId: saved._id,
+      from: previousStatus,
+      to: status,
+      updatedBy,
+    });
+    return saved;
+  }
+
+  /**
+   * Put a room under maintenance while it has an open blocking ticket, and restore its
+   * occupancy status from its bookings once none is left
+   * @param {string} roomId - Room ID
+   * @returns {Promise<void>}
+   */
+  static async syncRoomStatus(roomId) {
+    await BookingService.withRoomLock(roomId, async () => {
+      const room = await Room.findById(roomId);
+      if (!room) return;
+
+      const blocked = await MaintenanceTicket.exists({
+        roomId,
+        blocksRoom: true,
+        status: { $in: MaintenanceTicket.getOpenStatuses() },
+      });
+      const wasAvailable = room.status === 'available';
+
+      if (blocked && room.status !== 'maintenance') {
+        room.status = 'maintenance';
+        room.isAvailable = false;
+      } else if (!blocked && room.status === 'maintenance') {
+        // Bookings approved during maintenance never took the room, so look them up by room
+        // rather than by currentTenant
+        const bookings = await Booking.find({ roomId, status: { $in: ['approved', 'active'] } })
+          .sort({ moveInDate: 1 })
+          .lean();
+        const booking =
+          bookings.find((item) => item.status === 'active') ||
+          bookings.find((item) => item.renterId.equals(room.currentTenant)) ||
+          bookings[0];
+        if (booking) {
+          room.status = booking.status === 'active' ? 'rented' : 'reserved';
+          room.isAvailable = false;
+          room.currentTenant = booking.renterId;
+        } else {
+          room.status = 'available';
+          room.isAvailable = true;
+          room.currentTenant = undefined;
+        }
+      }
+
+      if (room.isModified()) {
+        await room.save();
+        await BookingService.updateBuildingAvailability(
+          room.buildingId,
+          wasAvailable,
+          room.status === 'available'
+        );
+        logger.info('MaintenanceService: Room status synced', { roomId, status: room.status });
+      }
+    });
+  }
+
+  /**
+   * Sync a room after its ticket change was saved. The change stands even if the sync fails, so
+   * the failure is logged rather than reported as a failed request that a client would retry.
+   * @param {string} roomId - Room ID
+   * @returns {Promise<void>}
+   */
+  static async syncRoomStatusAfterSave(roomId) {
+    try {
+      await this.syncRoomStatus(roomId);
+    } catch (error) {
+      logger.error('MaintenanceService: Failed to sync room status', {
+        roomId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Load a ticket and make sure it belongs to the given renter, landlord or technician
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} owner - Either { reportedBy }, { hostId } or { technicianId }
+   * @returns {Promise<Object>} Ticket document
+   */
+  static async findTicketFor(ticketId, owner) {
+    if (!ticketId || !mongoose.Types.ObjectId.isValid(ticketId)) {
+      throw new ValidationError('Invalid ticket ID format');
+    }
+
+    const ticket = await MaintenanceTicket.findById(ticketId);
+    if (!ticket) {
+      throw new NotFoundError(`Ticket with id ${ticketId} not found`);
+    }
+
+    const [field, ownerId] = Object.entries(owner)[0];
+    if (ticket[field]?.toString() !== ownerId.toString()) {
+      throw new AuthorizationError('You do not have permission to access this ticket');
+    }
+
+    return ticket;
+  }
+
+  static populateTicket(query) {
+    return query
+      .populate('roomId', 'name status')
+      .populate('buildingId', 'name address')
+      .populate('reportedBy', 'name phone')
+      .populate('technicianId', 'name phone');
+  }
+
+  static validatePriority(priority) {
+    if (!MaintenanceTicket.getPriorities().includes(priority)) {
+      throw new ValidationError(
+        `Priority must be one of: ${MaintenanceTicket.getPriorities().join(', ')}`
+      );
+    }
+  }
+
+  // Multipart forms send booleans as strings
+  static parseBoolean(value) {
+    return value === true || value === 'true';
+  }
+}
+
+module.exports = MaintenanceService;
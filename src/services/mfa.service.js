@@ -0,0 +1,474 @@
+/**
+ * @fileoverview MFA Service - Handles two-factor authentication
+ * @created 2025-06-06
+ * @file mfa.service.js
+ * @description Service for authenticator app (TOTP) enrollment, recovery codes, email one-time
+ * codes and the second step of a login. Admins choose which roles must pass a second factor;
+ * users of those roles without an authenticator app receive an email code instead.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const Setting = require('../models/setting.model');
+const EmailService = require('./email.service');
+const logger = require('../utils/logger');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const {
+  AuthenticationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require('../utils/errors');
+
+const ENFORCED_ROLES_KEY = 'mfa.enforcedRoles';
+const TOTP_ISSUER = 'StayHub';
+const CHALLENGE_TTL_MINUTES = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const EMAIL_CODE_RESEND_SECONDS = 60;
+const RECOVERY_CODE_COUNT = 10;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Recovery codes are compared without case or separators, so "AB12C-34DEF" matches "ab12c34def"
+const hashRecoveryCode = (code) =>
+  hash(
+    (code || '')
+      .toString()
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '')
+  );
+
+/**
+ * @class MfaService
+ * @classdesc Service class for two-factor authentication
+ */
+class MfaService {
+  /**
+   * Roles whose users must pass a second factor at login
+   * @returns {Promise<string[]>} Enforced roles
+   */
+  static async getEnforcedRoles() {
+    return Setting.getValue(ENFORCED_ROLES_KEY, []);
+  }
+
+  /**
+   * @route PUT /api/admin/security/2fa
+   * @description Choose the roles that must use two-factor authentication
+   * @param {string[]} roles - Roles to enforce, empty to make 2FA optional for everyone
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<string[]>} Enforced roles
+   */
+  static async setEnforcedRoles(roles, adminId) {
+    try {
+      const validRoles = User.schema.path('role').enumValues;
+      if (!Array.isArray(roles) || roles.some((role) => !validRoles.includes(role))) {
+        throw new ValidationError(`Roles must be a list of: ${validRoles.join(', ')}`);
+      }
+
+      const enforcedRoles = await Setting.setValue(
+        ENFORCED_ROLES_KEY,
+        [...new Set(roles)],
+        adminId
+      );
+      logger.info('MfaService: Enforced roles updated', { enforcedRoles, adminId });
+      return enforcedRoles;
+    } catch (error) {
+      logger.error('Error updating enforced 2FA roles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a login must pass a second factor
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>} True if the user enrolled an app or their role is enforced
+   */
+  static async isRequired(user) {
+    if (user.twoFactor?.enabled) return true;
+    const enforcedRoles = await this.getEnforcedRoles();
+    return enforcedRoles.includes(user.role);
+  }
+
+  /**
+   * @route GET /api/auth/2fa
+   * @description Get the user's two-factor authentication status
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { enabled, enabledAt, enforced, recoveryCodesRemaining }
+   */
+  static async getStatus(userId) {
+    try {
+      const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      const enforcedRoles = await this.getEnforcedRoles();
+      return {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        enforced: enforcedRoles.includes(user.role),
+        recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+      };
+    } catch (error) {
+      logger.error('Error getting 2FA status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route POST /api/auth/2fa/totp/setup
+   * @description Start enrolling an authenticator app. The secret only takes effect once a code
+   * from the app is confirmed.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { secret, otpauthUrl } for manual entry or a QR code
+   */
+  static async setupTotp(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      if (user.twoFactor.enabled) {
+        throw new ConflictError('An authenticator app is already enrolled');
+      }
+
+      const secret = generateSecret();
+      await User.updateOne({ _id: userId }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+      return {
+        secret,
+        otpauthUrl: buildOtpauthUrl({ secret, label: user.email, issuer: TOTP_ISSUER }),
+      };
+    } catch (error) {
+      logger.error('Error setting up TOTP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route POST /api/auth/2fa/totp/enable
+   * @description Confirm the authenticator app with its current code and turn on 2FA
+   * @param {string} userId - User ID
+   * @param {string} code - Code shown by the app
+   * @returns {Promise<Object>} { recoveryCodes } shown to the user once
+   */
+  static async enableTotp(userId, code) {
+    try {
+      const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      if (user.twoFactor.enabled) {
+        throw new ConflictError('An authenticator app is already enrolled');
+      }
+      if (!user.twoFactor.pendingSecret) {
+        throw new ValidationError('Start the authenticator setup first');
+      }
+
+      const step = verifyCode(user.twoFactor.pendingSecret, code);
+      if (step === null) {
+        throw new ValidationError('Invalid verification code');
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+      await User.updateOne(
+        { _id: userId },
+        {
+          $set: {
+            'twoFactor.enabled': true,
+            'twoFactor.enabledAt': new Date(),
+            'twoFactor.secret': user.twoFactor.pendingSecret,
+            'twoFactor.lastUsedStep': step,
+            'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+          },
+          $unset: { 'twoFactor.pendingSecret': '' },
+        }
+      );
+
+      logger.info('MfaService: TOTP enabled', { userId });
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error('Error enabling TOTP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route DELETE /api/auth/2fa/totp
+   * @description Remove the authenticator app. Users of an enforced role keep receiving email
+   * codes at login.
+   * @param {string} userId - User ID
+   * @param {string} code - Current app code or a recovery code
+   * @returns {Promise<void>}
+   */
+  static async disableTotp(userId, code) {
+    try {
+      await this.verifyEnrolledFactor(userId, code);
+      await User.updateOne(
+        { _id: userId },
+        {
+          $set: { 'twoFactor.enabled': false },
+          $unset: {
+            'twoFactor.enabledAt': '',
+            'twoFactor.secret': '',
+            'twoFactor.lastUsedStep': '',
+            'twoFactor.recoveryCodes': '',
+          },
+        }
+      );
+      logger.info('MfaService: TOTP disabled', { userId });
+    } catch (error) {
+      logger.error('Error disabling TOTP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route POST /api/auth/2fa/recovery-codes
+   * @description Replace the user's recovery codes, invalidating the old ones
+   * @param {string} userId - User ID
+   * @param {string} code - Current app code or a recovery code
+   * @returns {Promise<Object>} { recoveryCodes } shown to the user once
+   */
+  static async regenerateRecoveryCodes(userId, code) {
+    try {
+      await this.verifyEnrolledFactor(userId, code);
+      const recoveryCodes = this.generateRecoveryCodes();
+      await User.updateOne(
+        { _id: userId },
+        { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+      );
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error('Error regenerating recovery codes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open the second step of a login. Users without an authenticator app are sent an email code
+   * straight away.
+   * @param {Object} user - User document that passed the first factor
+   * @returns {Promise<Object>} { challengeToken, methods, expiresIn }
+   */
+  static async createChallenge(user) {
+    const challengeToken = crypto.randomBytes(32).toString('hex');
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.challenge': {
+            tokenHash: hash(challengeToken),
+            expiresAt: new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000),
+            attempts: 0,
+          },
+        },
+      }
+    );
+
+    const methods = user.twoFactor?.enabled ? ['totp', 'recovery', 'email'] : ['email'];
+    if (!user.twoFactor?.enabled) {
+      await this.sendEmailCode(challengeToken);
+    }
+
+    return { challengeToken, methods, expiresIn: CHALLENGE_TTL_MINUTES * 60 };
+  }
+
+  /**
+   * @route POST /api/auth/2fa/email
+   * @description Email a one-time code for a pending login
+   * @param {string} challengeToken - Challenge token from the login response
+   * @returns {Promise<void>}
+   */
+  static async sendEmailCode(challengeToken) {
+    try {
+      const now = new Date();
+      const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+      // The resend limit is part of the filter so parallel requests cannot send several codes
+      const user = await User.findOneAndUpdate(
+        {
+          'twoFactor.challenge.tokenHash': hash(challengeToken || ''),
+          'twoFactor.challenge.expiresAt': { $gt: now },
+          $or: [
+            { 'twoFactor.challenge.emailCodeSentAt': null },
+            {
+              'twoFactor.challenge.emailCodeSentAt': {
+                $lte: new Date(now.getTime() - EMAIL_CODE_RESEND_SECONDS * 1000),
+              },
+            },
+          ],
+        },
+        {
+          $set: {
+            'twoFactor.challenge.emailCodeHash': hash(code),
+            'twoFactor.challenge.emailCodeSentAt': now,
+          },
+        },
+        { new: true }
+      ).select('+twoFactor.challenge');
+
+      if (!user) {
+        const pending = await User.exists({
+          'twoFactor.challenge.tokenHash': hash(challengeToken || ''),
+          'twoFactor.challenge.expiresAt': { $gt: now },
+        });
+        if (!pending) {
+          throw new AuthenticationError('Sign-in challenge has expired, please log in again');
+        }
+        throw new ValidationError(
+          `Please wait ${EMAIL_CODE_RESEND_SECONDS} seconds before requesting another code`
+        );
+      }
+
+      const expiresInMinutes = Math.max(
+        1,
+        Math.round((user.twoFactor.challenge.expiresAt - now) / 60000)
+      );
+      await EmailService.sendTemplatedEmail(user.email, 'MFA_CODE', {
+        name: user.name,
+        code,
+        expiresInMinutes,
+      });
+    } catch (error) {
+      logger.error('Error sending 2FA email code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the second factor of a pending login and close the challenge
+   * @param {string} challengeToken - Challenge token from the login response
+   * @param {Object} data - Verification data
+   * @param {string} data.code - Code to check
+   * @param {string} [data.method] - totp, recovery or email; defaults to totp when an app is
+   * enrolled and email otherwise
+   * @returns {Promise<Object>} User document that completed the login
+   * @throws {AuthenticationError} If the challenge is gone or the code is wrong
+   */
+  static async verifyChallenge(challengeToken, { code, method } = {}) {
+    if (!code) {
+      throw new ValidationError('Verification code is required');
+    }
+
+    const tokenHash = hash(challengeToken || '');
+    const now = new Date();
+    // Attempts are counted before checking so guesses in parallel still hit the limit
+    const user = await User.findOneAndUpdate(
+      {
+        'twoFactor.challenge.tokenHash': tokenHash,
+        'twoFactor.challenge.expiresAt': { $gt: now },
+        'twoFactor.challenge.attempts': { $lt: MAX_CHALLENGE_ATTEMPTS },
+      },
+      { $inc: { 'twoFactor.challenge.attempts': 1 } },
+      { new: true }
+    ).select('+twoFactor.challenge');
+    if (!user) {
+      throw new AuthenticationError('Sign-in challenge has expired, please log in again');
+    }
+
+    const selectedMethod = method || (user.twoFactor.enabled ? 'totp' : 'email');
+    let valid = false;
+    if (selectedMethod === 'email') {
+      const { emailCodeHash } = user.twoFactor.challenge;
+      valid =
+        Boolean(emailCodeHash) &&
+        crypto.timingSafeEqual(Buffer.from(emailCodeHash), Buffer.from(hash(code.toString())));
+    } else if (['totp', 'recovery'].includes(selectedMethod)) {
+      if (!user.twoFactor.enabled) {
+        throw new ValidationError('No authenticator app is enrolled; use an email code');
+      }
+      valid = await this.consumeEnrolledFactor(user._id, code, selectedMethod);
+    } else {
+      throw new ValidationError('Method must be one of: totp, recovery, email');
+    }
+
+    if (!valid) {
+      logger.warn('MfaService: Invalid second factor', { userId: user._id, selectedMethod });
+      throw new AuthenticationError('Invalid verification code');
+    }
+
+    // Only the request that closes the challenge may complete the login
+    const closed = await User.updateOne(
+      { _id: user._id, 'twoFactor.challenge.tokenHash': tokenHash },
+      { $unset: { 'twoFactor.challenge': '' } }
+    );
+    if (closed.modifiedCount === 0) {
+      throw new AuthenticationError('Sign-in challenge has expired, please log in again');
+    }
+
+    logger.info('MfaService: Second factor verified', { userId: user._id, selectedMethod });
+    return user;
+  }
+
+  /**
+   * Check a code of an enrolled user, for changes to their 2FA settings
+   * @param {string} userId - User ID
+   * @param {string} code - App code (6 digits) or recovery code
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If no app is enrolled or the code is wrong
+   */
+  static async verifyEnrolledFactor(userId, code) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (!user.twoFactor.enabled) {
+      throw new ValidationError('No authenticator app is enrolled');
+    }
+    if (!code) {
+      throw new ValidationError('Verification code is required');
+    }
+
+    const method = /^\s*\d{6}\s*$/.test(code.toString()) ? 'totp' : 'recovery';
+    if (!(await this.consumeEnrolledFactor(userId, code, method))) {
+      throw new ValidationError('Invalid verification code');
+    }
+  }
+
+  /**
+   * Check an app or recovery code and use it up, so it cannot be presented again
+   * @param {string} userId - User ID
+   * @param {string} code - Code to check
+   * @param {string} method - totp or recovery
+   * @returns {Promise<boolean>} True if the code was valid and unused
+   */
+  static async consumeEnrolledFactor(userId, code, method) {
+    if (method === 'recovery') {
+      const result = await User.updateOne(
+        { _id: userId, 'twoFactor.recoveryCodes': hashRecoveryCode(code) },
+        { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(code) } }
+      );
+      if (result.modifiedCount === 1) {
+        logger.info('MfaService: Recovery code used', { userId });
+      }
+      return result.modifiedCount === 1;
+    }
+
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    const step = user?.twoFactor.secret ? verifyCode(user.twoFactor.secret, code) : null;
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Generate a fresh set of recovery codes
+   * @returns {string[]} Codes in the form xxxxx-xxxxx
+   */
+  static generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+}
+
+module.exports = MfaService;
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Recommendation Service - Suggests rooms to renters
+ * @created 2025-06-06
+ * @file recommendation.service.js
+ * @description Service for ranking available rooms against a renter's stored preferences
+ */
+
+const Room = require('../models/room.model');
+const User = require('../models/user.model');
+const Building = require('../models/building.model');
+const logger = require('../utils/logger');
+const { normalizeText, toSearchPattern } = require('../utils/text');
+const { NotFoundError } = require('../utils/errors');
+
+// Room.features flags that satisfy each User.preferredUtilities value
+const UTILITY_FEATURES = {
+  wifi: ['hasInternet'],
+  aircon: ['hasAircon'],
+  water: ['hasWaterHeater'],
+  furniture: ['hasWardrobe', 'hasDesk'],
+  electricity: [],
+  security: [],
+};
+
+// Maximum points per scoring criterion; a perfect match scores 100
+const WEIGHTS = {
+  price: 30,
+  utilities: 30,
+  location: 20,
+  rating: 10,
+  popularity: 10,
+};
+
+// Rooms priced up to this fraction outside the preferred range still get partial points
+const PRICE_TOLERANCE = 0.2;
+const CANDIDATE_LIMIT = 200;
+const MAX_LIMIT = 50;
+
+/**
+ * @class RecommendationService
+ * @classdesc Service class for room recommendations
+ */
+class RecommendationService {
+  /**
+   * @route GET /api/rooms/recommended
+   * @description Rank available rooms by how well they match the user's preferred price
+   * range, preferred utilities, city, rating and popularity
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of rooms
+   * @returns {Promise<Array>} Ranked rooms with score and match reasons
+   */
+  static async getRecommendations(userId, { limit = 10 } = {}) {
+    try {
+      limit = Math.min(parseInt(limit) || 10, MAX_LIMIT);
+
+      const user = await User.findById(userId)
+        .select('preferredUtilities preferredPriceRange address')
+        .lean();
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      const candidates = await this.findCandidates(user);
+      const maxPopularity = Math.max(0, ...candidates.map((room) => this.popularityOf(room)));
+
+      return candidates
+        .map((room) => this.scoreRoom(room, user, maxPopularity))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    } catch (error) {
+      logger.error('Error getting recommendations:', {
+        error: error.message,
+        stack: error.stack,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Load available rooms in active buildings, narrowed to roughly the user's budget. Rooms in the
+   * user's city come first so the candidate limit does not cut them before scoring.
+   * @param {Object} user - User with preferences
+   * @returns {Promise<Array>} Candidate rooms with their building
+   */
+  static async findCandidates(user) {
+    const match = { status: 'available', isAvailable: true };
+
+    const { min, max } = user.preferredPriceRange || {};
+    if (min !== undefined || max !== undefined) {
+      match['price.rent'] = {};
+      if (min !== undefined) match['price.rent'].$gte = min * (1 - PRICE_TOLERANCE);
+      if (max !== undefined) match['price.rent'].$lte = max * (1 + PRICE_TOLERANCE);
+    }
+
+    const cityBuildingIds = user.address?.city
+      ? await Building.distinct('_id', {
+          status: 'active',
+          'address.city': new RegExp(`^${toSearchPattern(user.address.city)}$`, 'i'),
+        })
+      : [];
+
+    return Room.aggregate([
+      { $match: match },
+      { $addFields: { inUserCity: { $in: ['$buildingId', cityBuildingIds] } } },
+      { $sort: { inUserCity: -1, rating: -1, favoriteCount: -1 } },
+      {
+        $lookup: {
+          from: Building.collection.name,
+          localField: 'buildingId',
+          foreignField: '_id',
+          as: 'building',
+        },
+      },
+      { $unwind: '$building' },
+      { $match: { 'building.status': 'active' } },
+      { $limit: CANDIDATE_LIMIT },
+      { $project: { bookingLock: 0, inUserCity: 0, 'building.moderationHistory': 0 } },
+    ]);
+  }
+
+  /**
+   * Score a room against the user's preferences
+   * @param {Object} room - Room with its building
+   * @param {Object} user - User with preferences
+   * @param {number} maxPopularity - Highest popularity among the candidates
+   * @returns {Object} { room, score, reasons }
+   */
+  static scoreRoom(room, user, maxPopularity) {
+    const reasons = [];
+    let score = 0;
+
+    // Price: full points inside the range, fading out within the tolerance band
+    const { min, max } = user.preferredPriceRange || {};
+    const rent = room.price.rent;
+    if (min === undefined && max === undefined) {
+      score += WEIGHTS.price / 2;
+    } else {
+      const below = min !== undefined && rent < min ? (min - rent) / min : 0;
+      const above = max !== undefined && rent > max ? (rent - max) / max : 0;
+      const distance = Math.max(below, above);
+      score += WEIGHTS.price * Math.max(0, 1 - distance / PRICE_TOLERANCE);
+      if (distance === 0) {
+        reasons.push(`Rent of ${rent} is within your budget`);
+      } else if (above > 0) {
+        reasons.push(`Rent is ${Math.round(above * 100)}% above your budget`);
+      }
+    }
+
+    // Utilities: share of preferred utilities the room provides
+    const preferred = user.preferredUtilities || [];
+    if (preferred.length === 0) {
+      score += WEIGHTS.utilities / 2;
+    } else {
+      const matched = preferred.filter((utility) => this.hasUtility(room, utility));
+      score += WEIGHTS.utilities * (matched.length / preferred.length);
+      if (matched.length > 0) {
+        reasons.push(`Has ${matched.join(', ')}`);
+      }
+    }
+
+    // Location: same city as the renter's address
+    const userCity = normalizeText(user.address?.city);
+    if (userCity && normalizeText(room.building.address?.city) === userCity) {
+      score += WEIGHTS.location;
+      reasons.push(`Located in ${room.building.address.city}`);
+    }
+
+    // Rating
+    if (room.rating > 0) {
+      score += WEIGHTS.rating * (room.rating / 5);
+      if (room.rating >= 4) {
+        reasons.push(`Highly rated (${room.rating.toFixed(1)}/5)`);
+      }
+    }
+
+    // Popularity, log-scaled relative to the most popular candidate
+    const popularity = this.popularityOf(room);
+    if (maxPopularity > 0 && popularity > 0) {
+      score += WEIGHTS.popularity * (Math.log1p(popularity) / Math.log1p(maxPopularity));
+      if (room.favoriteCount > 0) {
+        reasons.push(`Saved by ${room.favoriteCount} renter${room.favoriteCount > 1 ? 's' : ''}`);
+      }
+    }
+
+    const { building, ...roomData } = room;
+    return {
+      room: {
+        ...roomData,
+        buildingId: { _id: building._id, name: building.name, address: building.address },
+      },
+      score: Math.round(score * 10) / 10,
+      reasons,
+    };
+  }
+
+  /**
+   * Check whether a room provides a preferred utility, either through a feature flag
+   * or an available utility entry with a matching name
+   * @param {Object} room - Room data
+   * @param {string} utility - Preferred utility
+   * @returns {boolean} True if the room provides the utility
+   */
+  static hasUtility(room, utility) {
+    const features = UTILITY_FEATURES[utility] || [];
+    if (features.length > 0 && features.every((feature) => room.features?.[feature])) {
+      return true;
+    }
+
+    return (room.utilities || []).some(
+      (item) => item.isAvailable !== false && normalizeText(item.name).includes(utility)
+    );
+  }
+
+  /**
+   * Popularity signal combining favorites and views
+   * @param {Object} room - Room data
+   * @returns {number} Popularity value
+   */
+  static popularityOf(room) {
+    return (room.favoriteCount || 0) * 5 + (room.viewCount || 0);
+  }
+}
+
+module.exports = RecommendationService;
@@ -0,0 +1,403 @@
+/**
+ * @fileoverview Review Service - Handles reviews and rating aggregation
+ * @created 2025-06-06
+ * @file review.service.js
+ * @description Service for renter reviews of rooms, buildings and landlords, landlord reviews of
+ * renters, landlord replies, admin moderation, and keeping the rating and reviewCount of each
+ * reviewed entity up to date.
+ */
+
+const mongoose = require('mongoose');
+const Review = require('../models/review.model');
+const Booking = require('../models/booking.model');
+const Room = require('../models/room.model');
+const Building = require('../models/building.model');
+const User = require('../models/user.model');
+const logger = require('../utils/logger');
+const { paginate, resolveSort } = require('../utils/pagination');
+const {
+  NotFoundError,
+  ValidationError,
+  AuthorizationError,
+  ConflictError,
+} = require('../utils/errors');
+
+// Model holding the aggregated rating of each target type
+const TARGET_MODELS = {
+  room: Room,
+  building: Building,
+  landlord: User,
+  renter: User,
+};
+// Role allowed to write each kind of review, and the booking field identifying the author
+const REVIEW_AUTHORS = {
+  room: { role: 'renter', bookingField: 'renterId' },
+  building: { role: 'renter', bookingField: 'renterId' },
+  landlord: { role: 'renter', bookingField: 'renterId' },
+  renter: { role: 'landlord', bookingField: 'hostId' },
+};
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  highest: { rating: -1, _id: -1 },
+  lowest: { rating: 1, _id: -1 },
+};
+
+/**
+ * @class ReviewService
+ * @classdesc Service class for handling reviews
+ */
+class ReviewService {
+  /**
+   * @route GET /api/reviews
+   * @description Get visible reviews of a room, building, landlord or renter with cursor
+   * pagination. Reviews of a renter are only shown to landlords, admins and the renter.
+   * @param {Object} options - Query options
+   * @param {string} options.targetType - room, building, landlord or renter
+   * @param {string} options.targetId - Reviewed entity id
+   * @param {string} [options.after] - Cursor of the page to continue after
+   * @param {string} [options.before] - Cursor of the page to continue before
+   * @param {number} [options.limit] - Items per page
+   * @param {string} [options.sort] - One of newest, highest, lowest
+   * @param {Object} [viewer] - Current user, if authenticated
+   * @returns {Promise<Object>} Reviews with pagination
+   */
+  static async getReviews({ targetType, targetId, after, before, limit, sort } = {}, viewer) {
+    try {
+      this.validateTargetType(targetType);
+      this.validateId(targetId, 'target');
+      if (
+        targetType === 'renter' &&
+        !['landlord', 'admin'].includes(viewer?.role) &&
+        viewer?._id.toString() !== targetId.toString()
+      ) {
+        throw new AuthorizationError('Only landlords can view renter reviews');
+      }
+
+      const { items, pagination } = await paginate(Review, {
+        filters: { targetType, targetId, isHidden: false },
+        sort: resolveSort(REVIEW_SORTS, sort, 'newest'),
+        after,
+        before,
+        limit,
+        prepare: (query) => query.select('-moderation').populate('reviewerId', 'name avatar'),
+      });
+
+      return { reviews: items, pagination };
+    } catch (error) {
+      logger.error('Error getting reviews:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route POST /api/reviews
+   * @description Review a completed booking: renters review its room, building or landlord,
+   * landlords review its renter
+   * @param {Object} user - Current user
+   * @param {Object} reviewData - Review data
+   * @param {string} reviewData.bookingId - Completed booking ID
+   * @param {string} reviewData.targetType - room, building, landlord or renter
+   * @param {number} [reviewData.rating] - Rating from 1 to 5, for renter-written reviews
+   * @param {Object} [reviewData.criteria] - paymentPunctuality, cleanliness and ruleCompliance
+   * ratings from 1 to 5, for reviews of renters
+   * @param {string} [reviewData.comment] - Comment
+   * @returns {Promise<Object>} Created review
+   */
+  static async createReview(user, { bookingId, targetType, rating, criteria, comment } = {}) {
+    try {
+      this.validateTargetType(targetType);
+      this.validateId(bookingId, 'booking');
+
+      const author = REVIEW_AUTHORS[targetType];
+      if (user.role !== author.role) {
+        throw new AuthorizationError(`Only ${author.role}s can write ${targetType} reviews`);
+      }
+
+      const booking = await Booking.findById(bookingId).lean();
+      if (!booking) {
+        throw new NotFoundError('Booking not found');
+      }
+      if (booking[author.bookingField].toString() !== user._id.toString()) {
+        throw new AuthorizationError('You can only review your own bookings');
+      }
+      if (booking.status !== 'completed') {
+        throw new ValidationError('Only completed bookings can be reviewed');
+      }
+
+      let review;
+      try {
+        review = await Review.create({
+          bookingId,
+          reviewerId: user._id,
+          hostId: booking.hostId,
+          targetType,
+          targetId: booking[Review.getTargets()[targetType]],
+          rating,
+          criteria,
+          comment,
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ConflictError(`You have already reviewed this ${targetType} for this booking`);
+        }
+        throw error;
+      }
+
+      await this.refreshRating(review.targetType, review.targetId);
+      logger.info('ReviewService: Review created', { reviewId: review._id, targetType });
+      return review.toObject();
+    } catch (error) {
+      logger.error('Error creating review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route PUT /api/reviews/:id
+   * @description Edit the rating, criteria or comment of the user's own review
+   * @param {string} reviewId - Review ID
+   * @param {string} userId - Author ID
+   * @param {Object} updateData - Rating (or criteria for reviews of renters) and/or comment
+   * @returns {Promise<Object>} Updated review
+   */
+  static async updateReview(reviewId, userId, { rating, criteria, comment } = {}) {
+    try {
+      const review = await this.findReview(reviewId);
+      if (review.reviewerId.toString() !== userId.toString()) {
+        throw new AuthorizationError('You can only edit your own reviews');
+      }
+      if (rating === undefined && criteria === undefined && comment === undefined) {
+        throw new ValidationError('Rating, criteria or comment is required');
+      }
+
+      if (review.targetType === 'renter') {
+        if (criteria !== undefined) {
+          review.criteria = { ...review.toObject().criteria, ...criteria };
+        }
+      } else if (rating !== undefined) {
+        review.rating = rating;
+      }
+      if (comment !== undefined) review.comment = comment;
+      await review.save();
+
+      await this.refreshRating(review.targetType, review.targetId);
+      return review.toObject();
+    } catch (error) {
+      logger.error('Error updating review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route DELETE /api/reviews/:id
+   * @description Delete a review; authors may delete their own, admins any
+   * @param {string} reviewId - Review ID
+   * @param {Object} user - Current user
+   * @returns {Promise<void>}
+   */
+  static async deleteReview(reviewId, user) {
+    try {
+      const review = await this.findReview(reviewId);
+      if (user.role !== 'admin' && review.reviewerId.toString() !== user._id.toString()) {
+        throw new AuthorizationError('You can only delete your own reviews');
+      }
+
+      await review.deleteOne();
+      await this.refreshRating(review.targetType, review.targetId);
+    } catch (error) {
+      logger.error('Error deleting review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route POST /api/reviews/:id/reply
+   * @description Reply to a review of one of the landlord's bookings; only one reply is allowed
+   * @param {string} reviewId - Review ID
+   * @param {string} hostId - Landlord ID
+   * @param {string} comment - Reply text
+   * @returns {Promise<Object>} Updated review
+   */
+  static async replyToReview(reviewId, hostId, comment) {
+    try {
+      const review = await this.findReview(reviewId);
+      if (review.targetType === 'renter') {
+        throw new ValidationError('Reviews of renters cannot be replied to');
+      }
+      if (review.hostId.toString() !== hostId.toString()) {
+        throw new AuthorizationError('You can only reply to reviews of your own properties');
+      }
+      if (!comment || !comment.toString().trim()) {
+        throw new ValidationError('Reply comment is required');
+      }
+
+      // The reply.repliedAt guard keeps concurrent replies from overwriting each other
+      const updated = await Review.findOneAndUpdate(
+        { _id: reviewId, 'reply.repliedAt': { $exists: false } },
+        { $set: { reply: { comment, repliedBy: hostId, repliedAt: new Date() } } },
+        { new: true, runValidators: true }
+      ).lean();
+      if (!updated) {
+        throw new ConflictError('This review already has a reply');
+      }
+
+      return updated;
+    } catch (error) {
+      logger.error('Error replying to review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route PUT /api/admin/reviews/:id/visibility
+   * @description Hide an abusive review or restore a hidden one
+   * @param {string} reviewId - Review ID
+   * @param {string} adminId - Admin ID
+   * @param {Object} options - Moderation options
+   * @param {boolean} options.isHidden - Whether the review is hidden
+   * @param {string} [options.reason] - Reason, required when hiding
+   * @returns {Promise<Object>} Updated review
+   */
+  static async setVisibility(reviewId, adminId, { isHidden, reason } = {}) {
+    try {
+      if (typeof isHidden !== 'boolean') {
+        throw new ValidationError('isHidden must be true or false');
+      }
+      if (isHidden && !reason) {
+        throw new ValidationError('A reason is required to hide a review');
+      }
+
+      const review = await this.findReview(reviewId);
+      review.isHidden = isHidden;
+      review.moderation = { reason, moderatedBy: adminId, moderatedAt: new Date() };
+      await review.save();
+
+      await this.refreshRating(review.targetType, review.targetId);
+      logger.info('ReviewService: Review visibility changed', { reviewId, isHidden, adminId });
+      return review.toObject();
+    } catch (error) {
+      logger.error('Error changing review visibility:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Summarize the track record of renters from landlord reviews and past bookings
+   * @param {Array<string>} renterIds - Renter IDs
+   * @returns {Promise<Map>} Map of renter ID to { rating, reviewCount, criteria,
+   * completedBookings, cancelledBookings }
+   */
+  static async getRenterReputations(renterIds) {
+    if (renterIds.length === 0) return new Map();
+
+    const ids = [...new Set(renterIds.map((id) => id.toString()))].map(
+      (id) => new mongoose.Types.ObjectId(id)
+    );
+    const criteria = Review.getRenterCriteria();
+
+    const [reviewStats, bookingStats] = await Promise.all([
+      Review.aggregate([
+        { $match: { targetType: 'renter', targetId: { $in: ids }, isHidden: false } },
+        {
+          $group: {
+            _id: '$targetId',
+            rating: { $avg: '$rating' },
+            reviewCount: { $sum: 1 },
+            ...Object.fromEntries(
+              criteria.map((criterion) => [criterion, { $avg: `$criteria.${criterion}` }])
+            ),
+          },
+        },
+      ]),
+      Booking.aggregate([
+        { $match: { renterId: { $in: ids }, status: { $in: ['completed', 'cancelled'] } } },
+        {
+          $group: {
+            _id: '$renterId',
+            completedBookings: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+            cancelledBookings: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+          },
+        },
+      ]),
+    ]);
+
+    const round = (value) => (value ? Math.round(value * 10) / 10 : 0);
+    const reputations = new Map(
+      ids.map((id) => [
+        id.toString(),
+        {
+          rating: 0,
+          reviewCount: 0,
+          criteria: Object.fromEntries(criteria.map((criterion) => [criterion, 0])),
+          completedBookings: 0,
+          cancelledBookings: 0,
+        },
+      ])
+    );
+    reviewStats.forEach(({ _id, rating, reviewCount, ...averages }) => {
+      Object.assign(reputations.get(_id.toString()), {
+        rating: round(rating),
+        reviewCount,
+        criteria: Object.fromEntries(
+          criteria.map((criterion) => [criterion, round(averages[criterion])])
+        ),
+      });
+    });
+    bookingStats.forEach(({ _id, completedBookings, cancelledBookings }) => {
+      Object.assign(reputations.get(_id.toString()), { completedBookings, cancelledBookings });
+    });
+
+    return reputations;
+  }
+
+  /**
+   * Recompute the average rating and review count of a reviewed entity from its visible reviews
+   * @param {string} targetType - room, building, landlord or renter
+   * @param {string} targetId - Reviewed entity id
+   * @returns {Promise<Object>} { rating, reviewCount }
+   */
+  static async refreshRating(targetType, targetId) {
+    const [stats] = await Review.aggregate([
+      {
+        $match: {
+          targetType,
+          targetId: new mongoose.Types.ObjectId(targetId),
+          isHidden: false,
+        },
+      },
+      { $group: { _id: null, rating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } },
+    ]);
+
+    const summary = {
+      rating: stats ? Math.round(stats.rating * 10) / 10 : 0,
+      reviewCount: stats?.reviewCount || 0,
+    };
+    await TARGET_MODELS[targetType].updateOne({ _id: targetId }, { $set: summary });
+    return summary;
+  }
+
+  static async findReview(reviewId) {
+    this.validateId(reviewId, 'review');
+    const review = await Review.findById(reviewId);
+    if (!review) {
+      throw new NotFoundError('Review not found');
+    }
+    return review;
+  }
+
+  static validateTargetType(targetType) {
+    if (!TARGET_MODELS[targetType]) {
+      throw new ValidationError(
+        `Target type must be one of: ${Object.keys(TARGET_MODELS).join(', ')}`
+      );
+    }
+  }
+
+  static validateId(id, label) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new ValidationError(`Invalid ${label} ID format`);
+    }
+  }
+}
+
+module.exports = ReviewService;
@@ -10,6 +10,37 @@ const logger = require('../utils/logger');
 const { NotFoundError, ValidationError } = require('../utils/errors');
 const mongoose = require('mongoose');
 const Building = require('../models/building.model');
+const Favorite = require('../models/favorite.model');
+const User = require('../models/user.model');
+const BuildingService = require('./building.service');
+const SearchService = require('./search.service');
+const ImageService = require('./image.service');
+const StorageService = require('./storage.service');
+const { toSearchPattern } = require('../utils/text');
+const { paginate, resolveSort } = require('../utils/pagination');
+
+const RECENTLY_VIEWED_LIMIT = 20;
+
+const ROOM_FEATURES = Object.keys(Room.schema.obj.features);
+// Lower bounds of the monthly rent buckets (VND) reported in the filter facets
+const PRICE_BUCKETS = [0, 1000000, 2000000, 3000000, 5000000, 7000000, 10000000];
+const ROOM_SORTS = {
+  price_asc: { 'price.rent': 1, _id: 1 },
+  price_desc: { 'price.rent': -1, _id: 1 },
+  rating: { rating: -1, _id: 1 },
+  newest: { createdAt: -1, _id: -1 },
+  viewCount: { viewCount: -1, _id: 1 },
+};
+
+/**
+ * Split a comma-separated value or array into trimmed, non-empty items
+ * @param {string|Array} value - Raw value
+ * @returns {Array<string>} List items
+ */
+const toList = (value) =>
+  (Array.isArray(value) ? value : (value || '').toString().split(','))
+    .map((item) => item.toString().trim())
+    .filter(Boolean);
 
 /**
  * @class RoomService
@@ -18,32 +49,26 @@ const Building = require('../models/building.model');
 class RoomService {
   /**
    * @route GET /api/rooms
-   * @description Get all rooms with pagination and filters
+   * @description Get rooms with cursor pagination and filters
    * @param {Object} options - Query options
-   * @param {number} options.page - Page number
-   * @param {number} options.limit - Items per page
-   * @param {Object} options.filters - Filter criteria
+   * @param {string} [options.after] - Cursor of the page to continue after
+   * @param {string} [options.before] - Cursor of the page to continue before
+   * @param {number} [options.limit] - Items per page
+   * @param {string} [options.sort] - One of price_asc, price_desc, rating, newest, viewCount
+   * @param {Object} [options.filters] - Filter criteria
    * @returns {Promise<Object>} Rooms data with pagination
    */
-  static async getAllRooms({ page = 1, limit = 10, filters = {} } = {}) {
+  static async getAllRooms({ after, before, limit, sort, filters = {} } = {}) {
     try {
-      const skip = (page - 1) * limit;
-      const query = Room.find(filters);
-
-      const [rooms, total] = await Promise.all([
-        query.skip(skip).limit(limit).lean(),
-        Room.countDocuments(filters),
-      ]);
+      const { items, pagination } = await paginate(Room, {
+        filters,
+        sort: resolveSort(ROOM_SORTS, sort, 'newest'),
+        after,
+        before,
+        limit,
+      });
 
-      return {
-        rooms,
-        pagination: {
-          total,
-          page,
-          limit,
-          pages: Math.ceil(total / limit),
-        },
-      };
+      return { rooms: items, pagination };
     } catch (error) {
       logger.error('Error getting all rooms:', error);
       throw error;
@@ -94,6 +119,41 @@ class RoomService {
     }
   }
 
+  /**
+   * @route GET /api/rooms/:id
+   * @description Count a room view and remember it in the renter's recently viewed rooms.
+   * Failures are logged and never fail the request.
+   * @param {string} roomId - Room ID
+   * @param {Object} [user] - Authenticated user, if any
+   * @returns {Promise<void>}
+   */
+  static async recordView(roomId, user) {
+    try {
+      await Room.updateOne({ _id: roomId }, { $inc: { viewCount: 1 } });
+
+      if (user?.role === 'renter') {
+        await User.updateOne({ _id: user._id }, { $pull: { recentlyViewedRooms: { roomId } } });
+        await User.updateOne(
+          { _id: user._id },
+          {
+            $push: {
+              recentlyViewedRooms: {
+                $each: [{ roomId, viewedAt: new Date() }],
+                $position: 0,
+                $slice: RECENTLY_VIEWED_LIMIT,
+              },
+            },
+          }
+        );
+      }
+    } catch (error) {
+      logger.error('RoomService: Failed to record room view', {
+        error: error.message,
+        roomId,
+      });
+    }
+  }
+
   /**
    * @route POST /api/rooms
    * @description Create a new room
@@ -205,6 +265,7 @@ class RoomService {
           $inc: { availableRooms: 1 },
         }),
         Room.findByIdAndDelete(roomId),
+        Favorite.deleteMany({ roomId }),
       ]);
 
       return room.toObject();
@@ -215,7 +276,7 @@ class RoomService {
   }
 
   /**
-   * @route GET /api/rooms/stats
+   * @route GET /api/admin/dashboard
    * @description Get room statistics
    * @returns {Promise<Object>} Room statistics
    */
@@ -223,39 +284,74 @@ class RoomService {
     try {
       logger.info('RoomService: Getting room statistics');
 
-      //Get total rooms
-      const totalRooms = await Room.countDocuments();
-
-      //Get total available rooms
-      const availableRooms = await Room.countDocuments({ status: 'available' });
-
-      //Get total rented rooms
-      const rentedRooms = await Room.countDocuments({ status: 'rented' });
-
-      //Get total reserved rooms
-      const reservedRooms = await Room.countDocuments({ status: 'reserved' });
-
-      //Get total maintenance rooms
-      const maintenanceRooms = await Room.countDocuments({ status: 'maintenance' });
-
-      //Get total rooms by building
-      const roomsByBuilding = await Room.aggregate([
-        { $group: { _id: '$building', count: { $sum: 1 } } },
+      const [statusCounts, roomsByBuilding, priceStats, averageRentByDistrict] = await Promise.all([
+        //Get rooms by status
+        Room.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+
+        //Get total rooms by building
+        Room.aggregate([
+          { $group: { _id: '$buildingId', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ]),
+
+        //Get rent statistics
+        Room.aggregate([
+          {
+            $group: {
+              _id: null,
+              averageRent: { $avg: '$price.rent' },
+              minRent: { $min: '$price.rent' },
+              maxRent: { $max: '$price.rent' },
+            },
+          },
+        ]),
+
+        //Get average rent by district through the building address
+        Room.aggregate([
+          {
+            $lookup: {
+              from: Building.collection.name,
+              localField: 'buildingId',
+              foreignField: '_id',
+              as: 'building',
+            },
+          },
+          { $unwind: '$building' },
+          {
+            $group: {
+              _id: { city: '$building.address.city', district: '$building.address.district' },
+              averageRent: { $avg: '$price.rent' },
+              rooms: { $sum: 1 },
+            },
+          },
+          { $sort: { averageRent: -1 } },
+        ]),
       ]);
 
-      //Get average price
-      const averagePrice = await Room.aggregate([
-        { $group: { _id: null, averagePrice: { $avg: '$price' } } },
-      ]);
+      const byStatus = { available: 0, rented: 0, reserved: 0, maintenance: 0 };
+      statusCounts.forEach(({ _id, count }) => {
+        byStatus[_id] = count;
+      });
+      const totalRooms = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+      const occupiedRooms = byStatus.rented + byStatus.reserved;
 
       return {
         totalRooms,
-        availableRooms,
-        rentedRooms,
-        reservedRooms,
-        maintenanceRooms,
-        roomsByBuilding,
-        averagePrice,
+        availableRooms: byStatus.available,
+        rentedRooms: byStatus.rented,
+        reservedRooms: byStatus.reserved,
+        maintenanceRooms: byStatus.maintenance,
+        occupancyRate: totalRooms ? (occupiedRooms / totalRooms) * 100 : 0,
+        roomsByBuilding: roomsByBuilding.map(({ _id, count }) => ({ buildingId: _id, count })),
+        averagePrice: Math.round(priceStats[0]?.averageRent || 0),
+        minPrice: priceStats[0]?.minRent || 0,
+        maxPrice: priceStats[0]?.maxRent || 0,
+        averageRentByDistrict: averageRentByDistrict.map(({ _id, averageRent, rooms }) => ({
+          city: _id.city,
+          district: _id.district,
+          averageRent: Math.round(averageRent),
+          rooms,
+        })),
       };
     } catch (error) {
       logger.error('Error getting room statistics:', {
@@ -267,37 +363,132 @@ class RoomService {
   }
 
   /**
-   * Search rooms by keyword
+   * @route POST /api/rooms/:id/images
+   * @description Upload images and append them to a room as unverified
+   * @param {string} roomId - Room ID
+   * @param {Array<Object>} files - Uploaded image files
+   * @returns {Promise<Object>} Updated room
+   */
+  static async addImages(roomId, files) {
+    try {
+      if (!roomId || !mongoose.Types.ObjectId.isValid(roomId)) {
+        throw new ValidationError('Invalid room ID format');
+      }
+      if (!(await Room.exists({ _id: roomId }))) {
+        throw new NotFoundError('Room not found');
+      }
+
+      const { images, keys } = await ImageService.storeImages(files, `rooms/${roomId}`);
+      try {
+        const room = await Room.findByIdAndUpdate(
+          roomId,
+          {
+            $push: { images: { $each: images.map((image) => ({ ...image, isVerified: false })) } },
+          },
+          { new: true, runValidators: true }
+        );
+        if (!room) {
+          throw new NotFoundError('Room not found');
+        }
+        return room;
+      } catch (error) {
+        await StorageService.removeAll(keys);
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error adding room images:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route GET /api/rooms/nearby
+   * @description Find rooms in active buildings within a radius of a point, nearest first
+   * @param {Object} params - Query parameters
+   * @param {number} params.lat - Latitude
+   * @param {number} params.lng - Longitude
+   * @param {number} [params.radius] - Radius in meters
+   * @param {number} [params.minPrice] - Minimum monthly rent
+   * @param {number} [params.maxPrice] - Maximum monthly rent
+   * @param {string} [params.status] - Room status, defaults to available
+   * @param {number} [params.limit] - Maximum number of rooms
+   * @returns {Promise<Array>} Rooms with their building and distance in meters
+   */
+  static async getNearbyRooms(params = {}) {
+    try {
+      const { point, radius, limit } = BuildingService.parseNearbyQuery(params);
+
+      const status = params.status || 'available';
+      const statuses = Room.schema.path('status').enumValues;
+      if (!statuses.includes(status)) {
+        throw new ValidationError(`Status must be one of: ${statuses.join(', ')}`);
+      }
+
+      const roomMatch = {
+        $expr: { $eq: ['$buildingId', '$$buildingId'] },
+        status,
+      };
+      const price = BuildingService.parseRange(params.minPrice, params.maxPrice);
+      if (price) roomMatch['price.rent'] = price;
+
+      return await Building.aggregate([
+        {
+          $geoNear: {
+            near: point,
+            distanceField: 'distance',
+            maxDistance: radius,
+            query: { status: 'active' },
+            spherical: true,
+          },
+        },
+        {
+          $lookup: {
+            from: Room.collection.name,
+            let: { buildingId: '$_id' },
+            pipeline: [{ $match: roomMatch }, { $project: { bookingLock: 0 } }],
+            as: 'room',
+          },
+        },
+        { $unwind: '$room' },
+        { $sort: { distance: 1, 'room.price.rent': 1 } },
+        { $limit: limit },
+        {
+          $replaceRoot: {
+            newRoot: {
+              $mergeObjects: [
+                '$room',
+                {
+                  distance: '$distance',
+                  buildingId: { _id: '$_id', name: '$name', address: '$address' },
+                },
+              ],
+            },
+          },
+        },
+      ]);
+    } catch (error) {
+      logger.error('Error finding nearby rooms:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search rooms by keyword, ranked by relevance
    * @param {string} keyword - Search keyword
    * @param {Object} options - Pagination options
    * @returns {Promise<Object>} Search results with pagination
    */
   static async searchRooms(keyword, { page = 1, limit = 10 } = {}) {
     try {
-      const skip = (page - 1) * limit;
-
-      // Create search query
-      const searchQuery = {
-        $or: [
-          { name: { $regex: keyword, $options: 'i' } },
-          { 'utilities.name': { $regex: keyword, $options: 'i' } },
-          { status: { $regex: keyword, $options: 'i' } },
-        ],
-      };
-
-      const [rooms, total] = await Promise.all([
-        Room.find(searchQuery).skip(skip).limit(limit).lean(),
-        Room.countDocuments(searchQuery),
-      ]);
+      const { results, pagination } = await SearchService.search(keyword, {
+        type: 'room',
+        page,
+        limit,
+      });
 
       return {
-        rooms,
-        pagination: {
-          total,
-          page,
-          limit,
-          pages: Math.ceil(total / limit),
-        },
+        rooms: results.map(({ item, score }) => ({ ...item, score })),
+        pagination,
       };
     } catch (error) {
       logger.error('Error searching rooms:', error);
@@ -306,56 +497,205 @@ class RoomService {
   }
 
   /**
-   * Filter rooms by criteria
-   * @param {Object} filters - Filter criteria
-   * @param {Object} options - Pagination options
-   * @returns {Promise<Object>} Filtered rooms with pagination
+   * @route GET /api/rooms/filter
+   * @description Filter rooms by price, area, capacity, features, status and building
+   * location, with sorting and facet counts for the filter sidebar
+   * @param {Object} filters - Raw filter values (query string or body)
+   * @param {Object} options - Pagination and sort options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Items per page
+   * @param {string} [options.sort] - One of price_asc, price_desc, rating, newest, viewCount
+   * @returns {Promise<Object>} Filtered rooms with pagination and facets
    */
-  static async filterRooms(filters, { page = 1, limit = 10 } = {}) {
+  static async filterRooms(filters = {}, { page = 1, limit = 10, sort = 'newest' } = {}) {
     try {
-      const skip = (page - 1) * limit;
-
-      // Build filter query
-      const query = {};
+      page = Math.max(parseInt(page) || 1, 1);
+      limit = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
 
-      // Price filter
-      if (filters.minPrice || filters.maxPrice) {
-        query['price.rent'] = {};
-        if (filters.minPrice) query['price.rent'].$gte = filters.minPrice;
-        if (filters.maxPrice) query['price.rent'].$lte = filters.maxPrice;
+      const sortStage = ROOM_SORTS[sort || 'newest'];
+      if (!sortStage) {
+        throw new ValidationError(`Sort must be one of: ${Object.keys(ROOM_SORTS).join(', ')}`);
       }
 
-      // Area filter
-      if (filters.minArea || filters.maxArea) {
-        query.area = {};
-        if (filters.minArea) query.area.$gte = filters.minArea;
-        if (filters.maxArea) query.area.$lte = filters.maxArea;
-      }
-
-      // Amenities filter
-      if (filters.amenities && filters.amenities.length > 0) {
-        query['utilities.name'] = { $all: filters.amenities };
-      }
-
-      const [rooms, total] = await Promise.all([
-        Room.find(query).skip(skip).limit(limit).lean(),
-        Room.countDocuments(query),
+      const { roomMatch, totalPriceMatch, buildingMatch } = this.parseRoomFilters(filters);
+
+      const pipeline = [
+        { $match: roomMatch },
+        {
+          $addFields: {
+            totalPrice: {
+              $add: [
+                '$price.rent',
+                { $ifNull: ['$price.electricity', 0] },
+                { $ifNull: ['$price.water', 0] },
+                { $ifNull: ['$price.service', 0] },
+              ],
+            },
+          },
+        },
+      ];
+      if (totalPriceMatch) pipeline.push({ $match: { totalPrice: totalPriceMatch } });
+      pipeline.push(
+        {
+          $lookup: {
+            from: Building.collection.name,
+            let: { buildingId: '$buildingId' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$_id', '$$buildingId'] } } },
+              { $project: { name: 1, address: 1, status: 1 } },
+            ],
+            as: 'building',
+          },
+        },
+        { $unwind: '$building' },
+        { $match: buildingMatch }
+      );
+
+      const [result] = await Room.aggregate([
+        ...pipeline,
+        {
+          $facet: {
+            rooms: [
+              { $sort: sortStage },
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+              { $set: { buildingId: '$building' } },
+              { $project: { building: 0, bookingLock: 0 } },
+            ],
+            total: [{ $count: 'count' }],
+            features: [
+              {
+                $group: {
+                  _id: null,
+                  ...Object.fromEntries(
+                    ROOM_FEATURES.map((feature) => [
+                      feature,
+                      { $sum: { $cond: [`$features.${feature}`, 1, 0] } },
+                    ])
+                  ),
+                },
+              },
+            ],
+            priceBuckets: [
+              {
+                $bucket: {
+                  groupBy: '$price.rent',
+                  boundaries: PRICE_BUCKETS,
+                  default: 'other',
+                  output: { count: { $sum: 1 } },
+                },
+              },
+            ],
+            status: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+          },
+        },
       ]);
 
+      const total = result.total[0]?.count || 0;
+      const featureCounts = result.features[0] || {};
+
       return {
-        rooms,
+        rooms: result.rooms,
         pagination: {
           total,
           page,
           limit,
           pages: Math.ceil(total / limit),
         },
+        facets: {
+          features: Object.fromEntries(
+            ROOM_FEATURES.map((feature) => [feature, featureCounts[feature] || 0])
+          ),
+          priceBuckets: result.priceBuckets.map(({ _id: min, count }) => {
+            if (min === 'other') {
+              return { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count };
+            }
+            return { min, max: PRICE_BUCKETS[PRICE_BUCKETS.indexOf(min) + 1], count };
+          }),
+          status: Object.fromEntries(
+            result.status.map(({ _id: status, count }) => [status, count])
+          ),
+        },
       };
     } catch (error) {
       logger.error('Error filtering rooms:', error);
       throw error;
     }
   }
+
+  /**
+   * Convert raw filter values into typed match conditions
+   * @param {Object} filters - Raw filter values
+   * @returns {Object} roomMatch, totalPriceMatch and buildingMatch conditions
+   * @throws {ValidationError} If a value has the wrong type
+   */
+  static parseRoomFilters(filters) {
+    const roomMatch = {};
+
+    const rent = BuildingService.parseRange(filters.minPrice, filters.maxPrice, 'Price');
+    if (rent) roomMatch['price.rent'] = rent;
+    const area = BuildingService.parseRange(filters.minArea, filters.maxArea, 'Area');
+    if (area) roomMatch.area = area;
+    const capacity = BuildingService.parseRange(
+      filters.minCapacity,
+      filters.maxCapacity,
+      'Capacity'
+    );
+    if (capacity) roomMatch.capacity = capacity;
+
+    // Features as a list (features=hasAircon,hasBalcony) or as individual flags (hasAircon=true)
+    const requested = toList(filters.features);
+    const unknown = requested.filter((feature) => !ROOM_FEATURES.includes(feature));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown features: ${unknown.join(', ')}`);
+    }
+    requested.forEach((feature) => {
+      roomMatch[`features.${feature}`] = true;
+    });
+    ROOM_FEATURES.forEach((feature) => {
+      const value = filters[feature];
+      if (value === undefined || value === '') return;
+      if (!['true', 'false', true, false].includes(value)) {
+        throw new ValidationError(`${feature} must be true or false`);
+      }
+      roomMatch[`features.${feature}`] = value === true || value === 'true';
+    });
+
+    const statuses = toList(filters.status);
+    if (statuses.length > 0) {
+      const allowed = Room.schema.path('status').enumValues;
+      const invalid = statuses.filter((status) => !allowed.includes(status));
+      if (invalid.length > 0) {
+        throw new ValidationError(`Status must be one of: ${allowed.join(', ')}`);
+      }
+      roomMatch.status = { $in: statuses };
+    }
+
+    const amenities = toList(filters.amenities);
+    if (amenities.length > 0) {
+      roomMatch['utilities.name'] = {
+        $all: amenities.map((amenity) => new RegExp(toSearchPattern(amenity), 'i')),
+      };
+    }
+
+    const totalPriceMatch = BuildingService.parseRange(
+      filters.minTotalPrice,
+      filters.maxTotalPrice,
+      'Total price'
+    );
+
+    // Rooms in pending, rejected or suspended buildings are never listed publicly
+    const buildingMatch = { 'building.status': 'active' };
+    ['city', 'district'].forEach((field) => {
+      if (!filters[field]) return;
+      buildingMatch[`building.address.${field}`] = new RegExp(
+        `^${toSearchPattern(filters[field])}$`,
+        'i'
+      );
+    });
+
+    return { roomMatch, totalPriceMatch, buildingMatch };
+  }
 }
 
 module.exports = RoomService;
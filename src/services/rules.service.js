@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Rules Service - Manages building house rules documents
+ * @created 2025-06-06
+ * @file rules.service.js
+ * @description Service for uploading versioned house rules documents and serving them with access logging.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Building = require('../models/building.model');
+const RulesAccessLog = require('../models/rules-access-log.model');
+const StorageService = require('./storage.service');
+const uploadConfig = require('../config/upload');
+const logger = require('../utils/logger');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+
+// Leading bytes of each accepted document format, checked instead of trusting the declared MIME type
+const DOCUMENT_FORMATS = {
+  'application/pdf': { extension: 'pdf', signature: Buffer.from('%PDF-') },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extension: 'docx',
+    signature: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  },
+};
+
+/**
+ * @class RulesService
+ * @classdesc Service class for building rules documents
+ */
+class RulesService {
+  /**
+   * @route POST /api/buildings/:id/rules
+   * @description Upload a new version of a building's house rules
+   * @param {string} buildingId - Building id
+   * @param {Object} file - Uploaded PDF or DOCX file
+   * @param {string} userId - Uploader id
+   * @returns {Promise<Object>} Current rules version metadata
+   */
+  static async uploadRules(buildingId, file, userId) {
+    try {
+      this.validateBuildingId(buildingId);
+      if (!file) {
+        throw new ValidationError('A rules document is required');
+      }
+
+      const format = DOCUMENT_FORMATS[file.mimetype];
+      if (!format || !file.buffer.subarray(0, format.signature.length).equals(format.signature)) {
+        throw new ValidationError(`${file.originalname} is not a valid PDF or DOCX document`);
+      }
+
+      const building = await Building.findById(buildingId).select('rulesVersion').lean();
+      if (!building) {
+        throw new NotFoundError('Building not found');
+      }
+
+      const version = (building.rulesVersion || 0) + 1;
+      const storageKey = `${
+        uploadConfig.privatePrefix
+      }/rules/${buildingId}/v${version}-${crypto.randomUUID()}.${format.extension}`;
+      await StorageService.save(storageKey, file.buffer, file.mimetype);
+      const entry = {
+        version,
+        url: `/api/buildings/${buildingId}/rules?version=${version}`,
+        storageKey,
+        fileName: file.originalname,
+        contentType: file.mimetype,
+        size: file.size,
+        uploadedBy: userId,
+        uploadedAt: new Date(),
+      };
+
+      // Only applies if no other upload claimed this version in the meantime
+      const result = await Building.updateOne(
+        { _id: buildingId, rulesVersion: building.rulesVersion || 0 },
+        {
+          $set: { rulesFile: `/api/buildings/${buildingId}/rules`, rulesVersion: version },
+          $push: { rulesVersions: entry },
+        }
+      );
+      if (result.modifiedCount === 0) {
+        await StorageService.removeAll([storageKey]);
+        throw new ConflictError('The rules document was updated concurrently, please retry');
+      }
+
+      logger.info('RulesService: Rules document uploaded', { buildingId, version, userId });
+      return this.toMetadata(entry);
+    } catch (error) {
+      logger.error('Error uploading rules document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route GET /api/buildings/:id/rules
+   * @description Read a building's rules document, the current version unless one is requested,
+   * and record the access
+   * @param {string} buildingId - Building id
+   * @param {Object} access - Access details
+   * @param {string} access.userId - Reader id
+   * @param {number|string} [access.version] - Requested version
+   * @param {string} [access.ip] - Client IP
+   * @param {string} [access.userAgent] - Client user agent
+   * @returns {Promise<Object>} { buffer, contentType, fileName, version }
+   */
+  static async getRules(buildingId, { userId, version, ip, userAgent } = {}) {
+    try {
+      this.validateBuildingId(buildingId);
+
+      const building = await Building.findById(buildingId)
+        .select('rulesVersion rulesVersions')
+        .lean();
+      if (!building) {
+        throw new NotFoundError('Building not found');
+      }
+      if (!building.rulesVersion) {
+        throw new NotFoundError('This building has no rules document');
+      }
+
+      const requested = version === undefined ? building.rulesVersion : parseInt(version);
+      const entry = (building.rulesVersions || []).find((item) => item.version === requested);
+      if (!entry) {
+        throw new NotFoundError(`Rules version ${version} not found`);
+      }
+
+      const buffer = await StorageService.read(entry.storageKey);
+      await RulesAccessLog.create({
+        buildingId,
+        version: entry.version,
+        userId,
+        ip,
+        userAgent,
+      });
+      logger.info('RulesService: Rules document accessed', {
+        buildingId,
+        version: entry.version,
+        userId,
+      });
+
+      return {
+        buffer,
+        contentType: entry.contentType,
+        fileName:
+          entry.fileName ||
+          `rules-v${entry.version}.${DOCUMENT_FORMATS[entry.contentType]?.extension}`,
+        version: entry.version,
+      };
+    } catch (error) {
+      logger.error('Error getting rules document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure a renter accepted the building's current rules version
+   * @param {Object} building - Building with rulesVersion
+   * @param {number|string} [acceptedVersion] - Version the renter accepted
+   * @returns {number|undefined} Accepted version, or undefined if the building has no rules
+   * @throws {ValidationError} If the building has rules and the current version was not accepted
+   */
+  static assertAccepted(building, acceptedVersion) {
+    if (!building.rulesVersion) return undefined;
+
+    if (parseInt(acceptedVersion) !== building.rulesVersion) {
+      throw new ValidationError(
+        `You must accept the current house rules (version ${building.rulesVersion}) to book this room`
+      );
+    }
+    return building.rulesVersion;
+  }
+
+  static validateBuildingId(buildingId) {
+    if (!buildingId || !mongoose.Types.ObjectId.isValid(buildingId)) {
+      throw new ValidationError('Invalid building ID format');
+    }
+  }
+
+  static toMetadata({ version, fileName, contentType, size, uploadedAt }) {
+    return { version, fileName, contentType, size, uploadedAt };
+  }
+}
+
+module.exports = RulesService;
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Search Service - Full-text search across rooms and buildings
+ * @created 2025-06-06
+ * @file search.service.js
+ * @description Service for relevance-ranked keyword search using the text indexes on
+ * buildings and rooms, with a diacritics-insensitive regex fallback for partial words.
+ */
+
+const Building = require('../models/building.model');
+const Room = require('../models/room.model');
+const logger = require('../utils/logger');
+const { normalizeText, toSearchPattern } = require('../utils/text');
+const { ValidationError } = require('../utils/errors');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const MAX_LIMIT = 50;
+// Upper bound of matches loaded per type before ranking and paginating
+const CANDIDATE_LIMIT = 200;
+
+const SEARCH_TYPES = {
+  building: {
+    model: Building,
+    filter: { status: 'active' },
+    projection: { moderationHistory: 0 },
+  },
+  room: {
+    model: Room,
+    filter: {},
+    populate: { path: 'buildingId', select: 'name address status' },
+  },
+};
+
+/**
+ * @class SearchService
+ * @classdesc Service class for keyword search
+ */
+class SearchService {
+  /**
+   * @route GET /api/search
+   * @description Search buildings and rooms, returning mixed results ranked by relevance
+   * @param {string} query - Search keywords
+   * @param {Object} options - Search options
+   * @param {string} [options.type] - Restrict results to 'building' or 'room'
+   * @param {number} [options.page] - Page number
+   * @param {number} [options.limit] - Items per page
+   * @returns {Promise<Object>} Ranked results with pagination
+   */
+  static async search(query, { type, page = 1, limit = 10 } = {}) {
+    try {
+      const keyword = (query || '').toString().trim();
+      if (keyword.length < MIN_QUERY_LENGTH || keyword.length > MAX_QUERY_LENGTH) {
+        throw new ValidationError(
+          `Search query must be between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters`
+        );
+      }
+      if (type && !SEARCH_TYPES[type]) {
+        throw new ValidationError(
+          `Search type must be one of: ${Object.keys(SEARCH_TYPES).join(', ')}`
+        );
+      }
+
+      page = Math.max(parseInt(page) || 1, 1);
+      limit = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_LIMIT);
+
+      const types = type ? [type] : Object.keys(SEARCH_TYPES);
+      const matches = await Promise.all(types.map((name) => this.searchType(name, keyword)));
+      const results = matches.flat().sort((a, b) => b.score - a.score);
+
+      return {
+        results: results.slice((page - 1) * limit, page * limit),
+        pagination: {
+          total: results.length,
+          page,
+          limit,
+          pages: Math.ceil(results.length / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error searching:', { error: error.message, query, type });
+      throw error;
+    }
+  }
+
+  /**
+   * Search one collection through its text index, falling back to a regex match over
+   * the indexed fields when the text index finds nothing (e.g. partial words)
+   * @param {string} type - Search type key
+   * @param {string} keyword - Search keywords
+   * @returns {Promise<Array>} Results with type, score and item
+   */
+  static async searchType(type, keyword) {
+    const { model, filter, projection, populate } = SEARCH_TYPES[type];
+    const weights = this.getTextWeights(model);
+
+    // Search both the raw and the accent-free terms so either spelling matches; quotes
+    // and dashes are dropped so user input cannot form phrases or negations
+    const terms = [
+      ...new Set(
+        `${keyword} ${normalizeText(keyword)}`.replace(/["-]/g, ' ').split(/\s+/).filter(Boolean)
+      ),
+    ];
+    let scored = await this.withOptions(
+      model
+        .find({ ...filter, $text: { $search: terms.join(' ') } })
+        .select({ ...projection, score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } }),
+      populate
+    );
+    scored = scored.map(({ score, ...item }) => ({ item, score }));
+
+    if (scored.length === 0) {
+      const pattern = new RegExp(toSearchPattern(keyword), 'i');
+      const documents = await this.withOptions(
+        model
+          .find({
+            ...filter,
+            $or: Object.keys(weights).map((field) => ({ [field]: pattern })),
+          })
+          .select(projection || {}),
+        populate
+      );
+      scored = documents.map((item) => ({
+        item,
+        score: Object.entries(weights)
+          .filter(([field]) => this.valuesAt(item, field).some((value) => pattern.test(value)))
+          .reduce((sum, [, weight]) => sum + weight, 0),
+      }));
+    }
+
+    return scored
+      .filter(({ item }) => type !== 'room' || item.buildingId?.status === 'active')
+      .map(({ item, score }) => ({ type, score: Math.round(score * 100) / 100, item }));
+  }
+
+  /**
+   * Apply the shared candidate limit, population and lean to a search query
+   * @param {Query} query - Mongoose query
+   * @param {Object} [populate] - Populate options
+   * @returns {Promise<Array>} Plain documents
+   */
+  static withOptions(query, populate) {
+    if (populate) query.populate(populate);
+    return query.limit(CANDIDATE_LIMIT).lean();
+  }
+
+  /**
+   * Read the field weights of a model's text index so the regex fallback ranks
+   * matches the same way as the index
+   * @param {Model} model - Mongoose model
+   * @returns {Object} Map of field path to weight
+   */
+  static getTextWeights(model) {
+    const [fields, options] =
+      model.schema.indexes().find(([index]) => Object.values(index).includes('text')) || [];
+    return Object.keys(fields || {}).reduce((weights, field) => {
+      weights[field] = options?.weights?.[field] || 1;
+      return weights;
+    }, {});
+  }
+
+  /**
+   * Collect the string values at a dotted path, flattening arrays along the way
+   * @param {Object} document - Plain document
+   * @param {string} path - Dotted field path
+   * @returns {Array<string>} Values found at the path
+   */
+  static valuesAt(document, path) {
+    return path
+      .split('.')
+      .reduce(
+        (values, key) => values.flatMap((value) => (value == null ? [] : [value[key]].flat())),
+        [document]
+      )
+      .filter((value) => typeof value === 'string');
+  }
+}
+
+module.exports = SearchService;
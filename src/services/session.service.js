@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Session Service - Manages per-device login sessions
+ * @created 2025-06-06
+ * @file session.service.js
+ * @description Service for recording logins as device sessions, rotating their refresh tokens,
+ * detecting reuse of rotated tokens and letting users list and sign out their devices.
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const logger = require('../utils/logger');
+const { NotFoundError, ValidationError, AuthenticationError } = require('../utils/errors');
+
+// Number of most recent User.loginHistory entries kept
+const MAX_LOGIN_HISTORY = 20;
+
+/**
+ * @class SessionService
+ * @classdesc Service class for login sessions
+ */
+class SessionService {
+  /**
+   * Record a login in the user's history and open a session for the device
+   * @param {Object} sessionData - Session data
+   * @param {string} sessionData._id - Session ID, embedded in the issued tokens
+   * @param {string} sessionData.userId - User ID
+   * @param {string} sessionData.tokenId - jti of the first refresh token
+   * @param {Date} sessionData.expiresAt - Expiry of the first refresh token
+   * @param {string} [sessionData.ip] - Client IP
+   * @param {string} [sessionData.device] - Client user agent
+   * @returns {Promise<Object>} Created session
+   */
+  static async createSession({ _id, userId, tokenId, expiresAt, ip, device }) {
+    const loginHistoryId = new mongoose.Types.ObjectId();
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { lastLogin: new Date() },
+        $push: {
+          loginHistory: {
+            $each: [{ _id: loginHistoryId, ip, device, timestamp: new Date() }],
+            $slice: -MAX_LOGIN_HISTORY,
+          },
+        },
+      }
+    );
+
+    const session = await Session.create({
+      _id,
+      userId,
+      tokenId,
+      loginHistoryId,
+      ip,
+      device,
+      expiresAt,
+    });
+    logger.info('SessionService: Session created', { sessionId: session._id, userId });
+    return session.toObject();
+  }
+
+  /**
+   * Add an entry other than a sign-in, such as a lockout, to the user's login history
+   * @param {string} userId - User ID
+   * @param {Object} entry - History entry ({ event, ip, device, lockedUntil })
+   * @returns {Promise<void>}
+   */
+  static async recordLoginEvent(userId, entry) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $push: {
+          loginHistory: {
+            $each: [{ ...entry, timestamp: new Date() }],
+            $slice: -MAX_LOGIN_HISTORY,
+          },
+        },
+      }
+    );
+  }
+
+  /**
+   * Swap the session's current refresh token for a new one. Presenting a token of the session
+   * that was already rotated means it was copied, so the session and every token issued from
+   * it are revoked.
+   * @param {string} sessionId - Session ID from the refresh token
+   * @param {string} presentedTokenId - jti of the presented refresh token
+   * @param {Object} next - Replacement token data
+   * @param {string} next.tokenId - jti of the new refresh token
+   * @param {Date} next.expiresAt - Expiry of the new refresh token
+   * @param {string} [next.ip] - Client IP
+   * @returns {Promise<Object>} Updated session
+   * @throws {AuthenticationError} If the session is gone, revoked, or the token was reused
+   */
+  static async rotate(sessionId, presentedTokenId, { tokenId, expiresAt, ip }) {
+    const now = new Date();
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, tokenId: presentedTokenId, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { tokenId, expiresAt, ip, lastUsedAt: now }, $inc: { rotationCount: 1 } },
+      { new: true }
+    ).lean();
+    if (session) return session;
+
+    const existing = await Session.findById(sessionId).lean();
+    if (!existing || existing.revokedAt || existing.expiresAt <= now) {
+      throw new AuthenticationError('Session has expired or was signed out, please log in again');
+    }
+
+    await this.endSession(sessionId, 'reuse_detected');
+    logger.warn('SessionService: Refresh token reuse detected, session revoked', {
+      sessionId,
+      userId: existing.userId,
+      ip,
+    });
+    throw new AuthenticationError('Refresh token was already used; the session has been revoked');
+  }
+
+  /**
+   * Check whether a session can still be used
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if the session is neither revoked nor expired
+   */
+  static async isActive(sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+    return Boolean(
+      await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    );
+  }
+
+  /**
+   * @route GET /api/auth/sessions
+   * @description List the user's signed-in devices, most recently used first
+   * @param {string} userId - User ID
+   * @param {string} [currentSessionId] - Session of the request, flagged as current
+   * @returns {Promise<Array>} Active sessions
+   */
+  static async getSessions(userId, currentSessionId) {
+    try {
+      const sessions = await Session.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      })
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+      return sessions.map(({ _id, ip, device, createdAt, lastUsedAt, expiresAt }) => ({
+        _id,
+        ip,
+        device,
+        signedInAt: createdAt,
+        lastUsedAt,
+        expiresAt,
+        current: _id.toString() === currentSessionId?.toString(),
+      }));
+    } catch (error) {
+      logger.error('Error getting sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route DELETE /api/auth/sessions/:id
+   * @description Sign out one of the user's devices
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {string} [reason] - Revocation reason, defaults to user
+   * @returns {Promise<void>}
+   */
+  static async revokeSession(userId, sessionId, reason = 'user') {
+    try {
+      if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+        throw new ValidationError('Invalid session ID format');
+      }
+
+      const result = await Session.updateOne(
+        { _id: sessionId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+      if (result.matchedCount === 0) {
+        throw new NotFoundError('Session not found');
+      }
+
+      logger.info('SessionService: Session revoked', { sessionId, userId, reason });
+    } catch (error) {
+      logger.error('Error revoking session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a session if it is still active, e.g. on logout
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<void>}
+   */
+  static async endSession(sessionId, reason) {
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  /**
+   * Sign the user out everywhere: revoke every session and reject access tokens already issued
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of sessions signed out
+   */
+  static async invalidateAll(userId, reason) {
+    // JWT iat has second precision, so tokens issued later in this second remain valid
+    const tokensValidAfter = new Date(Math.floor(Date.now() / 1000) * 1000);
+    await User.updateOne({ _id: userId }, { $set: { tokensValidAfter } });
+    return this.revokeAll(userId, { reason });
+  }
+
+  /**
+   * @route DELETE /api/auth/sessions
+   * @description Sign out all of the user's devices except, optionally, the current one
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.exceptSessionId] - Session to keep signed in
+   * @param {string} [options.reason] - Revocation reason, defaults to user
+   * @returns {Promise<number>} Number of sessions signed out
+   */
+  static async revokeAll(userId, { exceptSessionId, reason = 'user' } = {}) {
+    try {
+      const filters = { userId, revokedAt: null };
+      if (exceptSessionId) {
+        filters._id = { $ne: exceptSessionId };
+      }
+
+      const result = await Session.updateMany(filters, {
+        $set: { revokedAt: new Date(), revokedReason: reason },
+      });
+
+      logger.info('SessionService: Sessions revoked', {
+        userId,
+        count: result.modifiedCount,
+        reason,
+      });
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error revoking sessions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Storage Service - Pluggable file storage backends
+ * @created 2025-06-06
+ * @file storage.service.js
+ * @description Service for storing uploaded files on local disk or an S3-compatible object store.
+ * A storage provider implements save(key, buffer, contentType) returning the public URL (null for
+ * keys under the private prefix, which are only read through the API), read(key) returning the
+ * file contents, and remove(key).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const uploadConfig = require('../config/upload');
+const logger = require('../utils/logger');
+
+/**
+ * @class LocalStorage
+ * @classdesc Stores files under a directory served statically by the app. Keys under the private
+ * prefix go to a separate directory that is never served.
+ */
+class LocalStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.root - Directory files are written to
+   * @param {string} options.publicPath - URL prefix the directory is served under
+   * @param {string} [options.privateRoot] - Directory for keys under the private prefix
+   * @param {string} [options.privatePrefix] - First key segment of private keys
+   * @throws {Error} If the private root is inside the served root
+   */
+  constructor({ root, publicPath, privateRoot, privatePrefix }) {
+    if (privateRoot && `${privateRoot}${path.sep}`.startsWith(`${root}${path.sep}`)) {
+      throw new Error('Private upload path must not be inside the public upload path');
+    }
+    this.root = root;
+    this.publicPath = publicPath;
+    this.privateRoot = privateRoot;
+    this.privatePrefix = privatePrefix;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return this.isPrivate(key) ? null : `${this.publicPath}/${key}`;
+  }
+
+  read(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Resolve a key to a path inside the storage root, or the private root for private keys
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   * @throws {Error} If the key escapes its storage root
+   */
+  resolve(key) {
+    let root = this.root;
+    let relativeKey = key;
+    if (this.privateRoot && this.isPrivate(key)) {
+      root = this.privateRoot;
+      relativeKey = key.slice(this.privatePrefix.length + 1);
+    }
+
+    const filePath = path.resolve(root, relativeKey);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  isPrivate(key) {
+    return Boolean(this.privatePrefix) && key.startsWith(`${this.privatePrefix}/`);
+  }
+}
+
+/**
+ * @class S3Storage
+ * @classdesc Stores files in an S3-compatible bucket through a client exposing promise-based
+ * putObject, getObject and deleteObject, such as the S3 client from @aws-sdk/client-s3. Keys under
+ * the private prefix go to a separate bucket that must not be publicly readable.
+ */
+class S3Storage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {Object} options.client - S3-compatible client
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.publicUrl - Base URL objects are served from
+   * @param {string} [options.privateBucket] - Bucket for keys under the private prefix
+   * @param {string} [options.privatePrefix] - First key segment of private keys
+   * @throws {Error} If the private bucket is the public one
+   */
+  constructor({ client, bucket, publicUrl, privateBucket, privatePrefix }) {
+    if (privateBucket && privateBucket === bucket) {
+      throw new Error('The private bucket must not be the public bucket');
+    }
+    this.client = client;
+    this.bucket = bucket;
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+    this.privateBucket = privateBucket;
+    this.privatePrefix = privatePrefix;
+  }
+
+  async save(key, buffer, contentType) {
+    await this.client.putObject({
+      Bucket: this.bucketFor(key),
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+    });
+    return this.isPrivate(key) ? null : `${this.publicUrl}/${key}`;
+  }
+
+  async read(key) {
+    const object = await this.client.getObject({ Bucket: this.bucketFor(key), Key: key });
+    return Buffer.from(await object.Body.transformToByteArray());
+  }
+
+  async remove(key) {
+    await this.client.deleteObject({ Bucket: this.bucketFor(key), Key: key });
+  }
+
+  isPrivate(key) {
+    return Boolean(this.privatePrefix) && key.startsWith(`${this.privatePrefix}/`);
+  }
+
+  /**
+   * Bucket a key is stored in
+   * @param {string} key - Storage key
+   * @returns {string} Bucket name
+   * @throws {Error} For a private key when no private bucket is configured
+   */
+  bucketFor(key) {
+    if (!this.isPrivate(key)) return this.bucket;
+    if (!this.privateBucket) {
+      throw new Error('Private files need S3_PRIVATE_BUCKET to be configured');
+    }
+    return this.privateBucket;
+  }
+}
+
+let provider = null;
+
+/**
+ * @class StorageService
+ * @classdesc Entry point to the configured storage provider
+ */
+class StorageService {
+  /**
+   * Get the active storage provider, creating the configured one on first use
+   * @returns {Object} Storage provider
+   * @throws {Error} If the S3 driver is selected without a bucket and public URL
+   */
+  static getProvider() {
+    if (provider) return provider;
+
+    if (uploadConfig.storageDriver === 's3') {
+      const { bucket, publicUrl, region, endpoint, forcePathStyle } = uploadConfig.s3;
+      if (!bucket || !publicUrl) {
+        throw new Error('S3_BUCKET and S3_PUBLIC_URL are required for the s3 storage driver');
+      }
+      // Loaded only when S3 storage is selected
+      const { S3 } = require('@aws-sdk/client-s3');
+      this.useS3(new S3({ region, endpoint, forcePathStyle }));
+      return provider;
+    }
+    provider = new LocalStorage({
+      root: uploadConfig.uploadPath,
+      publicPath: uploadConfig.publicPath,
+      privateRoot: uploadConfig.privateUploadPath,
+      privatePrefix: uploadConfig.privatePrefix,
+    });
+    return provider;
+  }
+
+  /**
+   * Replace the storage provider
+   * @param {Object} storageProvider - Object implementing save and remove
+   */
+  static setProvider(storageProvider) {
+    provider = storageProvider;
+  }
+
+  /**
+   * Store files in the configured S3-compatible bucket through a given client, e.g. one with
+   * custom credentials
+   * @param {Object} client - S3-compatible client
+   */
+  static useS3(client) {
+    this.setProvider(
+      new S3Storage({ client, ...uploadConfig.s3, privatePrefix: uploadConfig.privatePrefix })
+    );
+  }
+
+  static save(key, buffer, contentType) {
+    return this.getProvider().save(key, buffer, contentType);
+  }
+
+  static read(key) {
+    return this.getProvider().read(key);
+  }
+
+  /**
+   * Remove stored files, logging instead of throwing so cleanup never masks the original error
+   * @param {Array<string>} keys - Storage keys
+   * @returns {Promise<void>}
+   */
+  static async removeAll(keys) {
+    await Promise.all(
+      keys.map((key) =>
+        this.getProvider()
+          .remove(key)
+          .catch((error) => {
+            logger.error('StorageService: Failed to remove file', { key, error: error.message });
+          })
+      )
+    );
+  }
+}
+
+module.exports = StorageService;
+module.exports.LocalStorage = LocalStorage;
+module.exports.S3Storage = S3Storage;
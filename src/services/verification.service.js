@@ -0,0 +1,361 @@
+/**
+ * @fileoverview Verification Service - Handles identity document verification
+ * @created 2025-06-06
+ * @file verification.service.js
+ * @description Service for submitting identity documents, serving their privately stored images,
+ * and the admin review queue that approves or rejects them.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const ImageService = require('./image.service');
+const StorageService = require('./storage.service');
+const EmailService = require('./email.service');
+const uploadConfig = require('../config/upload');
+const logger = require('../utils/logger');
+const {
+  NotFoundError,
+  ValidationError,
+  AuthorizationError,
+  ConflictError,
+} = require('../utils/errors');
+
+const DOCUMENT_TYPES = User.schema.path('verificationDocument').schema.path('type').enumValues;
+const DOCUMENT_LABELS = {
+  idCard: 'ID card',
+  passport: 'passport',
+  driverLicense: 'driver license',
+};
+const DOCUMENT_NUMBER_PATTERN = /^[A-Z0-9]{6,20}$/;
+const REVIEW_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+};
+
+/**
+ * @class VerificationService
+ * @classdesc Service class for identity document verification
+ */
+class VerificationService {
+  /**
+   * @route POST /api/users/verification-documents
+   * @description Submit an identity document with a photo for admin review
+   * @param {string} userId - User ID
+   * @param {Object} file - Uploaded document image
+   * @param {Object} documentData - Document data
+   * @param {string} documentData.type - idCard, passport or driverLicense
+   * @param {string} documentData.number - Document number
+   * @returns {Promise<Object>} Submitted document
+   */
+  static async submitDocument(userId, file, { type, number } = {}) {
+    try {
+      if (!DOCUMENT_TYPES.includes(type)) {
+        throw new ValidationError(`Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+      }
+      const documentNumber = (number || '').toString().replace(/\s+/g, '').toUpperCase();
+      if (!DOCUMENT_NUMBER_PATTERN.test(documentNumber)) {
+        throw new ValidationError('Document number must be 6 to 20 letters or digits');
+      }
+      if (!file) {
+        throw new ValidationError('A photo of the document is required');
+      }
+
+      const user = await User.findById(userId).select('verificationDocument').lean();
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      if ((user.verificationDocument || []).some((document) => document.status === 'pending')) {
+        throw new ConflictError('You already have a document waiting for review');
+      }
+
+      const { image, format } = await ImageService.processImage(file);
+      const documentId = new mongoose.Types.ObjectId();
+      const storageKey = `${uploadConfig.privatePrefix}/identity/${userId}/${crypto.randomUUID()}.${
+        format.extension
+      }`;
+      await StorageService.save(storageKey, image, format.contentType);
+
+      const document = {
+        _id: documentId,
+        type,
+        number: documentNumber,
+        image: `/api/users/verification-documents/${documentId}/image`,
+        storageKey,
+        status: 'pending',
+        submittedAt: new Date(),
+      };
+
+      // The status guard keeps two concurrent submissions from both being queued
+      const result = await User.updateOne(
+        { _id: userId, 'verificationDocument.status': { $ne: 'pending' } },
+        { $push: { verificationDocument: document } }
+      );
+      if (result.modifiedCount === 0) {
+        await StorageService.removeAll([storageKey]);
+        throw new ConflictError('You already have a document waiting for review');
+      }
+
+      logger.info('VerificationService: Document submitted', { userId, documentId, type });
+      return this.toPublicDocument(document);
+    } catch (error) {
+      logger.error('Error submitting verification document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route GET /api/users/verification-documents
+   * @description Get the user's submitted identity documents, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Documents and whether the identity is verified
+   */
+  static async getDocuments(userId) {
+    try {
+      const user = await User.findById(userId).select('verificationDocument');
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      return {
+        identityVerified: user.hasVerifiedIdentity(),
+        documents: user
+          .toObject()
+          .verificationDocument.map((document) => this.toPublicDocument(document))
+          .sort((a, b) => b.submittedAt - a.submittedAt),
+      };
+    } catch (error) {
+      logger.error('Error getting verification documents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route GET /api/users/verification-documents/:documentId/image
+   * @description Read the image of an identity document; only its owner and admins may see it
+   * @param {string} documentId - Document ID
+   * @param {Object} viewer - Current user
+   * @returns {Promise<Object>} { buffer, contentType }
+   */
+  static async getDocumentImage(documentId, viewer) {
+    try {
+      this.validateId(documentId, 'document');
+
+      const user = await User.findOne({ 'verificationDocument._id': documentId })
+        .select('verificationDocument')
+        .lean();
+      if (!user) {
+        throw new NotFoundError('Document not found');
+      }
+      if (viewer.role !== 'admin' && user._id.toString() !== viewer._id.toString()) {
+        throw new AuthorizationError('You do not have permission to view this document');
+      }
+
+      const document = user.verificationDocument.find(
+        (item) => item._id.toString() === documentId.toString()
+      );
+      if (!document.storageKey) {
+        throw new NotFoundError('This document has no image');
+      }
+
+      const extension = document.storageKey.split('.').pop();
+      return {
+        buffer: await StorageService.read(document.storageKey),
+        contentType: extension === 'jpg' ? 'image/jpeg' : `image/${extension}`,
+      };
+    } catch (error) {
+      logger.error('Error getting verification document image:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route GET /api/admin/verifications
+   * @description Get identity documents for the admin review queue, oldest first
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Items per page
+   * @param {string} [options.status] - Document status, defaults to pending
+   * @returns {Promise<Object>} Documents with their user and pagination
+   */
+  static async getQueue({ page = 1, limit = 10, status = 'pending' } = {}) {
+    try {
+      page = Math.max(parseInt(page) || 1, 1);
+      limit = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+      const statuses = User.schema.path('verificationDocument').schema.path('status').enumValues;
+      if (!statuses.includes(status)) {
+        throw new ValidationError(`Status must be one of: ${statuses.join(', ')}`);
+      }
+
+      const [result] = await User.aggregate([
+        { $match: { 'verificationDocument.status': status } },
+        { $unwind: '$verificationDocument' },
+        { $match: { 'verificationDocument.status': status } },
+        { $sort: { 'verificationDocument.submittedAt': 1, 'verificationDocument._id': 1 } },
+        {
+          $facet: {
+            documents: [
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+              {
+                $project: {
+                  _id: 0,
+                  user: {
+                    _id: '$_id',
+                    name: '$name',
+                    email: '$email',
+                    phone: '$phone',
+                    role: '$role',
+                  },
+                  document: '$verificationDocument',
+                },
+              },
+            ],
+            total: [{ $count: 'count' }],
+          },
+        },
+      ]);
+
+      const total = result.total[0]?.count || 0;
+      return {
+        documents: result.documents.map(({ user, document }) => ({
+          user,
+          document: this.toPublicDocument(document),
+        })),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error getting verification queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @route PUT /api/admin/verifications/:documentId
+   * @description Approve or reject a pending identity document and notify its owner
+   * @param {string} documentId - Document ID
+   * @param {string} adminId - Admin ID
+   * @param {Object} decision - Review decision
+   * @param {string} decision.action - approve or reject
+   * @param {string} [decision.reason] - Reason, required when rejecting
+   * @returns {Promise<Object>} Reviewed document
+   */
+  static async reviewDocument(documentId, adminId, { action, reason } = {}) {
+    try {
+      if (!REVIEW_ACTIONS[action]) {
+        throw new ValidationError('Action must be one of: approve, reject');
+      }
+      if (action === 'reject' && (!reason || !reason.toString().trim())) {
+        throw new ValidationError('A reason is required to reject a document');
+      }
+      this.validateId(documentId, 'document');
+
+      const status = REVIEW_ACTIONS[action];
+      const update = {
+        'verificationDocument.$.status': status,
+        'verificationDocument.$.reviewedBy': adminId,
+      };
+      if (status === 'approved') {
+        update['verificationDocument.$.verifyAt'] = new Date();
+      } else {
+        update['verificationDocument.$.rejectionReason'] = reason.toString().trim();
+      }
+
+      // Only a pending document can be reviewed, so concurrent decisions cannot overwrite each other
+      const user = await User.findOneAndUpdate(
+        { verificationDocument: { $elemMatch: { _id: documentId, status: 'pending' } } },
+        { $set: update },
+        { new: true }
+      )
+        .select('name email verificationDocument')
+        .lean();
+      if (!user) {
+        const exists = await User.exists({ 'verificationDocument._id': documentId });
+        if (!exists) {
+          throw new NotFoundError('Document not found');
+        }
+        throw new ConflictError('This document has already been reviewed');
+      }
+
+      const document = user.verificationDocument.find(
+        (item) => item._id.toString() === documentId.toString()
+      );
+      logger.info('VerificationService: Document reviewed', { documentId, status, adminId });
+
+      await this.notifyUser(
+        user,
+        status === 'approved' ? 'IDENTITY_APPROVED' : 'IDENTITY_REJECTED',
+        {
+          documentType: DOCUMENT_LABELS[document.type],
+          reason: document.rejectionReason,
+        }
+      );
+
+      return { userId: user._id, document: this.toPublicDocument(document) };
+    } catch (error) {
+      logger.error('Error reviewing verification document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check which of the given users have an approved identity document
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Set<string>>} IDs of identity-verified users
+   */
+  static async getVerifiedUserIds(userIds) {
+    if (userIds.length === 0) return new Set();
+
+    const users = await User.find({
+      _id: { $in: userIds },
+      'verificationDocument.status': 'approved',
+    })
+      .select('_id')
+      .lean();
+    return new Set(users.map((user) => user._id.toString()));
+  }
+
+  /**
+   * Email a user about a verification decision. Failures are logged and never fail the caller.
+   * @param {Object} user - User with name and email
+   * @param {string} templateType - Email template type
+   * @param {Object} [templateData] - Extra template data
+   * @returns {Promise<void>}
+   */
+  static async notifyUser(user, templateType, templateData = {}) {
+    try {
+      await EmailService.sendTemplatedEmail(user.email, templateType, {
+        name: user.name,
+        ...templateData,
+      });
+    } catch (error) {
+      logger.error('VerificationService: Failed to notify user', {
+        error: error.message,
+        userId: user._id,
+        templateType,
+      });
+    }
+  }
+
+  /**
+   * Drop storage details from a document before returning it
+   * @param {Object} document - Verification document
+   * @returns {Object} Document without its storage key
+   */
+  static toPublicDocument({ storageKey: _storageKey, ...document }) {
+    return document;
+  }
+
+  static validateId(id, label) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new ValidationError(`Invalid ${label} ID format`);
+    }
+  }
+}
+
+module.exports = VerificationService;
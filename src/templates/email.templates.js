@@ -135,6 +135,155 @@ const emailTemplates = {
       </div>
     `,
   },
+
+  /**
+   * Property approved email template
+   */
+  PROPERTY_APPROVED: {
+    subject: 'Your Listing Has Been Approved - StayHub',
+    getContent: ({ name, buildingName, reason }) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2c3e50; margin: 0;">Listing Approved</h1>
+        </div>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin-bottom: 20px;">
+          <p style="color: #34495e; margin: 0;">Dear ${name},</p>
+          <p style="color: #34495e; margin: 15px 0 0 0;">Good news! Your listing <strong>${buildingName}</strong> has been reviewed and is now live on StayHub.</p>
+          <p style="color: #34495e; margin: 15px 0 0 0;">Reviewer note: ${reason}</p>
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}" style="background-color: #3498db; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; display: inline-block;">View Your Listings</a>
+        </div>
+        <div style="text-align: center; color: #7f8c8d; font-size: 14px;">
+          <p style="margin: 0;">Best regards,<br>StayHub Team</p>
+        </div>
+      </div>
+    `,
+  },
+
+  /**
+   * Property rejected email template
+   */
+  PROPERTY_REJECTED: {
+    subject: 'Your Listing Needs Changes - StayHub',
+    getContent: ({ name, buildingName, reason }) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2c3e50; margin: 0;">Listing Not Approved</h1>
+        </div>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin-bottom: 20px;">
+          <p style="color: #34495e; margin: 0;">Dear ${name},</p>
+          <p style="color: #34495e; margin: 15px 0 0 0;">Your listing <strong>${buildingName}</strong> could not be approved for the following reason:</p>
+          <p style="color: #c0392b; margin: 15px 0 0 0;">${reason}</p>
+          <p style="color: #34495e; margin: 15px 0 0 0;">Please update your listing and it will be reviewed again.</p>
+        </div>
+        <div style="text-align: center; color: #7f8c8d; font-size: 14px;">
+          <p style="margin: 0;">If you have any questions, feel free to contact our support team.</p>
+          <p style="margin: 10px 0 0 0;">Best regards,<br>StayHub Team</p>
+        </div>
+      </div>
+    `,
+  },
+
+  /**
+   * Identity document approved email template
+   */
+  IDENTITY_APPROVED: {
+    subject: 'Your Identity Has Been Verified - StayHub',
+    getContent: ({ name, documentType }) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2c3e50; margin: 0;">Identity Verified</h1>
+        </div>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin-bottom: 20px;">
+          <p style="color: #34495e; margin: 0;">Dear ${name},</p>
+          <p style="color: #34495e; margin: 15px 0 0 0;">Your ${documentType} has been reviewed and your identity is now verified on StayHub.</p>
+          <p style="color: #34495e; margin: 15px 0 0 0;">Landlords will see that you are a verified renter when you request a booking.</p>
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}" style="background-color: #3498db; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; display: inline-block;">Go to StayHub</a>
+        </div>
+        <div style="text-align: center; color: #7f8c8d; font-size: 14px;">
+          <p style="margin: 0;">Best regards,<br>StayHub Team</p>
+        </div>
+      </div>
+    `,
+  },
+
+  /**
+   * Identity document rejected email template
+   */
+  IDENTITY_REJECTED: {
+    subject: 'Your Identity Document Was Not Approved - StayHub',
+    getContent: ({ name, documentType, reason }) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2c3e50; margin: 0;">Identity Document Not Approved</h1>
+        </div>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin-bottom: 20px;">
+          <p style="color: #34495e; margin: 0;">Dear ${name},</p>
+          <p style="color: #34495e; margin: 15px 0 0 0;">Your ${documentType} could not be approved for the following reason:</p>
+          <p style="color: #c0392b; margin: 15px 0 0 0;">${reason}</p>
+          <p style="color: #34495e; margin: 15px 0 0 0;">Please submit a new document and it will be reviewed again.</p>
+        </div>
+        <div style="text-align: center; color: #7f8c8d; font-size: 14px;">
+          <p style="margin: 0;">If you have any questions, feel free to contact our support team.</p>
+          <p style="margin: 10px 0 0 0;">Best regards,<br>StayHub Team</p>
+        </div>
+      </div>
+    `,
+  },
+
+  /**
+   * One-time sign-in code template
+   */
+  MFA_CODE: {
+    subject: 'Your StayHub Sign-In Code',
+    getContent: ({ name, code, expiresInMinutes }) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2c3e50; margin: 0;">Sign-In Code</h1>
+        </div>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin-bottom: 20px;">
+          <p style="color: #34495e; margin: 0;">Dear ${name},</p>
+          <p style="color: #34495e; margin: 15px 0 0 0;">Use this code to finish signing in to StayHub:</p>
+          <p style="color: #2c3e50; font-size: 28px; letter-spacing: 6px; text-align: center; margin: 20px 0;"><strong>${code}</strong></p>
+          <p style="color: #34495e; margin: 0;">The code expires in ${expiresInMinutes} minutes.</p>
+        </div>
+        <div style="text-align: center; color: #7f8c8d; font-size: 14px;">
+          <p style="margin: 0;">If you did not try to sign in, please change your password.</p>
+          <p style="margin: 10px 0 0 0;">Best regards,<br>StayHub Team</p>
+        </div>
+      </div>
+    `,
+  },
+
+  /**
+   * Account locked after failed logins template
+   */
+  ACCOUNT_LOCKED: {
+    subject: 'Your StayHub Account Has Been Temporarily Locked',
+    getContent: ({ name, lockedUntil, resetLink }) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2c3e50; margin: 0;">Account Temporarily Locked</h1>
+        </div>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin-bottom: 20px;">
+          <p style="color: #34495e; margin: 0;">Dear ${name},</p>
+          <p style="color: #34495e; margin: 15px 0 0 0;">We locked your account after several failed sign-in attempts. It will unlock automatically at ${lockedUntil}.</p>
+          <p style="color: #34495e; margin: 15px 0 0 0;">If this was you, you can unlock your account now by resetting your password:</p>
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${resetLink}" style="background-color: #3498db; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; display: inline-block;">Reset Password</a>
+        </div>
+        <div style="text-align: center; color: #7f8c8d; font-size: 14px;">
+          <p style="margin: 0;">If this wasn't you, someone may be trying to guess your password. Resetting it keeps your account safe.</p>
+          <p style="margin: 10px 0 0 0;">This link will expire in 1 hour.</p>
+          <p style="margin: 10px 0 0 0;">Best regards,<br>StayHub Team</p>
+        </div>
+      </div>
+    `,
+  },
 };
 
 module.exports = emailTemplates;
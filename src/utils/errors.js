@@ -46,6 +46,14 @@ class ConflictError extends AppError {
   }
 }
 
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', retryAfter) {
+    super(message, 429);
+    // Seconds until the client may try again, sent as the Retry-After header
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   AppError,
   NotFoundError,
@@ -53,4 +61,5 @@ module.exports = {
   AuthenticationError,
   AuthorizationError,
   ConflictError,
+  TooManyRequestsError,
 };
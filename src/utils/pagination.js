@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Pagination Utility - Cursor-based (keyset) pagination helpers
+ * @created 2025-06-06
+ * @file pagination.js
+ * @description This file defines helpers for paginating Mongoose queries with opaque
+ * after/before cursors, and for exposing the next and previous pages as Link headers.
+ */
+
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Read a value at a dotted path
+ * @param {Object} document - Plain document
+ * @param {string} path - Dotted field path
+ * @returns {*} Value at the path
+ */
+const getPath = (document, path) =>
+  path.split('.').reduce((value, key) => (value == null ? value : value[key]), document);
+
+/**
+ * Encode the sort key values of a document into an opaque cursor
+ * @param {Object} document - Plain document
+ * @param {Array<string>} fields - Sort fields, in order
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = (document, fields) => {
+  const values = fields.map((field) => {
+    const value = getPath(document, field);
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+    return value;
+  });
+  return Buffer.from(JSON.stringify({ k: fields, v: values })).toString('base64url');
+};
+
+/**
+ * Decode a cursor back into sort key values
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Array<string>} fields - Sort fields the cursor must have been built with
+ * @returns {Array} Sort key values
+ * @throws {ValidationError} If the cursor is malformed or was built for another sort
+ */
+const decodeCursor = (cursor, fields) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid pagination cursor');
+  }
+
+  if (
+    !Array.isArray(payload?.k) ||
+    !Array.isArray(payload?.v) ||
+    payload.k.join(',') !== fields.join(',')
+  ) {
+    throw new ValidationError('Pagination cursor does not match the requested sort');
+  }
+
+  // Only scalars and tagged dates/ids are accepted so a crafted cursor cannot inject operators
+  return payload.v.map((value) => {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+      return value;
+    }
+    if (typeof value.$date === 'string' && !Number.isNaN(Date.parse(value.$date))) {
+      return new Date(value.$date);
+    }
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new ValidationError('Invalid pagination cursor');
+  });
+};
+
+/**
+ * Build the condition selecting documents strictly after the cursor position.
+ * MongoDB sorts null and missing values before everything else, so they come first in
+ * ascending order and last in descending order.
+ * @param {Array<Array>} sortEntries - [field, direction] pairs
+ * @param {Array} values - Cursor values
+ * @returns {Object} Query condition
+ */
+const keysetCondition = (sortEntries, values) => ({
+  $or: sortEntries
+    .map(([field, direction], index) => {
+      const value = values[index] ?? null;
+      let after;
+      if (direction === 1) {
+        after = value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+      } else if (value !== null) {
+        after = { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+      } else {
+        // Nothing sorts after null in descending order
+        return null;
+      }
+
+      const equalPrefix = sortEntries
+        .slice(0, index)
+        .map(([previous], i) => ({ [previous]: values[i] ?? null }));
+      return { $and: [...equalPrefix, after] };
+    })
+    .filter(Boolean),
+});
+
+/**
+ * Paginate a model with opaque cursors. The sort must end with _id so every position
+ * is unique; results are returned in sort order for both directions.
+ * @param {Model} model - Mongoose model
+ * @param {Object} options - Pagination options
+ * @param {Object} [options.filters] - Query filters
+ * @param {Object} options.sort - Ordered sort specification ending with _id
+ * @param {string} [options.after] - Return the page after this cursor
+ * @param {string} [options.before] - Return the page before this cursor
+ * @param {number} [options.limit] - Items per page
+ * @param {Function} [options.prepare] - Adds select/populate to the query
+ * @returns {Promise<Object>} { items, pagination }
+ */
+const paginate = async (model, { filters = {}, sort, after, before, limit, prepare } = {}) => {
+  if (after && before) {
+    throw new ValidationError('Use either after or before, not both');
+  }
+
+  limit = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const sortEntries = Object.entries(sort);
+  const fields = sortEntries.map(([field]) => field);
+  const cursor = after || before;
+
+  // Paging backwards walks the reversed sort from the cursor, then flips the page
+  const direction = before ? -1 : 1;
+  const pageSort = sortEntries.map(([field, order]) => [field, order * direction]);
+
+  const query = cursor
+    ? { $and: [filters, keysetCondition(pageSort, decodeCursor(cursor, fields))] }
+    : filters;
+
+  let find = model
+    .find(query)
+    .sort(Object.fromEntries(pageSort))
+    .limit(limit + 1);
+  if (prepare) find = prepare(find) || find;
+  const documents = await find.lean();
+
+  const hasMore = documents.length > limit;
+  const items = documents.slice(0, limit);
+  if (before) items.reverse();
+
+  const hasNextPage = before ? true : hasMore;
+  const hasPrevPage = before ? hasMore : Boolean(after);
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasNextPage,
+      hasPrevPage,
+      nextCursor:
+        hasNextPage && items.length ? encodeCursor(items[items.length - 1], fields) : null,
+      prevCursor: hasPrevPage && items.length ? encodeCursor(items[0], fields) : null,
+    },
+  };
+};
+
+/**
+ * Resolve a named sort option
+ * @param {Object} sorts - Map of sort name to sort specification
+ * @param {string} [name] - Requested sort name
+ * @param {string} fallback - Default sort name
+ * @returns {Object} Sort specification
+ * @throws {ValidationError} If the sort name is unknown
+ */
+const resolveSort = (sorts, name, fallback) => {
+  const sort = sorts[name || fallback];
+  if (!sort) {
+    throw new ValidationError(`Sort must be one of: ${Object.keys(sorts).join(', ')}`);
+  }
+  return sort;
+};
+
+/**
+ * Set an RFC 8288 Link header pointing to the next and previous pages
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} pagination - Pagination envelope from paginate()
+ */
+const setLinkHeader = (req, res, pagination) => {
+  const pageUrl = (key, cursor) => {
+    const params = new URLSearchParams();
+    Object.entries(req.query).forEach(([name, value]) => {
+      if (name === 'after' || name === 'before') return;
+      [value].flat().forEach((item) => params.append(name, item));
+    });
+    params.set(key, cursor);
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${params}`;
+  };
+
+  const links = [];
+  if (pagination.nextCursor) {
+    links.push(`<${pageUrl('after', pagination.nextCursor)}>; rel="next"`);
+  }
+  if (pagination.prevCursor) {
+    links.push(`<${pageUrl('before', pagination.prevCursor)}>; rel="prev"`);
+  }
+  if (links.length > 0) {
+    res.set('Link', links.join(', '));
+  }
+};
+
+module.exports = {
+  paginate,
+  resolveSort,
+  setLinkHeader,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+};
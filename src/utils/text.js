@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Text Utility - Helpers for comparing and searching free text
+ * @created 2025-06-06
+ * @file text.js
+ * @description This file defines text normalization helpers, including Vietnamese diacritics removal.
+ */
+
+/**
+ * Lowercase a string and strip Vietnamese diacritics, e.g. "Hà Nội" → "ha noi"
+ * @param {string} value - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalizeText = (value) => {
+  if (!value) return '';
+  return value
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Accented variants of each base letter, used to build diacritics-insensitive patterns
+const VIETNAMESE_VARIANTS = {
+  a: 'aàáạảãâầấậẩẫăằắặẳẵ',
+  e: 'eèéẹẻẽêềếệểễ',
+  i: 'iìíịỉĩ',
+  o: 'oòóọỏõôồốộổỗơờớợởỡ',
+  u: 'uùúụủũưừứựửữ',
+  y: 'yỳýỵỷỹ',
+  d: 'dđ',
+};
+
+/**
+ * Escape characters that have a special meaning in regular expressions
+ * @param {string} value - Raw user input
+ * @returns {string} Input safe to embed in a RegExp
+ */
+const escapeRegex = (value) => value.toString().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a regex source that matches the text regardless of case and Vietnamese
+ * diacritics, e.g. "ha noi" matches "Hà Nội"
+ * @param {string} value - Raw user input
+ * @returns {string} Escaped regex source
+ */
+const toSearchPattern = (value) =>
+  escapeRegex(normalizeText(value))
+    .replace(/[aeiouyd]/g, (char) => `[${VIETNAMESE_VARIANTS[char]}]`)
+    .replace(/ /g, '\\s+');
+
+module.exports = {
+  normalizeText,
+  escapeRegex,
+  toSearchPattern,
+};
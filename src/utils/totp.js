@@ -0,0 +1,140 @@
+/**
+ * @fileoverview TOTP Utility - Time-based one-time passwords for authenticator apps
+ * @created 2025-06-06
+ * @file totp.js
+ * @description This file implements RFC 6238 TOTP codes (SHA-1, 6 digits, 30 second steps), the
+ * format Google Authenticator and similar apps expect, together with base32 secrets and
+ * otpauth:// provisioning URIs for QR codes.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 text
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode base32 text, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random secret for a new authenticator enrollment
+ * @returns {string} Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step a timestamp falls in
+ * @param {number} [time] - Timestamp in milliseconds, defaults to now
+ * @returns {number} Time step counter
+ */
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Compute the code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step = getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step and its neighbours, to allow for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Options
+ * @param {number} [options.window] - Number of steps accepted either side of now
+ * @returns {number|null} Matching time step, or null if the code is wrong
+ */
+const verifyCode = (secret, code, { window = 1 } = {}) => {
+  const normalized = (code || '').toString().replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const current = getStep();
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {Object} params - URI parameters
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.label - Account label, usually the email
+ * @param {string} params.issuer - Service name shown in the app
+ * @returns {string} Provisioning URI
+ */
+const buildOtpauthUrl = ({ secret, label, issuer }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS.toString(),
+    period: STEP_SECONDS.toString(),
+  });
+  return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+};
@@ -0,0 +1,84 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const User = require('../../src/models/user.model');
+const AuthService = require('../../src/services/auth.service');
+const SessionService = require('../../src/services/session.service');
+const { auth, optionalAuth } = require('../../src/middlewares/auth.middleware');
+
+const SECRET = 'test-secret';
+const userId = new mongoose.Types.ObjectId().toString();
+const sid = new mongoose.Types.ObjectId().toString();
+
+const sign = (payload) => jwt.sign({ userId, ...payload }, SECRET, { expiresIn: '1h' });
+
+const run = async (middleware, token) => {
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+};
+
+describe('auth middleware', () => {
+  const env = process.env.JWT_SECRET;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = SECRET;
+  });
+
+  afterAll(() => {
+    process.env.JWT_SECRET = env;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(AuthService, 'isTokenBlacklisted').mockResolvedValue(false);
+    jest.spyOn(SessionService, 'isActive').mockResolvedValue(true);
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: async () => User.hydrate({ _id: userId, isBanned: false, isVerified: true }),
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('accepts an access token of an active session', async () => {
+    const { req, next } = await run(auth, sign({ role: 'renter', sid, typ: 'access' }));
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toMatchObject({ _id: userId, role: 'renter', sessionId: sid });
+  });
+
+  it.each([
+    ['a password reset token', { typ: 'password_reset' }],
+    ['an email verification token', { typ: 'email_verification' }],
+    ['a token without a session', { role: 'renter', typ: 'access' }],
+    ['a token without a type', { role: 'renter', sid }],
+  ])('rejects %s', async (label, payload) => {
+    const { res, next } = await run(auth, sign(payload));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Invalid token' });
+  });
+
+  it('rejects an access token of a signed-out session', async () => {
+    SessionService.isActive.mockResolvedValue(false);
+
+    const { res } = await run(auth, sign({ role: 'renter', sid, typ: 'access' }));
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Session has been signed out',
+    });
+  });
+
+  it('treats other tokens as anonymous on optional routes', async () => {
+    const { req, next } = await run(optionalAuth, sign({ typ: 'password_reset' }));
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toBeUndefined();
+  });
+});
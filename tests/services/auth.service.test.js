@@ -0,0 +1,102 @@
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const User = require('../../src/models/user.model');
+const AuthService = require('../../src/services/auth.service');
+const LockoutService = require('../../src/services/lockout.service');
+const SessionService = require('../../src/services/session.service');
+const { AuthenticationError, AuthorizationError } = require('../../src/utils/errors');
+
+const EMAIL = 'renter@example.com';
+const client = { ip: '203.0.113.7' };
+
+const userWith = (fields) =>
+  User.hydrate({ _id: new mongoose.Types.ObjectId(), email: EMAIL, isBanned: false, ...fields });
+
+const findReturning = (user) =>
+  jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => user });
+
+describe('AuthService.login', () => {
+  beforeEach(() => {
+    jest.spyOn(LockoutService, 'assertAllowed').mockResolvedValue();
+    jest.spyOn(LockoutService, 'recordSuccess').mockResolvedValue();
+    jest.spyOn(AuthService, 'recordFailedLogin').mockResolvedValue();
+    jest.spyOn(AuthService, 'signIn').mockResolvedValue({ token: 'token' });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('fails a Google-only account like a wrong password and counts it', async () => {
+    const user = userWith({ googleId: 'google-1' });
+    findReturning(user);
+
+    await expect(AuthService.login(EMAIL, 'guess', client)).rejects.toEqual(
+      new AuthenticationError('Invalid credentials')
+    );
+    expect(AuthService.recordFailedLogin).toHaveBeenCalledWith(EMAIL, user, client);
+  });
+
+  it('reveals a ban only after the password is right', async () => {
+    const user = userWith({
+      password: await bcrypt.hash('correct-password', 4),
+      isBanned: true,
+      banReason: 'spam',
+    });
+    findReturning(user);
+
+    await expect(AuthService.login(EMAIL, 'wrong-password', client)).rejects.toThrow(
+      'Invalid credentials'
+    );
+    await expect(AuthService.login(EMAIL, 'correct-password', client)).rejects.toBeInstanceOf(
+      AuthorizationError
+    );
+    expect(AuthService.recordFailedLogin).toHaveBeenCalledTimes(1);
+    expect(AuthService.signIn).not.toHaveBeenCalled();
+  });
+});
+
+describe('AuthService.googleLogin', () => {
+  beforeEach(() => {
+    jest
+      .spyOn(AuthService, 'verifyGoogleToken')
+      .mockResolvedValue({ googleId: 'google-1', email: EMAIL, name: 'Renter' });
+    jest.spyOn(SessionService, 'invalidateAll').mockResolvedValue(0);
+    jest.spyOn(AuthService, 'signIn').mockResolvedValue({ token: 'token' });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const findByEmail = (user) =>
+    jest
+      .spyOn(User, 'findOne')
+      .mockReturnValueOnce({ select: async () => null })
+      .mockReturnValueOnce({ select: async () => user });
+
+  it('leaves a banned account unchanged', async () => {
+    const user = userWith({ password: 'hash', isVerified: false, isBanned: true });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    findByEmail(user);
+
+    await expect(AuthService.googleLogin({ idToken: 'id-token' }, client)).rejects.toBeInstanceOf(
+      AuthorizationError
+    );
+    expect(user.save).not.toHaveBeenCalled();
+    expect(user.googleId).toBeUndefined();
+    expect(user.password).toBe('hash');
+    expect(SessionService.invalidateAll).not.toHaveBeenCalled();
+  });
+
+  it('resets an unverified account it claims', async () => {
+    const user = userWith({ password: 'hash', isVerified: false });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    findByEmail(user);
+
+    await AuthService.googleLogin({ idToken: 'id-token' }, client);
+
+    expect(user.googleId).toBe('google-1');
+    expect(user.password).toBeUndefined();
+    expect(SessionService.invalidateAll).toHaveBeenCalledWith(user._id, 'account_claimed');
+  });
+});
@@ -0,0 +1,227 @@
+jest.mock('../../src/models/login-attempt.model', () => {
+  // In-memory stand-in for the collection, supporting the operators the service uses
+  const records = [];
+  let nextId = 1;
+
+  const matchesCondition = (value, condition) => {
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+      return value === condition;
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (operator === '$not') return !matchesCondition(value, operand);
+      if (value === undefined || value === null) return false;
+      if (operator === '$lt') return value < operand;
+      if (operator === '$gt') return value > operand;
+      if (operator === '$gte') return value >= operand;
+      throw new Error(`Unsupported operator ${operator}`);
+    });
+  };
+  const matches = (record, filter) =>
+    Object.entries(filter).every(([key, condition]) =>
+      key === '$or'
+        ? condition.some((part) => matches(record, part))
+        : matchesCondition(record[key], condition)
+    );
+  const apply = (record, update) => {
+    Object.assign(record, update.$set);
+    Object.entries(update.$inc || {}).forEach(([key, amount]) => {
+      record[key] = (record[key] || 0) + amount;
+    });
+  };
+  const query = (value) => ({ lean: async () => (value ? { ...value } : null) });
+
+  return {
+    records,
+    reset: () => records.splice(0),
+    find: (filter) => ({ lean: async () => records.filter((record) => matches(record, filter)) }),
+    findOne: (filter) => query(records.find((record) => matches(record, filter))),
+    updateOne: async (filter, update) => {
+      const record = records.find((item) => matches(item, filter));
+      if (record) apply(record, update);
+      return { modifiedCount: record ? 1 : 0 };
+    },
+    findOneAndUpdate: (filter, update, options = {}) => {
+      let record = records.find((item) => matches(item, filter));
+      if (!record && options.upsert) {
+        record = {
+          _id: nextId++,
+          type: filter.type,
+          value: filter.value,
+          failures: 0,
+          lockCount: 0,
+        };
+        records.push(record);
+      }
+      if (record) apply(record, update);
+      return query(record);
+    },
+    findOneAndDelete: (filter) => {
+      const index = records.findIndex((record) => matches(record, filter));
+      return query(index === -1 ? null : records.splice(index, 1)[0]);
+    },
+  };
+});
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const LoginAttempt = require('../../src/models/login-attempt.model');
+const LockoutService = require('../../src/services/lockout.service');
+const { TooManyRequestsError } = require('../../src/utils/errors');
+
+const EMAIL = 'renter@example.com';
+const IP = '203.0.113.7';
+const MINUTE = 60 * 1000;
+const START = new Date('2025-06-06T08:00:00Z').getTime();
+
+const advance = (ms) => jest.setSystemTime(Date.now() + ms);
+
+const fail = async (times, { email = EMAIL, ip = IP } = {}) => {
+  let result;
+  for (let i = 0; i < times; i++) {
+    result = await LockoutService.recordFailure(email, ip);
+  }
+  return result;
+};
+
+const rejection = async (email = EMAIL, ip = IP) => {
+  try {
+    await LockoutService.assertAllowed(email, ip);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('LockoutService.getDelaySeconds', () => {
+  const now = new Date(START);
+  const failedAgo = (failures, ms) => ({ failures, lastFailureAt: new Date(START - ms) });
+
+  it('does not delay without recent failures', () => {
+    expect(LockoutService.getDelaySeconds(undefined, now)).toBe(0);
+    expect(LockoutService.getDelaySeconds({ failures: 4 }, now)).toBe(0);
+    expect(LockoutService.getDelaySeconds(failedAgo(2, 0), now)).toBe(0);
+  });
+
+  it('doubles from one second after the third failure', () => {
+    expect(LockoutService.getDelaySeconds(failedAgo(3, 0), now)).toBe(1);
+    expect(LockoutService.getDelaySeconds(failedAgo(4, 0), now)).toBe(2);
+    expect(LockoutService.getDelaySeconds(failedAgo(6, 0), now)).toBe(8);
+  });
+
+  it('caps the delay at 30 seconds', () => {
+    expect(LockoutService.getDelaySeconds(failedAgo(8, 0), now)).toBe(30);
+    expect(LockoutService.getDelaySeconds(failedAgo(50, 0), now)).toBe(30);
+  });
+
+  it('ignores failures older than the window', () => {
+    expect(LockoutService.getDelaySeconds(failedAgo(4, 15 * MINUTE), now)).toBe(2);
+    expect(LockoutService.getDelaySeconds(failedAgo(4, 15 * MINUTE + 1), now)).toBe(0);
+  });
+});
+
+describe('LockoutService lockouts', () => {
+  beforeEach(() => {
+    LoginAttempt.reset();
+    jest.useFakeTimers({ now: START });
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  it('makes the next attempt wait after three failures', async () => {
+    await fail(3);
+
+    const error = await rejection();
+    expect(error).toBeInstanceOf(TooManyRequestsError);
+    expect(error.retryAfter).toBe(1);
+
+    advance(1000);
+    await expect(LockoutService.assertAllowed(EMAIL, IP)).resolves.toBeUndefined();
+  });
+
+  it('locks the email on the fifth failure', async () => {
+    expect((await fail(4)).lockedUntil).toBeNull();
+    const { lockedUntil } = await fail(1);
+
+    expect(lockedUntil).toEqual(new Date(START + 15 * MINUTE));
+    const error = await rejection();
+    expect(error.message).toMatch('Account is temporarily locked');
+    expect(error.retryAfter).toBe(15 * 60);
+    expect(await rejection('other@example.com', '198.51.100.1')).toBeNull();
+
+    advance(15 * MINUTE);
+    expect(await rejection()).toBeNull();
+  });
+
+  it('doubles each repeated lockout up to sixteen times the base', async () => {
+    const durations = [];
+    for (let lock = 0; lock < 6; lock++) {
+      const before = Date.now();
+      const { lockedUntil } = await fail(5, { ip: null });
+      durations.push((lockedUntil - before) / MINUTE);
+      jest.setSystemTime(lockedUntil);
+    }
+
+    expect(durations).toEqual([15, 30, 60, 120, 240, 240]);
+  });
+
+  it('starts a fresh count once failures leave the window', async () => {
+    await fail(4);
+    advance(16 * MINUTE);
+
+    expect((await fail(1)).lockedUntil).toBeNull();
+    expect(LoginAttempt.records.find((record) => record.type === 'email').failures).toBe(1);
+  });
+
+  it('forgets email failures after a successful login but keeps the IP count', async () => {
+    await fail(4);
+    await LockoutService.recordSuccess(EMAIL);
+
+    const counts = Object.fromEntries(
+      LoginAttempt.records.map((record) => [record.type, record.failures])
+    );
+    expect(counts).toEqual({ email: 0, ip: 4 });
+  });
+
+  it('locks an IP failing across many accounts', async () => {
+    for (let i = 0; i < 20; i++) {
+      advance(1000);
+      await fail(1, { email: `user${i}@example.com` });
+    }
+
+    const error = await rejection('someone@example.com');
+    expect(error.message).toMatch('from this network');
+    expect(error.retryAfter).toBe(15 * 60);
+  });
+
+  it('counts each client IP separately', async () => {
+    const otherIp = '198.51.100.9';
+    for (let i = 0; i < 20; i++) {
+      advance(1000);
+      await fail(1, { email: `user${i}@example.com` });
+    }
+    await fail(1, { email: 'other@example.com', ip: otherIp });
+
+    expect((await rejection('someone@example.com', IP)).message).toMatch('from this network');
+    expect(await rejection('someone@example.com', otherIp)).toBeNull();
+    expect(LoginAttempt.records.find((record) => record.value === otherIp).failures).toBe(1);
+  });
+
+  it('locks an email failing from several IPs', async () => {
+    await fail(2);
+    await fail(2, { ip: '198.51.100.9' });
+    const { lockedUntil } = await fail(1, { ip: '192.0.2.44' });
+
+    expect(lockedUntil).toEqual(new Date(START + 15 * MINUTE));
+    expect((await rejection(EMAIL, '192.0.2.200')).message).toMatch(
+      'Account is temporarily locked'
+    );
+  });
+
+  it('reports and clears a lockout', async () => {
+    await fail(5);
+
+    expect(await LockoutService.getLockout(EMAIL)).toMatchObject({ locked: true, lockCount: 1 });
+    await expect(LockoutService.clear(EMAIL)).resolves.toBe(true);
+    expect(await LockoutService.getLockout(EMAIL)).toMatchObject({ locked: false, failures: 0 });
+    expect(await rejection(EMAIL, null)).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const MaintenanceTicket = require('../../src/models/maintenance-ticket.model');
+const Booking = require('../../src/models/booking.model');
+const Room = require('../../src/models/room.model');
+const BookingService = require('../../src/services/booking.service');
+const MaintenanceService = require('../../src/services/maintenance.service');
+const logger = require('../../src/utils/logger');
+const { ConflictError } = require('../../src/utils/errors');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('MaintenanceService.syncRoomStatus', () => {
+  let room;
+
+  const withBookings = (bookings) =>
+    jest.spyOn(Booking, 'find').mockReturnValue({
+      sort: () => ({ lean: async () => bookings }),
+    });
+
+  beforeEach(() => {
+    room = Room.hydrate({
+      _id: id(),
+      buildingId: id(),
+      status: 'maintenance',
+      isAvailable: false,
+    });
+    jest.spyOn(room, 'save').mockResolvedValue(room);
+    jest.spyOn(Room, 'findById').mockResolvedValue(room);
+    jest.spyOn(MaintenanceTicket, 'exists').mockResolvedValue(null);
+    jest.spyOn(BookingService, 'withRoomLock').mockImplementation((roomId, task) => task());
+    jest.spyOn(BookingService, 'updateBuildingAvailability').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('reserves the room for a booking approved while it was under maintenance', async () => {
+    const renterId = id();
+    withBookings([{ status: 'approved', renterId }]);
+
+    await MaintenanceService.syncRoomStatus(room._id);
+
+    expect(room.status).toBe('reserved');
+    expect(room.isAvailable).toBe(false);
+    expect(room.currentTenant).toEqual(renterId);
+    expect(BookingService.updateBuildingAvailability).toHaveBeenCalledWith(
+      room.buildingId,
+      false,
+      false
+    );
+  });
+
+  it('gives the room back to an active tenant before a later approved booking', async () => {
+    const tenant = id();
+    withBookings([
+      { status: 'approved', renterId: id() },
+      { status: 'active', renterId: tenant },
+    ]);
+
+    await MaintenanceService.syncRoomStatus(room._id);
+
+    expect(room.status).toBe('rented');
+    expect(room.currentTenant).toEqual(tenant);
+  });
+
+  it('frees the room when no booking holds it', async () => {
+    withBookings([]);
+
+    await MaintenanceService.syncRoomStatus(room._id);
+
+    expect(room.status).toBe('available');
+    expect(room.isAvailable).toBe(true);
+    expect(room.currentTenant).toBeUndefined();
+  });
+
+  it('keeps the room under maintenance while a blocking ticket is open', async () => {
+    MaintenanceTicket.exists.mockResolvedValue({ _id: id() });
+    const find = withBookings([]);
+
+    await MaintenanceService.syncRoomStatus(room._id);
+
+    expect(room.status).toBe('maintenance');
+    expect(find).not.toHaveBeenCalled();
+    expect(room.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('MaintenanceService.syncRoomStatusAfterSave', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('logs a failed sync instead of failing the saved change', async () => {
+    jest
+      .spyOn(MaintenanceService, 'syncRoomStatus')
+      .mockRejectedValue(new ConflictError('Room is busy'));
+
+    await expect(MaintenanceService.syncRoomStatusAfterSave('room-1')).resolves.toBeUndefined();
+    expect(logger.error).toHaveBeenCalledWith('MaintenanceService: Failed to sync room status', {
+      roomId: 'room-1',
+      error: 'Room is busy',
+    });
+  });
+});
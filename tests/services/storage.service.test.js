@@ -0,0 +1,143 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { LocalStorage, S3Storage } = require('../../src/services/storage.service');
+
+describe('LocalStorage', () => {
+  let base;
+  let storage;
+
+  beforeEach(async () => {
+    base = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    storage = new LocalStorage({
+      root: path.join(base, 'uploads'),
+      publicPath: '/uploads',
+      privateRoot: path.join(base, 'private-uploads'),
+      privatePrefix: 'private',
+    });
+  });
+
+  afterEach(() => fs.rm(base, { recursive: true, force: true }));
+
+  it('writes public keys under the served root', async () => {
+    const url = await storage.save('rooms/a.jpg', Buffer.from('a'));
+
+    expect(url).toBe('/uploads/rooms/a.jpg');
+    await expect(fs.readFile(path.join(base, 'uploads/rooms/a.jpg'), 'utf8')).resolves.toBe('a');
+  });
+
+  it('writes private keys outside the served root', async () => {
+    await expect(storage.save('private/identity/u1/b.jpg', Buffer.from('b'))).resolves.toBeNull();
+
+    await expect(
+      fs.readFile(path.join(base, 'private-uploads/identity/u1/b.jpg'), 'utf8')
+    ).resolves.toBe('b');
+    await expect(fs.access(path.join(base, 'uploads/private'))).rejects.toThrow();
+    await expect(storage.read('private/identity/u1/b.jpg')).resolves.toEqual(Buffer.from('b'));
+  });
+
+  it('rejects keys escaping their root', () => {
+    expect(() => storage.resolve('../x')).toThrow('Invalid storage key');
+    expect(() => storage.resolve('private/../../uploads/x')).toThrow('Invalid storage key');
+  });
+
+  it('refuses a private root inside the served root', () => {
+    expect(
+      () =>
+        new LocalStorage({
+          root: path.join(base, 'uploads'),
+          publicPath: '/uploads',
+          privateRoot: path.join(base, 'uploads/private'),
+          privatePrefix: 'private',
+        })
+    ).toThrow('must not be inside');
+  });
+});
+
+describe('S3Storage', () => {
+  const objects = new Map();
+  const client = {
+    putObject: jest.fn(async ({ Bucket, Key, Body }) => objects.set(`${Bucket}/${Key}`, Body)),
+    getObject: jest.fn(async ({ Bucket, Key }) => ({
+      Body: { transformToByteArray: async () => objects.get(`${Bucket}/${Key}`) },
+    })),
+    deleteObject: jest.fn(async ({ Bucket, Key }) => objects.delete(`${Bucket}/${Key}`)),
+  };
+  const options = {
+    client,
+    bucket: 'public',
+    publicUrl: 'https://cdn.example.com/',
+    privatePrefix: 'private',
+  };
+
+  beforeEach(() => objects.clear());
+
+  it('stores public keys in the public bucket and returns their URL', async () => {
+    const storage = new S3Storage({ ...options, privateBucket: 'secret' });
+
+    await expect(storage.save('rooms/a.jpg', Buffer.from('a'))).resolves.toBe(
+      'https://cdn.example.com/rooms/a.jpg'
+    );
+    expect([...objects.keys()]).toEqual(['public/rooms/a.jpg']);
+  });
+
+  it('stores private keys in the private bucket without a URL', async () => {
+    const storage = new S3Storage({ ...options, privateBucket: 'secret' });
+
+    await expect(storage.save('private/identity/u1/b.jpg', Buffer.from('b'))).resolves.toBeNull();
+    expect([...objects.keys()]).toEqual(['secret/private/identity/u1/b.jpg']);
+    await expect(storage.read('private/identity/u1/b.jpg')).resolves.toEqual(Buffer.from('b'));
+    await storage.remove('private/identity/u1/b.jpg');
+    expect(objects.size).toBe(0);
+  });
+
+  it('refuses private keys without a separate private bucket', async () => {
+    const storage = new S3Storage(options);
+
+    await expect(storage.save('private/rules/c.pdf', Buffer.from('c'))).rejects.toThrow(
+      'S3_PRIVATE_BUCKET'
+    );
+    expect(objects.size).toBe(0);
+    expect(() => new S3Storage({ ...options, privateBucket: 'public' })).toThrow(
+      'must not be the public bucket'
+    );
+  });
+});
+
+describe('StorageService.getProvider', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  const loadProvider = () => {
+    let StorageService;
+    jest.isolateModules(() => {
+      StorageService = require('../../src/services/storage.service');
+    });
+    return StorageService.getProvider();
+  };
+
+  it('builds an S3 client from the environment when the s3 driver is selected', () => {
+    Object.assign(process.env, {
+      STORAGE_DRIVER: 's3',
+      S3_BUCKET: 'stayhub',
+      S3_PUBLIC_URL: 'https://cdn.example.com/',
+      S3_REGION: 'ap-southeast-1',
+    });
+
+    const provider = loadProvider();
+
+    expect(provider.bucket).toBe('stayhub');
+    expect(provider.publicUrl).toBe('https://cdn.example.com');
+    expect(typeof provider.client.putObject).toBe('function');
+  });
+
+  it('refuses the s3 driver without a bucket', () => {
+    process.env.STORAGE_DRIVER = 's3';
+    delete process.env.S3_BUCKET;
+
+    expect(loadProvider).toThrow('S3_BUCKET and S3_PUBLIC_URL are required');
+  });
+});
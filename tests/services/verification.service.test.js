@@ -0,0 +1,91 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/models/user.model', () => ({
+  schema: {
+    path: () => ({
+      schema: { path: () => ({ enumValues: ['idCard', 'passport', 'driverLicense'] }) },
+    }),
+  },
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock('../../src/services/image.service', () => ({ processImage: jest.fn() }));
+jest.mock('../../src/services/email.service', () => ({}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const User = require('../../src/models/user.model');
+const ImageService = require('../../src/services/image.service');
+const StorageService = require('../../src/services/storage.service');
+const VerificationService = require('../../src/services/verification.service');
+
+const { LocalStorage } = StorageService;
+const userId = '64b000000000000000000001';
+const lean = (value) => ({ select: () => ({ lean: async () => value }) });
+
+describe('VerificationService identity documents', () => {
+  let base;
+
+  beforeEach(async () => {
+    base = await fs.mkdtemp(path.join(os.tmpdir(), 'verification-test-'));
+    StorageService.setProvider(
+      new LocalStorage({
+        root: path.join(base, 'uploads'),
+        publicPath: '/uploads',
+        privateRoot: path.join(base, 'private-uploads'),
+        privatePrefix: 'private',
+      })
+    );
+    ImageService.processImage.mockResolvedValue({
+      image: Buffer.from('jpeg'),
+      format: { extension: 'jpg', contentType: 'image/jpeg' },
+    });
+    User.findById.mockReturnValue(lean({ _id: userId, verificationDocument: [] }));
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(async () => {
+    StorageService.setProvider(null);
+    await fs.rm(base, { recursive: true, force: true });
+  });
+
+  it('stores the photo outside the static root and only links the API route', async () => {
+    const document = await VerificationService.submitDocument(
+      userId,
+      { buffer: Buffer.from('photo') },
+      { type: 'passport', number: 'ab 123456' }
+    );
+
+    expect(document.image).toBe(`/api/users/verification-documents/${document._id}/image`);
+    const [[, update]] = User.updateOne.mock.calls;
+    const { storageKey } = update.$push.verificationDocument;
+    expect(storageKey).toMatch(new RegExp(`^private/identity/${userId}/`));
+
+    const privateFile = path.join(base, 'private-uploads', storageKey.replace(/^private\//, ''));
+    await expect(fs.readFile(privateFile, 'utf8')).resolves.toBe('jpeg');
+    await expect(fs.readdir(path.join(base, 'uploads'))).rejects.toThrow();
+  });
+
+  it('serves the photo only to its owner and admins', async () => {
+    await StorageService.save('private/identity/u1/doc.jpg', Buffer.from('jpeg'));
+    const documentId = '64b0000000000000000000aa';
+    User.findOne.mockReturnValue(
+      lean({
+        _id: userId,
+        verificationDocument: [{ _id: documentId, storageKey: 'private/identity/u1/doc.jpg' }],
+      })
+    );
+
+    await expect(
+      VerificationService.getDocumentImage(documentId, { _id: userId, role: 'renter' })
+    ).resolves.toEqual({ buffer: Buffer.from('jpeg'), contentType: 'image/jpeg' });
+    await expect(
+      VerificationService.getDocumentImage(documentId, {
+        _id: '64b000000000000000000002',
+        role: 'renter',
+      })
+    ).rejects.toThrow('You do not have permission to view this document');
+  });
+});
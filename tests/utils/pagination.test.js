@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const {
+  paginate,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+} = require('../../src/utils/pagination');
+
+// Evaluates the subset of MongoDB query operators the keyset conditions use
+const matches = (document, query) =>
+  Object.entries(query).every(([key, condition]) => {
+    if (key === '$and') return condition.every((part) => matches(document, part));
+    if (key === '$or') return condition.some((part) => matches(document, part));
+
+    const value = document[key] ?? null;
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+      return compare(value, condition ?? null) === 0;
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (operator === '$ne') return compare(value, operand) !== 0;
+      if (value === null || operand === null) return false;
+      if (operator === '$gt') return compare(value, operand) > 0;
+      if (operator === '$lt') return compare(value, operand) < 0;
+      throw new Error(`Unsupported operator ${operator}`);
+    });
+  });
+
+// MongoDB ordering for the values used here: null first, then numbers, then ObjectIds
+const compare = (a, b) => {
+  if (a === null || b === null) return (a === null ? 0 : 1) - (b === null ? 0 : 1);
+  if (a instanceof mongoose.Types.ObjectId) return a.toString().localeCompare(b.toString());
+  return a - b;
+};
+
+// Minimal stand-in for a Mongoose model: find().sort().limit().lean()
+const fakeModel = (documents) => ({
+  find: (query) => {
+    let sort = {};
+    let limit = Infinity;
+    const chain = {
+      sort: (spec) => {
+        sort = spec;
+        return chain;
+      },
+      limit: (count) => {
+        limit = count;
+        return chain;
+      },
+      lean: async () =>
+        documents
+          .filter((document) => matches(document, query))
+          .sort((a, b) => {
+            for (const [field, direction] of Object.entries(sort)) {
+              const order = compare(a[field] ?? null, b[field] ?? null) * direction;
+              if (order !== 0) return order;
+            }
+            return 0;
+          })
+          .slice(0, limit),
+    };
+    return chain;
+  },
+});
+
+const collectPages = async (model, sort, key = 'after') => {
+  const seen = [];
+  let cursor;
+  for (let page = 0; page < 20; page++) {
+    const { items, pagination } = await paginate(model, { sort, limit: 2, [key]: cursor });
+    seen.push(...(key === 'after' ? items : [...items].reverse()));
+    cursor = key === 'after' ? pagination.nextCursor : pagination.prevCursor;
+    if (!cursor) break;
+  }
+  return seen;
+};
+
+describe('pagination cursors', () => {
+  it('round-trips dates, ids and nulls', () => {
+    const _id = new mongoose.Types.ObjectId();
+    const createdAt = new Date('2025-06-01T10:00:00Z');
+    const cursor = encodeCursor({ createdAt, _id, avgPrice: undefined }, [
+      'createdAt',
+      'avgPrice',
+      '_id',
+    ]);
+
+    const values = decodeCursor(cursor, ['createdAt', 'avgPrice', '_id']);
+    expect(values[0]).toEqual(createdAt);
+    expect(values[1]).toBeNull();
+    expect(values[2].equals(_id)).toBe(true);
+  });
+
+  it('rejects cursors built for another sort', () => {
+    const cursor = encodeCursor({ _id: new mongoose.Types.ObjectId() }, ['_id']);
+    expect(() => decodeCursor(cursor, ['createdAt', '_id'])).toThrow(/does not match/);
+  });
+
+  it('rejects operator objects injected into a cursor', () => {
+    const cursor = Buffer.from(JSON.stringify({ k: ['_id'], v: [{ $ne: null }] })).toString(
+      'base64url'
+    );
+    expect(() => decodeCursor(cursor, ['_id'])).toThrow(/Invalid pagination cursor/);
+  });
+});
+
+describe('keysetCondition', () => {
+  it('puts nulls before every value in ascending order', () => {
+    const condition = keysetCondition(
+      [
+        ['avgPrice', 1],
+        ['_id', 1],
+      ],
+      [null, 5]
+    );
+    expect(matches({ avgPrice: 100, _id: 1 }, condition)).toBe(true);
+    expect(matches({ avgPrice: null, _id: 6 }, condition)).toBe(true);
+    expect(matches({ _id: 7 }, condition)).toBe(true);
+    expect(matches({ avgPrice: null, _id: 4 }, condition)).toBe(false);
+  });
+
+  it('puts nulls after every value in descending order', () => {
+    const condition = keysetCondition(
+      [
+        ['avgPrice', -1],
+        ['_id', 1],
+      ],
+      [100, 5]
+    );
+    expect(matches({ avgPrice: 50, _id: 1 }, condition)).toBe(true);
+    expect(matches({ avgPrice: null, _id: 1 }, condition)).toBe(true);
+    expect(matches({ avgPrice: 100, _id: 6 }, condition)).toBe(true);
+    expect(matches({ avgPrice: 200, _id: 9 }, condition)).toBe(false);
+  });
+});
+
+describe('paginate', () => {
+  const documents = [
+    { _id: 1, avgPrice: 300 },
+    { _id: 2 },
+    { _id: 3, avgPrice: 100 },
+    { _id: 4, avgPrice: null },
+    { _id: 5, avgPrice: 100 },
+    { _id: 6, avgPrice: 200 },
+    { _id: 7 },
+  ];
+  const model = fakeModel(documents);
+
+  it.each([
+    ['ascending', { avgPrice: 1, _id: 1 }, [2, 4, 7, 3, 5, 6, 1]],
+    ['descending', { avgPrice: -1, _id: -1 }, [1, 6, 5, 3, 7, 4, 2]],
+  ])('walks every document once when sorting %s with missing values', async (_, sort, ids) => {
+    const forward = await collectPages(model, sort);
+    expect(forward.map((document) => document._id)).toEqual(ids);
+  });
+
+  it('pages backwards from the last page in sort order', async () => {
+    const sort = { avgPrice: 1, _id: 1 };
+    const first = await paginate(model, { sort, limit: 3 });
+    const second = await paginate(model, { sort, limit: 3, after: first.pagination.nextCursor });
+    const back = await paginate(model, { sort, limit: 3, before: second.pagination.prevCursor });
+
+    expect(back.items.map((document) => document._id)).toEqual([2, 4, 7]);
+    expect(back.pagination.hasPrevPage).toBe(false);
+    expect(back.pagination.hasNextPage).toBe(true);
+  });
+
+  it('rejects after and before together', async () => {
+    await expect(paginate(model, { sort: { _id: 1 }, after: 'a', before: 'b' })).rejects.toThrow(
+      /either after or before/
+    );
+  });
+});
@@ -0,0 +1,117 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+} = require('../../src/utils/totp');
+
+// RFC 6238 appendix B, SHA-1 seed, truncated to 6 digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+describe('base32', () => {
+  it('encodes the RFC 4648 test vectors without padding', () => {
+    expect(base32Encode(Buffer.from(''))).toBe('');
+    expect(base32Encode(Buffer.from('f'))).toBe('MY');
+    expect(base32Encode(Buffer.from('foob'))).toBe('MZXW6YQ');
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('round-trips arbitrary bytes', () => {
+    for (let length = 0; length <= 32; length++) {
+      const bytes = Buffer.from(Array.from({ length }, (_, i) => (i * 37 + length) % 256));
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    }
+  });
+
+  it('ignores case, spaces and padding when decoding', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+  });
+
+  it('generates 160-bit secrets', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('generateCode', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 code at T=%i', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(code);
+  });
+});
+
+describe('verifyCode', () => {
+  afterEach(() => jest.useRealTimers());
+
+  const at = (seconds) => jest.useFakeTimers({ now: seconds * 1000 });
+
+  it.each(RFC_VECTORS)(
+    'accepts the RFC 6238 code at T=%i and returns its step',
+    (seconds, code) => {
+      at(seconds);
+      expect(verifyCode(RFC_SECRET, code)).toBe(Math.floor(seconds / 30));
+    }
+  );
+
+  it('accepts codes one step either side of now', () => {
+    at(1111111111);
+    const step = Math.floor(1111111111 / 30);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+  });
+
+  it('honours a custom window', () => {
+    at(1111111111);
+    const step = Math.floor(1111111111 / 30);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { window: 0 })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { window: 2 })).toBe(
+      step + 2
+    );
+  });
+
+  it('accepts codes with spaces and rejects malformed ones', () => {
+    at(59);
+
+    expect(verifyCode(RFC_SECRET, '287 082')).toBe(1);
+    expect(verifyCode(RFC_SECRET, '28708')).toBeNull();
+    expect(verifyCode(RFC_SECRET, '2870820')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+});
+
+describe('buildOtpauthUrl', () => {
+  it('builds a provisioning URI authenticator apps accept', () => {
+    const url = new URL(
+      buildOtpauthUrl({ secret: RFC_SECRET, label: 'a@b.com', issuer: 'StayHub' })
+    );
+
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/StayHub:a@b.com');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'StayHub',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30',
+    });
+  });
+});